@@ -0,0 +1,352 @@
+// Guided lessons
+// A lesson is a list of steps, each an instruction, some hints and a check on the live
+// simulation that decides when the step is done. Lessons are plain JSON, so instructors can
+// write their own and load them like scenarios.
+
+import { sanitizeSharedState } from './permalink.js';
+
+/**
+ * Marks a JSON file as a lesson
+ */
+export const LESSON_FORMAT = 'shockwaves-lesson';
+
+/**
+ * What a check can look at, with what each means
+ * The sketch reports these every frame; see lessonState() there.
+ */
+export const LESSON_QUANTITIES = {
+    mach: 'Mach number of the selected source',
+    airMach: 'Its Mach number through the air, wind included',
+    machAngle: 'Mach cone half-angle in degrees; none below Mach 1',
+    heading: 'Heading in degrees counterclockwise from the right',
+    pulseRate: 'Pulses per second',
+    altitude: 'Altitude in meters',
+    temperature: 'Air temperature in °C',
+    speedOfSound: 'Local speed of sound in m/s',
+    wind: 'Wind speed as a Mach number',
+    mode: "'moving' or 'wind'",
+    view: "'rings', 'pressure' or 'nwave'",
+    paused: 'Whether the simulation is paused',
+    sound: 'Whether sound is on',
+    sources: 'Number of sources',
+    observers: 'Number of observers',
+    boundaries: 'Number of reflecting boundaries',
+    booms: 'Booms heard by the observer being listened to, reflected ones included',
+    reflectedBooms: 'Booms it heard off a boundary',
+    frequency: 'Waves per second it hears directly',
+    echoFrequency: 'Waves per second it hears off boundaries',
+    time: 'Simulated seconds since the last reset'
+};
+
+/**
+ * How close a number must be to a check's "near" value when no tolerance is given, as a
+ * fraction of that value
+ */
+export const DEFAULT_RELATIVE_TOLERANCE = 0.02;
+
+const COMPARISONS = ['equals', 'near', 'min', 'max', 'increase'];
+
+/**
+ * Check a step's check, recursively
+ * @param {*} check - Parsed JSON
+ * @param {string} where - Position in the lesson for error messages
+ * @returns {object} The check, copied
+ */
+function validateCheck(check, where) {
+    if (!check || typeof check !== 'object' || Array.isArray(check)) {
+        throw new Error(`${where} needs a check`);
+    }
+    for (const group of ['all', 'any']) {
+        if (group in check) {
+            if (!Array.isArray(check[group]) || check[group].length === 0) {
+                throw new Error(`${where}: "${group}" needs a list of checks`);
+            }
+            return { [group]: check[group].map(c => validateCheck(c, where)) };
+        }
+    }
+    if (!Object.hasOwn(LESSON_QUANTITIES, check.quantity)) {
+        throw new Error(`${where}: unknown quantity "${check.quantity}"`);
+    }
+    const valid = { quantity: check.quantity };
+    for (const key of COMPARISONS) {
+        if (!(key in check)) continue;
+        if (key !== 'equals' && typeof check[key] !== 'number') {
+            throw new Error(`${where}: "${key}" must be a number`);
+        }
+        valid[key] = check[key];
+    }
+    if (Object.keys(valid).length === 1) {
+        throw new Error(`${where}: say what ${check.quantity} should be (${COMPARISONS.join(', ')})`);
+    }
+    if ('tolerance' in check) {
+        if (typeof check.tolerance !== 'number' || check.tolerance < 0) {
+            throw new Error(`${where}: "tolerance" must be a number of at least 0`);
+        }
+        valid.tolerance = check.tolerance;
+    }
+    return valid;
+}
+
+/**
+ * Check a lesson read from a file
+ * Unlike a scenario, a lesson with a mistake is rejected, so its author finds out.
+ * @param {*} data - Parsed JSON
+ * @returns {{format: string, version: number, title: string, summary: string, steps: object[]}}
+ */
+export function validateLesson(data) {
+    if (!data || typeof data !== 'object' || data.format !== LESSON_FORMAT) {
+        throw new Error('Not a lesson file');
+    }
+    if (data.version !== 1) {
+        throw new Error(`Unsupported lesson version: ${data.version}`);
+    }
+    const title = typeof data.title === 'string' ? data.title.trim() : '';
+    if (!title) {
+        throw new Error('A lesson needs a title');
+    }
+    if (!Array.isArray(data.steps) || data.steps.length === 0) {
+        throw new Error('A lesson needs at least one step');
+    }
+
+    const steps = data.steps.map((step, i) => {
+        const where = `Step ${i + 1}`;
+        if (!step || typeof step.instruction !== 'string' || !step.instruction.trim()) {
+            throw new Error(`${where} needs an instruction`);
+        }
+        const hints = step.hints ?? [];
+        if (!Array.isArray(hints) || hints.some(h => typeof h !== 'string')) {
+            throw new Error(`${where}: "hints" must be a list of text`);
+        }
+        const hold = step.hold ?? 0;
+        if (typeof hold !== 'number' || !(hold >= 0)) {
+            throw new Error(`${where}: "hold" must be a number of seconds`);
+        }
+        return {
+            instruction: step.instruction.trim(),
+            hints: [...hints],
+            check: validateCheck(step.check, where),
+            hold,
+            setup: sanitizeSharedState(step.setup),
+            success: typeof step.success === 'string' ? step.success : ''
+        };
+    });
+
+    return {
+        format: LESSON_FORMAT,
+        version: 1,
+        title,
+        summary: typeof data.summary === 'string' ? data.summary : '',
+        steps
+    };
+}
+
+/**
+ * Read a lesson file
+ * @param {string} text - File contents
+ * @returns {object} The checked lesson
+ */
+export function parseLesson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not a lesson file');
+    }
+    return validateLesson(data);
+}
+
+/**
+ * Whether the simulation passes a check
+ * @param {object} check - A validated check
+ * @param {object} state - Current value of each of the LESSON_QUANTITIES
+ * @param {object} [start] - Their values when the step began, for "increase"
+ * @returns {boolean} True if every comparison in the check holds
+ */
+export function evaluateCheck(check, state, start = state) {
+    if (check.all) return check.all.every(c => evaluateCheck(c, state, start));
+    if (check.any) return check.any.some(c => evaluateCheck(c, state, start));
+
+    const value = state[check.quantity];
+    if ('equals' in check && value !== check.equals) return false;
+    if (['near', 'min', 'max', 'increase'].some(key => key in check) && typeof value !== 'number') {
+        return false;
+    }
+    if ('near' in check) {
+        const tolerance = check.tolerance ?? Math.abs(check.near) * DEFAULT_RELATIVE_TOLERANCE;
+        if (Math.abs(value - check.near) > tolerance) return false;
+    }
+    if ('min' in check && value < check.min) return false;
+    if ('max' in check && value > check.max) return false;
+    if ('increase' in check && !(value - start[check.quantity] >= check.increase)) return false;
+    return true;
+}
+
+/**
+ * Walks a learner through a lesson's steps
+ */
+export class LessonRunner {
+    /**
+     * @param {object} lesson - A validated lesson
+     */
+    constructor(lesson) {
+        this.lesson = lesson;
+        this.stepIndex = 0;
+        this.hintsShown = 0;
+        this.start = null;          // Quantities when the current step began
+        this.heldSince = null;      // Time the check started passing, for steps with a hold
+    }
+
+    /**
+     * @returns {object | undefined} The current step, or undefined once the lesson is done
+     */
+    get step() {
+        return this.lesson.steps[this.stepIndex];
+    }
+
+    /**
+     * @returns {boolean} True once every step is done
+     */
+    get finished() {
+        return this.stepIndex >= this.lesson.steps.length;
+    }
+
+    /**
+     * Hints revealed so far for the current step
+     * @returns {string[]}
+     */
+    get hints() {
+        return this.step ? this.step.hints.slice(0, this.hintsShown) : [];
+    }
+
+    /**
+     * Whether the current step has hints left to show
+     * @returns {boolean}
+     */
+    get hasMoreHints() {
+        return !!this.step && this.hintsShown < this.step.hints.length;
+    }
+
+    /**
+     * Reveal the next hint of the current step
+     * @returns {string | null} The hint, or null if there are no more
+     */
+    nextHint() {
+        if (!this.hasMoreHints) return null;
+        return this.step.hints[this.hintsShown++];
+    }
+
+    /**
+     * Check the current step against the simulation
+     * The first call after a step begins records the quantities that "increase" compares with.
+     * @param {object} state - Current value of each of the LESSON_QUANTITIES
+     * @param {number} time - Clock in ms, for holds
+     * @returns {boolean} True if this call completed the step
+     */
+    update(state, time) {
+        if (this.finished) return false;
+        if (this.start === null) this.start = { ...state };
+
+        if (!evaluateCheck(this.step.check, state, this.start)) {
+            this.heldSince = null;
+            return false;
+        }
+        this.heldSince ??= time;
+        if (time - this.heldSince < this.step.hold * 1000) return false;
+
+        this.advance();
+        return true;
+    }
+
+    /**
+     * Move on to the next step, done or not
+     */
+    advance() {
+        if (this.finished) return;
+        this.stepIndex++;
+        this.hintsShown = 0;
+        this.start = null;
+        this.heldSince = null;
+    }
+}
+
+/**
+ * Lessons that come with the simulator, in the same JSON shape instructors write
+ */
+export const BUILT_IN_LESSONS = [
+    {
+        format: LESSON_FORMAT,
+        version: 1,
+        title: 'Breaking the sound barrier',
+        summary: 'From waves that outrun the source to the Mach cone and its angle',
+        steps: [
+            {
+                instruction: 'The source is flying at Mach 0.5: its waves bunch up ahead of it but still outrun it. Speed it up to exactly Mach 1.',
+                hints: ['Drag the Mach Number slider, or use the ← → keys.', 'At Mach 1 the source keeps pace with its own waves.'],
+                setup: { mach: 0.5, movingSourceMode: true, windMach: 0, paused: false },
+                check: { quantity: 'mach', near: 1, tolerance: 0.005 },
+                success: 'The waves pile up into a wall in front of the source: the sound barrier.'
+            },
+            {
+                instruction: 'Push through: fly at Mach 1.5 or more.',
+                hints: ['Keep dragging the slider to the right.'],
+                check: { quantity: 'mach', min: 1.5 },
+                success: 'Now the source outruns its waves, which trail behind it in a cone.'
+            },
+            {
+                instruction: 'Set Mach so the cone half-angle is 30°, and hold it there for a second.',
+                hints: [
+                    'The half-angle θ obeys sin θ = 1 / M.',
+                    'sin 30° = 0.5, so M = 1 / 0.5.'
+                ],
+                check: { quantity: 'machAngle', near: 30, tolerance: 0.5 },
+                hold: 1,
+                success: 'Mach 2 gives a 30° cone.'
+            },
+            {
+                instruction: 'Make the cone narrower than 21°.',
+                hints: ['Faster sources drag narrower cones.', 'M = 1 / sin 21° ≈ 2.8, the SR-71\'s speed.'],
+                check: { quantity: 'machAngle', max: 21 },
+                success: 'The faster the source, the more swept back its shock.'
+            }
+        ]
+    },
+    {
+        format: LESSON_FORMAT,
+        version: 1,
+        title: 'Hearing the boom',
+        summary: 'Where and when the sonic boom reaches the ground',
+        steps: [
+            {
+                instruction: 'A source is flying at Mach 2. Place the observer where you hear a boom.',
+                hints: [
+                    'The boom is carried by the edges of the cone, behind the source.',
+                    'Drag the green crosshair below the flight path and wait for the cone to sweep over it.'
+                ],
+                setup: { mach: 2, movingSourceMode: true, windMach: 0, heading: 0, paused: false },
+                check: { quantity: 'booms', increase: 1 },
+                success: 'Every observer the cone sweeps over hears the boom, not just those near the aircraft.'
+            },
+            {
+                instruction: 'Slow down below Mach 1 and fly subsonic for three seconds.',
+                hints: ['Drag the Mach Number slider to the left of 1.'],
+                check: { quantity: 'mach', max: 0.99 },
+                hold: 3,
+                success: 'No cone, no boom: the waves spread out ahead of the source instead of piling up.'
+            },
+            {
+                instruction: 'Add a reflecting ground, go supersonic again and catch a boom off the ground.',
+                hints: [
+                    'Press + Ground in the Boundaries row, then raise the Mach number above 1.',
+                    'Put the observer just above the ground, so the reflected cone reaches it too.'
+                ],
+                check: {
+                    all: [
+                        { quantity: 'boundaries', min: 1 },
+                        { quantity: 'reflectedBooms', increase: 1 }
+                    ]
+                },
+                success: 'Near the ground the direct and reflected booms arrive close together: the double boom.'
+            }
+        ]
+    }
+];
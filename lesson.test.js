@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BUILT_IN_LESSONS,
+    evaluateCheck,
+    LESSON_FORMAT,
+    LessonRunner,
+    parseLesson,
+    validateLesson
+} from './lesson.js';
+
+/**
+ * Lesson file with the given steps
+ */
+function lessonWith(steps) {
+    return { format: LESSON_FORMAT, version: 1, title: 'Test', steps };
+}
+
+const angleStep = {
+    instruction: 'Set a 30° cone',
+    hints: ['sin θ = 1/M', 'M = 2'],
+    check: { quantity: 'machAngle', near: 30, tolerance: 0.5 }
+};
+
+describe('validateLesson', () => {
+    it('should accept the built-in lessons', () => {
+        for (const lesson of BUILT_IN_LESSONS) {
+            expect(validateLesson(lesson).steps.length).toBeGreaterThan(0);
+        }
+    });
+
+    it('should fill in defaults and keep only valid setup settings', () => {
+        const lesson = validateLesson(lessonWith([{ ...angleStep, setup: { mach: 2, view: 'sideways' } }]));
+        expect(lesson.summary).toBe('');
+        expect(lesson.steps[0]).toMatchObject({ hold: 0, success: '', setup: { mach: 2 } });
+    });
+
+    it('should read back a lesson file', () => {
+        const lesson = validateLesson(lessonWith([angleStep]));
+        expect(parseLesson(JSON.stringify(lesson))).toEqual(lesson);
+    });
+
+    it('should reject files that are not lessons', () => {
+        expect(() => parseLesson('not json')).toThrow('Not a lesson file');
+        expect(() => parseLesson('{"title": "x"}')).toThrow('Not a lesson file');
+        expect(() => validateLesson({ ...lessonWith([angleStep]), version: 2 })).toThrow('Unsupported lesson version: 2');
+        expect(() => validateLesson({ ...lessonWith([angleStep]), title: ' ' })).toThrow('needs a title');
+        expect(() => validateLesson(lessonWith([]))).toThrow('at least one step');
+    });
+
+    it('should say which step is wrong and why', () => {
+        expect(() => validateLesson(lessonWith([angleStep, { check: angleStep.check }])))
+            .toThrow('Step 2 needs an instruction');
+        expect(() => validateLesson(lessonWith([{ instruction: 'Go' }]))).toThrow('Step 1 needs a check');
+        expect(() => validateLesson(lessonWith([{ instruction: 'Go', check: { quantity: 'speed', min: 1 } }])))
+            .toThrow('Step 1: unknown quantity "speed"');
+        expect(() => validateLesson(lessonWith([{ instruction: 'Go', check: { quantity: 'mach' } }])))
+            .toThrow('say what mach should be');
+        expect(() => validateLesson(lessonWith([{ instruction: 'Go', check: { quantity: 'mach', min: '1' } }])))
+            .toThrow('"min" must be a number');
+        expect(() => validateLesson(lessonWith([{ instruction: 'Go', check: { all: [] } }])))
+            .toThrow('"all" needs a list of checks');
+        expect(() => validateLesson(lessonWith([{ ...angleStep, hold: -1 }]))).toThrow('"hold" must be a number');
+    });
+
+    it('should not take built-in object properties for quantities', () => {
+        for (const quantity of ['constructor', 'toString', '__proto__']) {
+            expect(() => validateLesson(lessonWith([{ instruction: 'Go', check: { quantity, min: 1 } }])))
+                .toThrow(`unknown quantity "${quantity}"`);
+        }
+    });
+});
+
+describe('evaluateCheck', () => {
+    it('should compare with equals, near, min and max', () => {
+        const state = { mach: 2, machAngle: 30.2, mode: 'moving' };
+        expect(evaluateCheck({ quantity: 'mode', equals: 'moving' }, state)).toBe(true);
+        expect(evaluateCheck({ quantity: 'mode', equals: 'wind' }, state)).toBe(false);
+        expect(evaluateCheck({ quantity: 'machAngle', near: 30, tolerance: 0.5 }, state)).toBe(true);
+        expect(evaluateCheck({ quantity: 'machAngle', near: 30, tolerance: 0.1 }, state)).toBe(false);
+        expect(evaluateCheck({ quantity: 'mach', min: 1.5, max: 2 }, state)).toBe(true);
+        expect(evaluateCheck({ quantity: 'mach', max: 1.9 }, state)).toBe(false);
+    });
+
+    it('should allow 2% either side of near by default', () => {
+        expect(evaluateCheck({ quantity: 'mach', near: 2 }, { mach: 2.03 })).toBe(true);
+        expect(evaluateCheck({ quantity: 'mach', near: 2 }, { mach: 2.05 })).toBe(false);
+    });
+
+    it('should fail numeric comparisons on a missing value, such as the angle below Mach 1', () => {
+        expect(evaluateCheck({ quantity: 'machAngle', max: 21 }, { machAngle: null })).toBe(false);
+    });
+
+    it('should count increases from the start of the step', () => {
+        const check = { quantity: 'booms', increase: 2 };
+        expect(evaluateCheck(check, { booms: 5 }, { booms: 4 })).toBe(false);
+        expect(evaluateCheck(check, { booms: 6 }, { booms: 4 })).toBe(true);
+    });
+
+    it('should combine checks with all and any', () => {
+        const state = { boundaries: 1, reflectedBooms: 0, paused: false };
+        const boundary = { quantity: 'boundaries', min: 1 };
+        const echo = { quantity: 'reflectedBooms', min: 1 };
+        expect(evaluateCheck({ all: [boundary, echo] }, state)).toBe(false);
+        expect(evaluateCheck({ any: [boundary, echo] }, state)).toBe(true);
+    });
+});
+
+describe('LessonRunner', () => {
+    const lesson = validateLesson(lessonWith([
+        { instruction: 'Hear a boom', check: { quantity: 'booms', increase: 1 } },
+        { ...angleStep, hold: 1 }
+    ]));
+
+    it('should complete a step when its check passes, measuring increases from the step start', () => {
+        const runner = new LessonRunner(lesson);
+        expect(runner.update({ booms: 3 }, 0)).toBe(false);
+        expect(runner.update({ booms: 3 }, 100)).toBe(false);
+        expect(runner.update({ booms: 4 }, 200)).toBe(true);
+        expect(runner.stepIndex).toBe(1);
+    });
+
+    it('should wait for the check to hold, starting over when it lapses', () => {
+        const runner = new LessonRunner(lesson);
+        runner.advance();
+        expect(runner.update({ machAngle: 30 }, 0)).toBe(false);
+        expect(runner.update({ machAngle: 25 }, 600)).toBe(false);
+        expect(runner.update({ machAngle: 30 }, 700)).toBe(false);
+        expect(runner.update({ machAngle: 30 }, 1500)).toBe(false);
+        expect(runner.update({ machAngle: 30 }, 1700)).toBe(true);
+        expect(runner.finished).toBe(true);
+        expect(runner.step).toBeUndefined();
+        expect(runner.update({ machAngle: 30 }, 1800)).toBe(false);
+    });
+
+    it('should reveal hints one at a time and reset them on the next step', () => {
+        const runner = new LessonRunner(lesson);
+        expect(runner.hasMoreHints).toBe(false);
+        expect(runner.nextHint()).toBeNull();
+        runner.advance();
+        expect(runner.nextHint()).toBe('sin θ = 1/M');
+        expect(runner.nextHint()).toBe('M = 2');
+        expect(runner.hints).toEqual(['sin θ = 1/M', 'M = 2']);
+        expect(runner.hasMoreHints).toBe(false);
+        runner.advance();
+        expect(runner.hints).toEqual([]);
+    });
+});
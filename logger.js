@@ -0,0 +1,142 @@
+// Data logger for lab work
+// Keeps every emission and observer crossing of a run, which the simulation itself
+// forgets after a couple of seconds, and exports them as CSV or JSON.
+
+import { distance, mirrorPoint } from './physics.js';
+
+/**
+ * Columns of the CSV export, in order
+ */
+export const LOG_COLUMNS = [
+    'event', 'time', 'pulseId', 'sourceId', 'x', 'y', 'mach',
+    'observerId', 'observer', 'distance', 'dopplerShift', 'boom', 'reflected'
+];
+
+/**
+ * Quote a CSV cell if it contains a separator, quote or line break
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string}
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Records the events of every simulation step for export
+ */
+export class DataLogger {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Forget everything logged so far, e.g. when the run is reset
+     */
+    clear() {
+        this.emissions = [];    // {time, pulseId, sourceId, x, y, mach}
+        this.crossings = [];    // {time, pulseId, sourceId, observerId, observer, distance, dopplerShift, boom,
+                                //  reflected}
+    }
+
+    /**
+     * @returns {number} Number of logged events
+     */
+    get size() {
+        return this.emissions.length + this.crossings.length;
+    }
+
+    /**
+     * Drop what was logged after a moment, when the run is rewound and played on from there
+     * @param {number} time - Simulated time in ms; events at this time are kept
+     */
+    forgetAfter(time) {
+        this.emissions = this.emissions.filter(e => e.time <= time);
+        this.crossings = this.crossings.filter(c => c.time <= time);
+    }
+
+    /**
+     * Log the events of one step
+     * @param {import('./simulation.js').Simulation} simulation - Simulation that was just stepped
+     * @param {{emitted: object[], hits: {pulse: object, sourceId: number, observerId: number,
+     *   dopplerShift: number, reflected: boolean, boundaryId?: number}[],
+     *   booms: {sourceId: number, observerId: number, reflected: boolean}[]}} events - What step() returned
+     */
+    record(simulation, events) {
+        const { time } = simulation;
+
+        for (const pulse of events.emitted) {
+            this.emissions.push({
+                time,
+                pulseId: pulse.id,
+                sourceId: pulse.sourceId,
+                x: pulse.birthX,
+                y: pulse.birthY,
+                mach: pulse.birthMach
+            });
+        }
+
+        for (const hit of events.hits) {
+            const observer = simulation.observers.find(o => o.id === hit.observerId);
+            const { pulse } = hit;
+            // A reflection travels from the wave center's mirror image
+            const boundary = hit.reflected ? simulation.boundaryById(hit.boundaryId) : null;
+            const center = boundary ? mirrorPoint(pulse.x, pulse.y, boundary) : pulse;
+            this.crossings.push({
+                time,
+                pulseId: pulse.id,
+                sourceId: hit.sourceId,
+                observerId: hit.observerId,
+                observer: observer ? observer.name : '',
+                // How far the sound travelled: from the (drifted) wave center to the observer
+                distance: observer ? distance(center.x, center.y, observer.x, observer.y) : pulse.radius,
+                dopplerShift: hit.dopplerShift,
+                boom: events.booms.some(b => b.sourceId === hit.sourceId && b.observerId === hit.observerId &&
+                    b.reflected === hit.reflected),
+                reflected: hit.reflected
+            });
+        }
+    }
+
+    /**
+     * Every logged event as one table, emissions and crossings interleaved in time order
+     * Cells that do not apply to an event are left empty.
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const rows = [
+            ...this.emissions.map(e => ({ event: 'emission', ...e })),
+            ...this.crossings.map(c => ({ event: 'crossing', ...c }))
+        ];
+        // Stable sort keeps each step's emissions ahead of its crossings
+        rows.sort((a, b) => a.time - b.time);
+
+        const lines = [LOG_COLUMNS.join(',')];
+        for (const row of rows) {
+            lines.push(LOG_COLUMNS.map(column => csvCell(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Everything logged, with the units needed to interpret it
+     * A Doppler factor of Infinity (on the Mach cone) is exported as null, as JSON has no infinity.
+     * @param {import('./simulation.js').Simulation} simulation - Simulation the log came from
+     * @returns {object} Plain object ready for JSON.stringify
+     */
+    toData(simulation) {
+        return {
+            units: { time: 'ms', distance: 'px', speedOfSound: 'px/frame' },
+            speedOfSound: simulation.speedOfSound,
+            frameDuration: simulation.frameDuration,
+            movingSourceMode: simulation.movingSourceMode,
+            dopplerModel: simulation.dopplerModel,
+            emissions: this.emissions.map(e => ({ ...e })),
+            crossings: this.crossings.map(c => ({
+                ...c,
+                dopplerShift: Number.isFinite(c.dopplerShift) ? c.dopplerShift : null
+            }))
+        };
+    }
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { DataLogger, LOG_COLUMNS } from './logger.js';
+import { Simulation } from './simulation.js';
+
+/**
+ * Step the simulation, logging every frame
+ */
+function runLogged(sim, logger, frames) {
+    for (let i = 0; i < frames; i++) {
+        logger.record(sim, sim.step());
+    }
+}
+
+describe('DataLogger.record', () => {
+    it('should log every emission with the source position and Mach number', () => {
+        const sim = new Simulation({ mach: 0.5, emissionInterval: 10 });
+        const logger = new DataLogger();
+        runLogged(sim, logger, 30);
+
+        expect(logger.emissions).toHaveLength(3);
+        expect(logger.emissions.map(e => e.pulseId)).toEqual([0, 1, 2]);
+        expect(logger.emissions[0]).toMatchObject({ sourceId: 0, mach: 0.5, y: 250 });
+        expect(logger.emissions[0].time).toBeCloseTo(10 * sim.frameDuration, 6);
+    });
+
+    it('should log the Mach number each pulse was emitted at', () => {
+        // In wind mode every source moves with the lead, whatever its own setting
+        const sim = new Simulation({ mach: 0.5, emissionInterval: 10 });
+        const wing = sim.addSource({ mach: 2, emissionInterval: 10 });
+        const logger = new DataLogger();
+        runLogged(sim, logger, 10);
+
+        const wingRow = logger.emissions.find(e => e.sourceId === wing.id);
+        expect(wingRow.mach).toBe(0.5);
+    });
+
+    it('should log every observer crossing with distance and Doppler factor', () => {
+        // Observer 100px from a stationary source: pulses from frames 20, 40 and 60 arrive by frame 120
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setObserver(sim.source.x + 100, sim.source.y);
+        const logger = new DataLogger();
+        runLogged(sim, logger, 120);
+
+        expect(logger.crossings).toHaveLength(3);
+        const first = logger.crossings[0];
+        expect(first).toMatchObject({ pulseId: 0, sourceId: 0, observerId: 0, observer: 'Observer 1', boom: false });
+        expect(first.distance).toBeCloseTo(100, 6);
+        expect(first.dopplerShift).toBeCloseTo(1, 6);
+        expect(logger.size).toBe(logger.emissions.length + 3);
+    });
+
+    it('should flag crossings that were part of a sonic boom', () => {
+        const sim = new Simulation({ mach: 2, emissionInterval: 5, movingSourceMode: true });
+        sim.setObserver(600, 450);
+        const logger = new DataLogger();
+        runLogged(sim, logger, 300);
+
+        const booming = logger.crossings.filter(c => c.boom);
+        expect(sim.boomCount).toBeGreaterThan(0);
+        expect(booming.length).toBeGreaterThanOrEqual(3);
+    });
+
+    it('should measure reflected crossings from the mirror image of the wave center', () => {
+        // Ground 50px below a stationary source and its observer: the pulse from frame 20 arrives
+        // directly at frame 120 and off the ground, 2 * sqrt(100² + 50²) away, at frame 132
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setObserver(sim.source.x + 200, sim.source.y);
+        sim.addBoundary({ x1: -1000, y1: sim.source.y + 50, x2: 2000, y2: sim.source.y + 50 });
+        const logger = new DataLogger();
+        runLogged(sim, logger, 140);
+
+        const [direct, echo] = logger.crossings;
+        expect(direct).toMatchObject({ pulseId: 0, reflected: false });
+        expect(direct.distance).toBeCloseTo(200, 6);
+        expect(echo).toMatchObject({ pulseId: 0, reflected: true, boom: false });
+        expect(echo.distance).toBeCloseTo(2 * Math.hypot(100, 50), 6);
+        expect(LOG_COLUMNS).toContain('reflected');
+    });
+
+    it('should forget what followed a rewound moment', () => {
+        const sim = new Simulation({ emissionInterval: 10 });
+        const logger = new DataLogger();
+        runLogged(sim, logger, 20);
+        const time = sim.time;
+        runLogged(sim, logger, 20);
+        logger.forgetAfter(time);
+        expect(logger.emissions).toHaveLength(2);
+        expect(logger.emissions.every(e => e.time <= time)).toBe(true);
+    });
+
+    it('should forget everything when cleared', () => {
+        const sim = new Simulation({ emissionInterval: 5 });
+        const logger = new DataLogger();
+        runLogged(sim, logger, 20);
+        logger.clear();
+        expect(logger.size).toBe(0);
+    });
+});
+
+describe('DataLogger exports', () => {
+    it('should export one CSV row per event in time order', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setObserver(sim.source.x + 100, sim.source.y);
+        const logger = new DataLogger();
+        runLogged(sim, logger, 80);
+
+        const lines = logger.toCSV().trim().split('\n');
+        expect(lines[0]).toBe(LOG_COLUMNS.join(','));
+        expect(lines).toHaveLength(1 + logger.size);
+
+        const events = lines.slice(1).map(line => line.split(',')[0]);
+        expect(events).toEqual(['emission', 'emission', 'emission', 'crossing', 'emission']);
+        const times = lines.slice(1).map(line => Number(line.split(',')[1]));
+        expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+
+    it('should quote CSV cells that contain commas or quotes', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setObserver(sim.source.x + 40, sim.source.y);
+        sim.setObserverName('Row 3, "back"');
+        const logger = new DataLogger();
+        runLogged(sim, logger, 60);
+
+        expect(logger.toCSV()).toContain(',"Row 3, ""back""",');
+    });
+
+    it('should export JSON with units and no infinite Doppler factors', () => {
+        const sim = new Simulation({ emissionInterval: 20 });
+        const logger = new DataLogger();
+        logger.crossings.push({ time: 1, pulseId: 0, dopplerShift: Infinity, boom: true });
+
+        const data = JSON.parse(JSON.stringify(logger.toData(sim)));
+        expect(data.units.time).toBe('ms');
+        expect(data.speedOfSound).toBe(sim.speedOfSound);
+        expect(data.crossings[0].dopplerShift).toBeNull();
+    });
+});
@@ -0,0 +1,109 @@
+// A listening point in the simulation
+// Keeps its own wave arrival history, observed frequency and boom count.
+
+import { calculateObservedFrequency } from './physics.js';
+
+/**
+ * Arrivals older than this many milliseconds of simulated time are forgotten
+ */
+export const HIT_HISTORY_MS = 2000;
+
+/**
+ * One named observer and what it has heard
+ */
+export class Observer {
+    /**
+     * @param {number} id - Identifier used to tag hits and booms
+     * @param {string} name - Label shown next to the observer and in the comparison table
+     * @param {number} x - X position in pixels
+     * @param {number} y - Y position in pixels
+     */
+    constructor(id, name, x, y) {
+        this.id = id;
+        this.name = name;
+        this.x = x;
+        this.y = y;
+        this.waveHits = [];     // Recent direct arrivals as {time, sourceId}, time in simulated ms
+        this.reflectedHits = []; // Recent arrivals reflected off a boundary, likewise
+        this.observedFrequency = 0;
+        this.reflectedFrequency = 0;
+        this.boomCount = 0;     // Every boom heard, reflected ones included
+        this.reflectedBoomCount = 0;
+    }
+
+    /**
+     * @param {number} time - Simulated time of the arrival in ms
+     * @param {number} sourceId - Source that emitted the arriving pulse
+     * @param {boolean} [reflected] - True if the pulse arrived off a reflecting boundary
+     */
+    recordHit(time, sourceId, reflected = false) {
+        (reflected ? this.reflectedHits : this.waveHits).push({ time, sourceId });
+    }
+
+    /**
+     * Forget old arrivals and update the observed frequencies (waves per second over the last
+     * 2 seconds), direct and reflected counted apart
+     * @param {number} time - Current simulated time in ms
+     */
+    update(time) {
+        this.waveHits = this.waveHits.filter(h => time - h.time < HIT_HISTORY_MS);
+        this.reflectedHits = this.reflectedHits.filter(h => time - h.time < HIT_HISTORY_MS);
+        this.observedFrequency = calculateObservedFrequency(this.waveHits.map(h => h.time), time, HIT_HISTORY_MS);
+        this.reflectedFrequency = calculateObservedFrequency(this.reflectedHits.map(h => h.time), time,
+            HIT_HISTORY_MS);
+    }
+
+    /**
+     * Observed frequency counting only one source's waves
+     * @param {number} sourceId - Source to listen to
+     * @param {number} time - Current simulated time in ms
+     * @returns {number} Waves per second
+     */
+    frequencyFrom(sourceId, time) {
+        const times = this.waveHits.filter(h => h.sourceId === sourceId).map(h => h.time);
+        return calculateObservedFrequency(times, time, HIT_HISTORY_MS);
+    }
+
+    /**
+     * Copy of what the observer has heard, for rewinding
+     * The name and position are left out, so an observer moved while rewound stays put.
+     * @returns {object} State to pass to restore()
+     */
+    snapshot() {
+        return structuredClone({
+            waveHits: this.waveHits,
+            reflectedHits: this.reflectedHits,
+            observedFrequency: this.observedFrequency,
+            reflectedFrequency: this.reflectedFrequency,
+            boomCount: this.boomCount,
+            reflectedBoomCount: this.reflectedBoomCount
+        });
+    }
+
+    /**
+     * Put back what the observer had heard when a snapshot was taken
+     * @param {object} snapshot - What snapshot() returned; left unchanged, so it can be restored again
+     */
+    restore(snapshot) {
+        Object.assign(this, structuredClone(snapshot));
+    }
+
+    /**
+     * Plain snapshot of the observer
+     * @returns {object} Copy of the observer, safe to keep across steps
+     */
+    getState() {
+        return {
+            id: this.id,
+            name: this.name,
+            x: this.x,
+            y: this.y,
+            waveHits: this.waveHits.map(h => ({ ...h })),
+            reflectedHits: this.reflectedHits.map(h => ({ ...h })),
+            observedFrequency: this.observedFrequency,
+            reflectedFrequency: this.reflectedFrequency,
+            boomCount: this.boomCount,
+            reflectedBoomCount: this.reflectedBoomCount
+        };
+    }
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { Observer } from './observer.js';
+
+describe('Observer', () => {
+    it('should start with a name, a position and nothing heard', () => {
+        const observer = new Observer(0, 'Ahead', 700, 250);
+        expect(observer).toMatchObject({ id: 0, name: 'Ahead', x: 700, y: 250, observedFrequency: 0, boomCount: 0 });
+        expect(observer.waveHits).toEqual([]);
+    });
+
+    it('should measure waves per second over the last two seconds', () => {
+        const observer = new Observer(0, 'Ahead', 0, 0);
+        [0, 500, 1000, 1500, 2000].forEach(time => observer.recordHit(time, 0));
+        observer.update(2100);
+        expect(observer.waveHits).toHaveLength(4);
+        expect(observer.observedFrequency).toBe(2);
+    });
+
+    it('should measure the frequency of one source at a time', () => {
+        const observer = new Observer(0, 'Ahead', 0, 0);
+        [100, 300, 500].forEach(time => observer.recordHit(time, 0));
+        observer.recordHit(400, 1);
+        expect(observer.frequencyFrom(0, 600)).toBe(1.5);
+        expect(observer.frequencyFrom(1, 600)).toBe(0);
+    });
+
+    it('should count reflected arrivals apart from the direct sound', () => {
+        const observer = new Observer(0, 'Ahead', 0, 0);
+        [100, 300, 500].forEach(time => observer.recordHit(time, 0));
+        [200, 400].forEach(time => observer.recordHit(time, 0, true));
+        observer.update(600);
+        expect(observer.waveHits).toHaveLength(3);
+        expect(observer.reflectedHits).toEqual([{ time: 200, sourceId: 0 }, { time: 400, sourceId: 0 }]);
+        expect(observer.observedFrequency).toBe(1.5);
+        expect(observer.reflectedFrequency).toBe(1);
+    });
+
+    it('should return a snapshot that does not change with later hits', () => {
+        const observer = new Observer(2, 'Behind', 10, 20);
+        observer.recordHit(100, 0);
+        const state = observer.getState();
+        observer.recordHit(200, 0);
+        expect(state.waveHits).toEqual([{ time: 100, sourceId: 0 }]);
+        expect(state.name).toBe('Behind');
+    });
+});
@@ -0,0 +1,162 @@
+// Shareable links
+// Encodes the settings a teacher would set up (Mach, pulse rate, mode, observer position,
+// sound, pause...) in the URL hash, and reads them back with every value checked.
+
+/**
+ * Settings of a fresh page; decoded links only contain the fields they override
+ */
+export const SHARED_DEFAULTS = {
+    mach: 0.5,
+    pulseRate: 3,           // Pulses per second
+    heading: 0,             // Degrees counterclockwise from the right
+    windMach: 0,            // Wind over the ground, in either mode
+    windHeading: 0,         // Degrees counterclockwise from the right the wind blows toward
+    altitude: 0,            // Meters, for the standard atmosphere
+    length: 30,             // Aircraft length in meters, for the sonic boom
+    temperature: null,      // °C overriding the standard atmosphere, or null
+    movingSourceMode: false,
+    view: 'rings',
+    observer: { x: 0.78, y: 0.5 },  // Fractions of the canvas width and height
+    sound: false,
+    paused: false
+};
+
+/**
+ * Simulation steps per second, which older links and scenario files counted pulse intervals in
+ */
+const LEGACY_STEPS_PER_SECOND = 60;
+
+/**
+ * Render modes a link may ask for
+ */
+export const SHARED_VIEWS = ['rings', 'pressure', 'nwave'];
+
+/**
+ * Round to a few decimals so links stay short
+ */
+function round(value, decimals) {
+    const scale = 10 ** decimals;
+    return Math.round(value * scale) / scale;
+}
+
+/**
+ * Number within a range, or null
+ */
+function checkNumber(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? value : null;
+}
+
+/**
+ * Keep only the valid settings from untrusted input, such as a link or a scenario file
+ * Older links and files gave emissionInterval (steps between pulses) instead of pulseRate.
+ * @param {object} raw - Settings in the shape of SHARED_DEFAULTS, possibly incomplete or wrong
+ * @returns {Partial<typeof SHARED_DEFAULTS>} The settings that are present and valid
+ */
+export function sanitizeSharedState(raw) {
+    const state = {};
+    if (!raw || typeof raw !== 'object') return state;
+
+    const mach = checkNumber(raw.mach, 0, 10);
+    if (mach !== null) state.mach = mach;
+
+    const rate = checkNumber(raw.pulseRate, 0.1, 60);
+    const interval = checkNumber(raw.emissionInterval, 1, 600);
+    if (rate !== null) {
+        state.pulseRate = round(rate, 2);
+    } else if (interval !== null) {
+        state.pulseRate = round(LEGACY_STEPS_PER_SECOND / Math.round(interval), 2);
+    }
+
+    const heading = checkNumber(raw.heading, -360, 360);
+    if (heading !== null) state.heading = ((heading % 360) + 360) % 360;
+
+    const windMach = checkNumber(raw.windMach, 0, 0.99);
+    if (windMach !== null) state.windMach = windMach;
+
+    const windHeading = checkNumber(raw.windHeading, -360, 360);
+    if (windHeading !== null) state.windHeading = ((windHeading % 360) + 360) % 360;
+
+    const altitude = checkNumber(raw.altitude, 0, 100000);
+    if (altitude !== null) state.altitude = Math.round(altitude);
+
+    const length = checkNumber(raw.length, 0.1, 500);
+    if (length !== null) state.length = round(length, 1);
+
+    if (raw.temperature === null) {
+        state.temperature = null;
+    } else {
+        const temperature = checkNumber(raw.temperature, -100, 100);
+        if (temperature !== null) state.temperature = temperature;
+    }
+
+    if (typeof raw.movingSourceMode === 'boolean') state.movingSourceMode = raw.movingSourceMode;
+    if (SHARED_VIEWS.includes(raw.view)) state.view = raw.view;
+
+    if (raw.observer && typeof raw.observer === 'object') {
+        const x = checkNumber(raw.observer.x, 0, 1);
+        const y = checkNumber(raw.observer.y, 0, 1);
+        if (x !== null && y !== null) state.observer = { x, y };
+    }
+
+    if (typeof raw.sound === 'boolean') state.sound = raw.sound;
+    if (typeof raw.paused === 'boolean') state.paused = raw.paused;
+    return state;
+}
+
+/**
+ * Encode settings as a URL hash (without the leading "#")
+ * @param {typeof SHARED_DEFAULTS} state - Settings to share
+ * @returns {string} For example
+ *   "m=2.04&pps=3&hd=0&w=0.1&wd=180&alt=18288&len=61.7&temp=&mode=moving&view=rings&ox=0.5&oy=0.8&snd=0&p=0",
+ *   where an empty temp means the standard atmosphere
+ */
+export function encodePermalink(state) {
+    const params = new URLSearchParams({
+        m: String(round(state.mach, 3)),
+        pps: String(round(state.pulseRate, 2)),
+        hd: String(round(state.heading, 1)),
+        w: String(round(state.windMach, 3)),
+        wd: String(round(state.windHeading, 1)),
+        alt: String(Math.round(state.altitude)),
+        len: String(round(state.length, 1)),
+        temp: state.temperature === null ? '' : String(round(state.temperature, 1)),
+        mode: state.movingSourceMode ? 'moving' : 'wind',
+        view: state.view,
+        ox: String(round(state.observer.x, 3)),
+        oy: String(round(state.observer.y, 3)),
+        snd: state.sound ? '1' : '0',
+        p: state.paused ? '1' : '0'
+    });
+    return params.toString();
+}
+
+/**
+ * Read settings from a URL hash
+ * Unknown, malformed or out-of-range values are left out, so a damaged link still opens with
+ * whatever it got right.
+ * @param {string} hash - location.hash, with or without the leading "#"
+ * @returns {Partial<typeof SHARED_DEFAULTS>} Only the settings present and valid in the link
+ */
+export function decodePermalink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const number = name => (params.has(name) ? Number(params.get(name)) : undefined);
+    const flag = name => ({ 1: true, 0: false })[params.get(name)];
+    const mode = params.get('mode');
+
+    return sanitizeSharedState({
+        mach: number('m'),
+        pulseRate: number('pps'),
+        emissionInterval: number('rate'),   // Links from before pulse rates were per second
+        heading: number('hd'),
+        windMach: number('w'),
+        windHeading: number('wd'),
+        altitude: number('alt'),
+        length: number('len'),
+        temperature: params.get('temp') === '' ? null : number('temp'),
+        movingSourceMode: mode === 'moving' ? true : mode === 'wind' ? false : undefined,
+        view: params.get('view'),
+        observer: { x: number('ox'), y: number('oy') },
+        sound: flag('snd'),
+        paused: flag('p')
+    });
+}
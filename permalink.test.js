@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { decodePermalink, encodePermalink, sanitizeSharedState, SHARED_DEFAULTS } from './permalink.js';
+
+const concorde = {
+    mach: 2.04,
+    pulseRate: 6,
+    heading: 30,
+    windMach: 0.1,
+    windHeading: 180,
+    altitude: 18288,
+    length: 61.7,
+    temperature: -10,
+    movingSourceMode: true,
+    view: 'pressure',
+    observer: { x: 0.5, y: 0.8 },
+    sound: true,
+    paused: false
+};
+
+describe('encodePermalink', () => {
+    it('should encode every setting as a short hash', () => {
+        expect(encodePermalink(concorde)).toBe(
+            'm=2.04&pps=6&hd=30&w=0.1&wd=180&alt=18288&len=61.7&temp=-10&mode=moving&view=pressure&ox=0.5&oy=0.8&snd=1&p=0');
+    });
+
+    it('should round positions and Mach numbers', () => {
+        const hash = encodePermalink({ ...SHARED_DEFAULTS, mach: 1.23456, observer: { x: 1 / 3, y: 0.5 } });
+        expect(hash).toContain('m=1.235');
+        expect(hash).toContain('ox=0.333');
+    });
+});
+
+describe('decodePermalink', () => {
+    it('should restore what was encoded', () => {
+        expect(decodePermalink('#' + encodePermalink(concorde))).toEqual(concorde);
+        expect(decodePermalink(encodePermalink(SHARED_DEFAULTS))).toEqual(SHARED_DEFAULTS);
+    });
+
+    it('should return nothing for an empty hash', () => {
+        expect(decodePermalink('')).toEqual({});
+        expect(decodePermalink('#')).toEqual({});
+    });
+
+    it('should keep only the settings present in the link', () => {
+        expect(decodePermalink('#m=1.5&mode=moving')).toEqual({ mach: 1.5, movingSourceMode: true });
+    });
+
+    it('should read the pulse interval of older links as a rate', () => {
+        expect(decodePermalink('#rate=20')).toEqual({ pulseRate: 3 });
+        expect(decodePermalink('#pps=2.5&rate=20')).toEqual({ pulseRate: 2.5 });
+    });
+
+    it('should drop malformed and out-of-range values', () => {
+        const state = decodePermalink('#m=fast&pps=0&rate=-4&len=0&mode=sideways&view=3d&ox=2&oy=0.5&snd=yes&p=1');
+        expect(state).toEqual({ paused: true });
+    });
+
+    it('should wrap headings into 0-360 degrees', () => {
+        expect(decodePermalink('#hd=-90').heading).toBe(270);
+        expect(decodePermalink('#hd=360').heading).toBe(0);
+        expect(decodePermalink('#wd=-90').windHeading).toBe(270);
+    });
+
+    it('should only accept subsonic winds', () => {
+        expect(decodePermalink('#w=0.2')).toEqual({ windMach: 0.2 });
+        expect(decodePermalink('#w=1.5')).toEqual({});
+    });
+
+    it('should read an empty temperature as the standard atmosphere', () => {
+        expect(decodePermalink('#temp=')).toEqual({ temperature: null });
+        expect(decodePermalink('#temp=abc')).toEqual({});
+    });
+
+    it('should need both observer coordinates', () => {
+        expect(decodePermalink('#ox=0.5').observer).toBeUndefined();
+    });
+});
+
+describe('sanitizeSharedState', () => {
+    it('should keep valid settings and drop the rest', () => {
+        expect(sanitizeSharedState(SHARED_DEFAULTS)).toEqual(SHARED_DEFAULTS);
+        expect(sanitizeSharedState({ mach: '2', sound: 1, view: 'nwave', pulseRate: 4.567 }))
+            .toEqual({ view: 'nwave', pulseRate: 4.57 });
+        expect(sanitizeSharedState({ emissionInterval: 12.4 })).toEqual({ pulseRate: 5 });
+    });
+
+    it('should accept anything without throwing', () => {
+        expect(sanitizeSharedState(null)).toEqual({});
+        expect(sanitizeSharedState('m=2')).toEqual({});
+        expect(sanitizeSharedState({ observer: 'left' })).toEqual({});
+    });
+});
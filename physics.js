@@ -7,7 +7,20 @@
 export const SPEED_OF_SOUND = {
     MPH: 767,
     KMH: 1235,
-    MS: 343
+    MS: 343,
+    KNOTS: 667,
+    FTS: 1125
+};
+
+/**
+ * Speed units and how each is written in readouts
+ */
+export const SPEED_UNITS = {
+    mph: 'mph',
+    kmh: 'km/h',
+    ms: 'm/s',
+    knots: 'knots',
+    fts: 'ft/s'
 };
 
 /**
@@ -53,34 +66,179 @@ export function isSupersonic(mach) {
     return mach > 1;
 }
 
+/**
+ * Meters in a foot, for altitude readouts
+ */
+export const METERS_PER_FOOT = 0.3048;
+
+const MPH_PER_MS = 3600 / 1609.344;
+
+// Each speed unit per meter per second
+const UNITS_PER_MS = {
+    mph: MPH_PER_MS,
+    kmh: 3.6,
+    ms: 1,
+    knots: 3600 / 1852,
+    fts: 1 / METERS_PER_FOOT
+};
+
+// Ways of writing each unit accepted by parseSpeed
+const SPEED_UNIT_NAMES = {
+    mph: 'mph', 'mi/h': 'mph', 'miles per hour': 'mph',
+    kmh: 'kmh', 'km/h': 'kmh', kph: 'kmh',
+    ms: 'ms', 'm/s': 'ms', mps: 'ms',
+    kn: 'knots', kt: 'knots', kts: 'knots', knot: 'knots', knots: 'knots',
+    fts: 'fts', 'ft/s': 'fts', fps: 'fts'
+};
+const GAS_CONSTANT = 287.05287;     // Specific gas constant of dry air, J/(kg·K)
+const HEAT_CAPACITY_RATIO = 1.4;    // γ for air
+const GRAVITY = 9.80665;            // Standard gravity, m/s²
+
+/**
+ * International Standard Atmosphere (ISO 2533) layers up to the mesopause
+ * Temperature changes linearly with altitude within each layer.
+ * Altitudes are geopotential meters, temperatures kelvin, lapse rates K/m.
+ */
+export const ISA_LAYERS = [
+    { name: 'Troposphere', base: 0, temperature: 288.15, lapseRate: -0.0065 },
+    { name: 'Tropopause', base: 11000, temperature: 216.65, lapseRate: 0 },
+    { name: 'Stratosphere', base: 20000, temperature: 216.65, lapseRate: 0.001 },
+    { name: 'Stratosphere', base: 32000, temperature: 228.65, lapseRate: 0.0028 },
+    { name: 'Stratopause', base: 47000, temperature: 270.65, lapseRate: 0 },
+    { name: 'Mesosphere', base: 51000, temperature: 270.65, lapseRate: -0.0028 },
+    { name: 'Mesosphere', base: 71000, temperature: 214.65, lapseRate: -0.002 }
+];
+
+/**
+ * Highest altitude the standard atmosphere covers, in meters
+ */
+export const ISA_MAX_ALTITUDE = 84852;
+
+/**
+ * Sea-level pressure of the standard atmosphere, in pascals
+ */
+export const ISA_SEA_LEVEL_PRESSURE = 101325;
+
+/**
+ * Speed of sound in air at a given temperature
+ * @param {number} temperature - Absolute temperature in kelvin
+ * @returns {number} Speed of sound in m/s
+ */
+export function speedOfSoundAt(temperature) {
+    return Math.sqrt(HEAT_CAPACITY_RATIO * GAS_CONSTANT * temperature);
+}
+
+/**
+ * Air at an altitude in the International Standard Atmosphere
+ * A custom temperature replaces the standard one (a hot or cold day) without changing the
+ * standard pressure; density and speed of sound follow from it.
+ * @param {number} altitude - Geopotential altitude in meters, clamped to 0..ISA_MAX_ALTITUDE
+ * @param {number | null} [temperature] - Temperature override in kelvin, or null for standard
+ * @returns {{altitude: number, layer: string, temperature: number, pressure: number,
+ *   density: number, speedOfSound: number}} SI units: m, K, Pa, kg/m³, m/s
+ */
+export function standardAtmosphere(altitude, temperature = null) {
+    const h = Math.min(Math.max(altitude, 0), ISA_MAX_ALTITUDE);
+
+    // Walk up the layers, carrying the pressure at each layer base
+    let pressure = ISA_SEA_LEVEL_PRESSURE;
+    let layer = ISA_LAYERS[0];
+    for (let i = 0; i < ISA_LAYERS.length; i++) {
+        layer = ISA_LAYERS[i];
+        const top = i + 1 < ISA_LAYERS.length ? ISA_LAYERS[i + 1].base : ISA_MAX_ALTITUDE;
+        const height = Math.min(h, top) - layer.base;
+        const baseTemperature = layer.temperature;
+        if (layer.lapseRate === 0) {
+            pressure *= Math.exp(-GRAVITY * height / (GAS_CONSTANT * baseTemperature));
+        } else {
+            const ratio = (baseTemperature + layer.lapseRate * height) / baseTemperature;
+            pressure *= Math.pow(ratio, -GRAVITY / (GAS_CONSTANT * layer.lapseRate));
+        }
+        if (h <= top) break;
+    }
+
+    const standardTemperature = layer.temperature + layer.lapseRate * (h - layer.base);
+    const actualTemperature = temperature ?? standardTemperature;
+    return {
+        altitude: h,
+        layer: layer.name,
+        temperature: actualTemperature,
+        pressure,
+        density: pressure / (GAS_CONSTANT * actualTemperature),
+        speedOfSound: speedOfSoundAt(actualTemperature)
+    };
+}
+
 /**
  * Convert Mach number to real-world speeds
  * @param {number} mach - Mach number
- * @returns {{mph: number, kmh: number, ms: number}} Speed in various units
+ * @param {number | null} [speedOfSound] - Local speed of sound in m/s (see standardAtmosphere),
+ *   or null for the sea-level constants
+ * @returns {{mph: number, kmh: number, ms: number, knots: number, fts: number}} Speed in
+ *   each of the SPEED_UNITS
  */
-export function machToSpeed(mach) {
+export function machToSpeed(mach, speedOfSound = null) {
+    if (speedOfSound !== null) {
+        const ms = mach * speedOfSound;
+        const speed = {};
+        for (const [unit, perMs] of Object.entries(UNITS_PER_MS)) {
+            speed[unit] = Math.round(ms * perMs);
+        }
+        return speed;
+    }
     return {
         mph: Math.round(mach * SPEED_OF_SOUND.MPH),
         kmh: Math.round(mach * SPEED_OF_SOUND.KMH),
-        ms: Math.round(mach * SPEED_OF_SOUND.MS)
+        ms: Math.round(mach * SPEED_OF_SOUND.MS),
+        knots: Math.round(mach * SPEED_OF_SOUND.KNOTS),
+        fts: Math.round(mach * SPEED_OF_SOUND.FTS)
     };
 }
 
 /**
  * Convert speed to Mach number
  * @param {number} speed - Speed value
- * @param {'mph' | 'kmh' | 'ms'} unit - Unit of the speed
+ * @param {keyof typeof SPEED_UNITS} unit - Unit of the speed
+ * @param {number | null} [speedOfSound] - Local speed of sound in m/s, or null for the
+ *   sea-level constants
  * @returns {number} Mach number
  */
-export function speedToMach(speed, unit = 'mph') {
+export function speedToMach(speed, unit = 'mph', speedOfSound = null) {
+    if (!Object.hasOwn(UNITS_PER_MS, unit)) {
+        throw new Error(`Unknown speed unit: ${unit}`);
+    }
+    if (speedOfSound !== null) {
+        return speed / UNITS_PER_MS[unit] / speedOfSound;
+    }
     const divisors = {
         mph: SPEED_OF_SOUND.MPH,
         kmh: SPEED_OF_SOUND.KMH,
-        ms: SPEED_OF_SOUND.MS
+        ms: SPEED_OF_SOUND.MS,
+        knots: SPEED_OF_SOUND.KNOTS,
+        fts: SPEED_OF_SOUND.FTS
     };
     return speed / divisors[unit];
 }
 
+/**
+ * Read a typed speed such as "1,350 knots", "660 m/s" or just "900"
+ * @param {string} text - A number, optionally with thousands separators, then an optional unit
+ * @param {keyof typeof SPEED_UNITS} [defaultUnit] - Unit when none is written
+ * @returns {{speed: number, unit: keyof typeof SPEED_UNITS}} The speed and its unit
+ */
+export function parseSpeed(text, defaultUnit = 'mph') {
+    const match = /^\s*(\d[\d,]*(?:\.\d*)?|\.\d+)\s*(.*?)\s*$/.exec(String(text));
+    if (!match) {
+        throw new Error(`Not a speed: "${text}"`);
+    }
+    const written = match[2].toLowerCase();
+    if (written && !Object.hasOwn(SPEED_UNIT_NAMES, written)) {
+        throw new Error(`Unknown speed unit: ${match[2]}`);
+    }
+    const unit = written ? SPEED_UNIT_NAMES[written] : defaultUnit;
+    return { speed: parseFloat(match[1].replace(/,/g, '')), unit };
+}
+
 /**
  * Calculate Doppler shift factor
  * @param {number} mach - Mach number of source
@@ -89,9 +247,10 @@ export function speedToMach(speed, unit = 'mph') {
  * @param {number} sourceX - Source X position
  * @param {number} sourceY - Source Y position
  * @param {boolean} movingSourceMode - True if source moves, false if medium moves (wind mode)
+ * @param {number} heading - Direction of motion in radians, canvas coordinates (default 0 = moving right)
  * @returns {number} Doppler shift multiplier (>1 = blue shift/approaching, <1 = red shift/receding)
  */
-export function calculateDopplerShift(mach, observerX, observerY, sourceX, sourceY, movingSourceMode) {
+export function calculateDopplerShift(mach, observerX, observerY, sourceX, sourceY, movingSourceMode, heading = 0) {
     if (mach < 0.01) return 1; // No shift at rest
 
     // Vector from source to observer
@@ -104,13 +263,15 @@ export function calculateDopplerShift(mach, observerX, observerY, sourceX, sourc
 
     // Normalize direction vector
     const dirX = dx / distance;
+    const dirY = dy / distance;
 
-    // Motion direction (source moving right)
-    const motionDirX = 1;
+    // Motion direction
+    const motionDirX = Math.cos(heading);
+    const motionDirY = Math.sin(heading);
 
     // Dot product: how much observer is in direction of motion
     // Positive = observer ahead (approaching), negative = observer behind (receding)
-    const alignment = dirX * motionDirX;
+    const alignment = dirX * motionDirX + dirY * motionDirY;
 
     // Calculate shift based on mode
     let shift;
@@ -126,6 +287,665 @@ export function calculateDopplerShift(mach, observerX, observerY, sourceX, sourc
     return Math.max(0.3, Math.min(3, shift));
 }
 
+/**
+ * Tolerance on |1 - M cos(θ)| below which the Doppler factor is reported as singular
+ */
+export const DOPPLER_SINGULARITY_TOLERANCE = 0.01;
+
+/**
+ * Still air, for the optional wind arguments
+ */
+const CALM = { mach: 0, heading: 0 };
+
+/**
+ * Velocity in Mach units
+ * @param {{mach: number, heading: number}} motion - Speed and direction
+ * @returns {{x: number, y: number}}
+ */
+function machVector({ mach, heading }) {
+    return { x: mach * Math.cos(heading), y: mach * Math.sin(heading) };
+}
+
+/**
+ * Classical Doppler factor for sound emitted at a known point
+ * Uses the source position and velocity at the moment of emission (the retarded position),
+ * with the source moving through the air: f_observed = f_source (1 + W·n) / (1 - M·n + W·n),
+ * where n is the wave normal at the observer and W the wind. Without wind this is the familiar
+ * 1 / (1 - M cos(theta)). In wind mode source and observer are at rest relative to each other,
+ * so there is no shift whatever the wind.
+ * @param {number} mach - Mach number of source at emission
+ * @param {number} observerX - Observer X position
+ * @param {number} observerY - Observer Y position
+ * @param {number} emitX - Source X position at emission
+ * @param {number} emitY - Source Y position at emission
+ * @param {boolean} movingSourceMode - True if source moves, false if medium moves (wind mode)
+ * @param {number} heading - Direction of motion at emission in radians, canvas coordinates (default 0 = +x)
+ * @param {number} tolerance - Singularity tolerance (default DOPPLER_SINGULARITY_TOLERANCE)
+ * @param {{mach: number, heading: number}} [wind] - Wind over the ground (below Mach 1), still by default
+ * @returns {number} Signed Doppler factor; negative when arrivals are time-reversed (supersonic
+ *   approach), Infinity on the Mach cone
+ */
+export function calculateEmissionDopplerShift(mach, observerX, observerY, emitX, emitY, movingSourceMode,
+    heading = 0, tolerance = DOPPLER_SINGULARITY_TOLERANCE, wind = CALM) {
+    if (!movingSourceMode) return 1;
+
+    const dx = observerX - emitX;
+    const dy = observerY - emitY;
+    const w = machVector(wind);
+
+    // Distance travelled through the air, |d - W r| = r: the wavefront center has drifted with the wind
+    const a = w.x * w.x + w.y * w.y - 1;
+    const b = -2 * (dx * w.x + dy * w.y);
+    const c = dx * dx + dy * dy;
+    const r = a === 0 ? 0 : (-b - Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+    if (!(r > 0)) return 1;
+
+    // Wave normal at the observer
+    const normalX = (dx - w.x * r) / r;
+    const normalY = (dy - w.y * r) / r;
+    const windAlong = normalX * w.x + normalY * w.y;
+    const cosTheta = normalX * Math.cos(heading) + normalY * Math.sin(heading);
+    const denominator = 1 - mach * cosTheta + windAlong;
+    if (Math.abs(denominator) < tolerance) return Infinity;
+    return (1 + windAlong) / denominator;
+}
+
+/**
+ * Find the emissions whose sound reaches the observer right now
+ * Solves |observer - wavefront center| = c * (time since emission) for a source in straight,
+ * uniform motion, with the wavefront centers drifting with the air. A source subsonic relative
+ * to the air always has exactly one solution; a supersonic one has two inside the Mach cone
+ * (the bow and tail branches arrive together) and none outside it.
+ * @param {number} mach - Mach number of source
+ * @param {number} observerX - Observer X position
+ * @param {number} observerY - Observer Y position
+ * @param {number} sourceX - Current source X position
+ * @param {number} sourceY - Current source Y position
+ * @param {boolean} movingSourceMode - True if source moves, false if medium moves (wind mode)
+ * @param {number} heading - Direction of source motion (or of the wind) in radians (default 0 = +x)
+ * @param {{mach: number, heading: number}} [wind] - Wind over the ground, on top of the wind mode
+ *   flow; still by default
+ * @returns {{x: number, y: number, travel: number}[]} Emission points and the distance sound has
+ *   travelled since each emission, earliest emission first
+ */
+export function findRetardedEmissions(mach, observerX, observerY, sourceX, sourceY, movingSourceMode,
+    heading = 0, wind = CALM) {
+    const dx = observerX - sourceX;
+    const dy = observerY - sourceY;
+    const d2 = dx * dx + dy * dy;
+    if (d2 === 0) return [{ x: sourceX, y: sourceY, travel: 0 }];
+
+    // Source and air velocities over the ground
+    const dirX = Math.cos(heading);
+    const dirY = Math.sin(heading);
+    const back = movingSourceMode ? mach : 0;
+    const w = machVector(wind);
+    const airX = (movingSourceMode ? 0 : mach * dirX) + w.x;
+    const airY = (movingSourceMode ? 0 : mach * dirY) + w.y;
+
+    // Emitted at source - V*r, wavefront center drifted to there + A*r, so with K = V - A:
+    // |d + K*r| = r
+    const kX = back * dirX - airX;
+    const kY = back * dirY - airY;
+    const a = kX * kX + kY * kY - 1;
+    const b = 2 * (dx * kX + dy * kY);
+
+    let roots;
+    if (Math.abs(a) < 1e-12) {
+        roots = b === 0 ? [] : [-d2 / b];
+    } else {
+        const discriminant = b * b - 4 * a * d2;
+        if (discriminant < 0) {
+            roots = [];
+        } else {
+            const sqrtDisc = Math.sqrt(discriminant);
+            roots = [(-b - sqrtDisc) / (2 * a), (-b + sqrtDisc) / (2 * a)];
+        }
+    }
+
+    return roots
+        .filter(r => r > 0)
+        .sort((r1, r2) => r2 - r1)
+        .map(r => ({
+            x: sourceX - back * r * dirX,
+            y: sourceY - back * r * dirY,
+            travel: r
+        }));
+}
+
+/**
+ * Find the emissions whose sound reaches the observer from a recorded source track
+ * Works for any flight path: each sample is a past source position, and a root of
+ * travel - |observer - position| between consecutive samples is an emission heard right now.
+ * @param {{x: number, y: number, travel: number, mach: number, heading: number}[]} track - Source
+ *   samples, earliest first; travel is the distance sound has covered since that sample
+ * @param {number} observerX - Observer X position
+ * @param {number} observerY - Observer Y position
+ * @param {{mach: number, heading: number}} [wind] - Wind over the ground, still by default
+ * @returns {{x: number, y: number, travel: number, mach: number, heading: number}[]} Interpolated
+ *   emissions, earliest first
+ */
+export function findTrackEmissions(track, observerX, observerY, wind = CALM) {
+    // Each sample's wavefront has drifted with the wind while it travelled
+    const w = machVector(wind);
+    const gap = s => s.travel - distance(s.x + w.x * s.travel, s.y + w.y * s.travel, observerX, observerY);
+    const emissions = [];
+
+    if (track.length > 0 && gap(track[0]) === 0) emissions.push({ ...track[0] });
+
+    for (let i = 1; i < track.length; i++) {
+        const a = track[i - 1];
+        const b = track[i];
+        const gapA = gap(a);
+        const gapB = gap(b);
+
+        if (gapB === 0) {
+            emissions.push({ ...b });
+        } else if (gapA * gapB < 0) {
+            const t = gapA / (gapA - gapB);
+            const lerp = (p, q) => p + (q - p) * t;
+            emissions.push({
+                x: lerp(a.x, b.x),
+                y: lerp(a.y, b.y),
+                travel: lerp(a.travel, b.travel),
+                mach: lerp(a.mach, b.mach),
+                heading: a.heading + t * angleDifference(a.heading, b.heading)
+            });
+        }
+    }
+    return emissions;
+}
+
+/**
+ * Signed smallest difference between two angles
+ * @param {number} from - Start angle in radians
+ * @param {number} to - End angle in radians
+ * @returns {number} Difference in (-PI, PI]
+ */
+export function angleDifference(from, to) {
+    let diff = (to - from) % (2 * Math.PI);
+    if (diff > Math.PI) diff -= 2 * Math.PI;
+    if (diff <= -Math.PI) diff += 2 * Math.PI;
+    return diff;
+}
+
+/**
+ * Classify a set of simultaneous Doppler shifts heard by the observer
+ * @param {number[]} shifts - Signed shifts, earliest emission first
+ * @returns {{regime: 'single' | 'multiple' | 'singular' | 'silent', shifts: number[]}}
+ */
+function classifyDopplerShifts(shifts) {
+    let regime;
+    if (shifts.length === 0) {
+        regime = 'silent';
+    } else if (shifts.some(s => !Number.isFinite(s))) {
+        regime = 'singular';
+    } else {
+        regime = shifts.length === 1 ? 'single' : 'multiple';
+    }
+    return { regime, shifts };
+}
+
+/**
+ * Classical Doppler reading at the observer from the retarded source positions
+ * @param {number} mach - Mach number of source
+ * @param {number} observerX - Observer X position
+ * @param {number} observerY - Observer Y position
+ * @param {number} sourceX - Current source X position
+ * @param {number} sourceY - Current source Y position
+ * @param {boolean} movingSourceMode - True if source moves, false if medium moves (wind mode)
+ * @param {number} heading - Direction of source motion (or of the wind) in radians (default 0 = +x)
+ * @param {number} tolerance - Singularity tolerance (default DOPPLER_SINGULARITY_TOLERANCE)
+ * @param {{mach: number, heading: number}} [wind] - Wind over the ground, still by default
+ * @returns {{regime: 'single' | 'multiple' | 'singular' | 'silent', shifts: number[]}}
+ *   'silent' means the observer is outside the Mach cone; shifts are signed, earliest emission first
+ */
+export function calculateRetardedDoppler(mach, observerX, observerY, sourceX, sourceY, movingSourceMode,
+    heading = 0, tolerance = DOPPLER_SINGULARITY_TOLERANCE, wind = CALM) {
+    const emissions = findRetardedEmissions(mach, observerX, observerY, sourceX, sourceY, movingSourceMode,
+        heading, wind);
+    return classifyDopplerShifts(emissions.map(e => calculateEmissionDopplerShift(mach, observerX, observerY,
+        e.x, e.y, movingSourceMode, heading, tolerance, wind)));
+}
+
+/**
+ * Classical Doppler reading at the observer from a recorded source track (moving source only)
+ * @param {{x: number, y: number, travel: number, mach: number, heading: number}[]} track - Source
+ *   samples, earliest first (see findTrackEmissions)
+ * @param {number} observerX - Observer X position
+ * @param {number} observerY - Observer Y position
+ * @param {number} tolerance - Singularity tolerance (default DOPPLER_SINGULARITY_TOLERANCE)
+ * @param {{mach: number, heading: number}} [wind] - Wind over the ground, still by default
+ * @returns {{regime: 'single' | 'multiple' | 'singular' | 'silent', shifts: number[]}}
+ */
+export function calculateTrackDoppler(track, observerX, observerY, tolerance = DOPPLER_SINGULARITY_TOLERANCE,
+    wind = CALM) {
+    const emissions = findTrackEmissions(track, observerX, observerY, wind);
+    return classifyDopplerShifts(emissions.map(e =>
+        calculateEmissionDopplerShift(e.mach, observerX, observerY, e.x, e.y, true, e.heading, tolerance, wind)));
+}
+
+/**
+ * Build a constant-acceleration flight profile
+ * @param {number} fromMach - Mach number at the start
+ * @param {number} toMach - Mach number after the ramp
+ * @param {number} duration - Ramp duration in seconds (must be > 0)
+ * @returns {{time: number, mach: number}[]} Profile keyframes
+ */
+export function createRampProfile(fromMach, toMach, duration) {
+    if (!(duration > 0)) {
+        throw new Error('Ramp duration must be greater than zero');
+    }
+    return [{ time: 0, mach: fromMach }, { time: duration, mach: toMach }];
+}
+
+/**
+ * Mach number of a piecewise-linear flight profile at a given time
+ * Holds the first value before the first keyframe and the last value after the last one.
+ * @param {{time: number, mach: number}[]} profile - Keyframes sorted by time (seconds)
+ * @param {number} time - Seconds since the profile started
+ * @returns {number} Interpolated Mach number
+ */
+export function machAtTime(profile, time) {
+    if (time <= profile[0].time) return profile[0].mach;
+
+    for (let i = 1; i < profile.length; i++) {
+        const a = profile[i - 1];
+        const b = profile[i];
+        if (time <= b.time) {
+            return a.mach + (b.mach - a.mach) * (time - a.time) / (b.time - a.time);
+        }
+    }
+    return profile[profile.length - 1].mach;
+}
+
+/**
+ * Parse a piecewise-linear flight profile written as "time:mach" pairs
+ * For example "0:0.8, 3:1.4, 6:1.4" accelerates from M = 0.8 to M = 1.4 over three seconds.
+ * @param {string} text - Comma-separated "seconds:mach" pairs
+ * @returns {{time: number, mach: number}[]} Profile keyframes
+ */
+export function parseFlightProfile(text) {
+    const profile = text.split(',').filter(part => part.trim() !== '').map(part => {
+        const [time, mach] = part.split(':').map(Number);
+        if (!Number.isFinite(time) || !Number.isFinite(mach) || mach < 0) {
+            throw new Error(`Invalid keyframe "${part.trim()}" (expected seconds:mach)`);
+        }
+        return { time, mach };
+    });
+
+    if (profile.length < 2) {
+        throw new Error('A profile needs at least two keyframes');
+    }
+    for (let i = 1; i < profile.length; i++) {
+        if (profile[i].time <= profile[i - 1].time) {
+            throw new Error('Keyframe times must increase');
+        }
+    }
+    return profile;
+}
+
+/**
+ * Intersection points of two circles
+ * @returns {{x: number, y: number}[]} Zero or two points; the first is on the left of the line
+ *   from the first center to the second (in canvas coordinates)
+ */
+function intersectCircles(x1, y1, r1, x2, y2, r2) {
+    const d = distance(x1, y1, x2, y2);
+    if (d === 0 || d > r1 + r2 || d < Math.abs(r1 - r2)) return [];
+
+    const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+    const h = Math.sqrt(Math.max(0, r1 * r1 - a * a));
+    const ux = (x2 - x1) / d;
+    const uy = (y2 - y1) / d;
+    const px = x1 + a * ux;
+    const py = y1 + a * uy;
+    return [
+        { x: px + h * uy, y: py - h * ux },
+        { x: px - h * uy, y: py + h * ux }
+    ];
+}
+
+/**
+ * Trace the envelope of a family of wavefronts
+ * Neighbouring wavefronts only intersect where the source outran its own sound between
+ * emissions, so the intersection points trace the shock front, including the curved, folding
+ * (caustic) envelope an accelerating source leaves behind.
+ * @param {{x: number, y: number, radius: number}[]} circles - Wavefronts, earliest emission first
+ * @param {{x: number, y: number}} [apex] - Current source position; joined to the newest
+ *   envelope points when it lies outside the newest wavefront
+ * @returns {{x: number, y: number}[][]} Envelope branches as polylines, earliest emission first
+ */
+export function findWavefrontEnvelope(circles, apex) {
+    const branches = [];
+    let left = null;
+    let right = null;
+
+    for (let i = 1; i < circles.length; i++) {
+        const a = circles[i - 1];
+        const b = circles[i];
+        const points = intersectCircles(a.x, a.y, a.radius, b.x, b.y, b.radius);
+
+        if (points.length === 0) {
+            // Nested wavefronts mean the source was subsonic here and the shock is broken;
+            // disjoint ones are just too young to have met yet
+            if (distance(a.x, a.y, b.x, b.y) < Math.abs(a.radius - b.radius)) {
+                left = right = null;
+            }
+            continue;
+        }
+        if (!left) {
+            left = [];
+            right = [];
+            branches.push(left, right);
+        }
+        left.push(points[0]);
+        right.push(points[1]);
+    }
+
+    // The newest wavefronts are not nested, so the shock reaches all the way to the source
+    const newest = circles[circles.length - 1];
+    if (apex && left && distance(apex.x, apex.y, newest.x, newest.y) > newest.radius) {
+        left.push({ x: apex.x, y: apex.y });
+        right.push({ x: apex.x, y: apex.y });
+    }
+    return branches;
+}
+
+/**
+ * Pulse shapes for the overpressure field
+ * 'gaussian' is a smooth compression shell; 'nwave' is a compression followed by a
+ * rarefaction, the N-shaped signature of a real sonic boom.
+ */
+export const PULSE_SHAPES = ['gaussian', 'nwave'];
+
+/**
+ * Peak overpressure of a pulse that has travelled a given distance
+ * Falls off as 1/sqrt(r), the cylindrical spreading of a wave in two dimensions, normalized
+ * to 1 at the reference radius and held there for smaller distances.
+ * @param {number} travelled - Distance from the emission point (the pulse radius)
+ * @param {number} [referenceRadius] - Radius at which the amplitude is 1
+ * @returns {number} Peak amplitude
+ */
+export function calculateArrivalAmplitude(travelled, referenceRadius = 20) {
+    return Math.sqrt(referenceRadius / Math.max(travelled, referenceRadius));
+}
+
+/**
+ * Overpressure one expanding pulse contributes at a point
+ * The peak follows calculateArrivalAmplitude.
+ * @param {number} dist - Distance from the pulse center to the point
+ * @param {number} radius - Current pulse radius
+ * @param {number} shellWidth - Thickness of the pulse shell
+ * @param {'gaussian' | 'nwave'} [shape] - Pulse shape
+ * @param {number} [referenceRadius] - Radius at which the amplitude is 1
+ * @returns {number} Overpressure (positive compression, negative rarefaction)
+ */
+export function calculatePulseOverpressure(dist, radius, shellWidth, shape = 'gaussian', referenceRadius = 20) {
+    const amplitude = calculateArrivalAmplitude(radius, referenceRadius);
+    const behindFront = radius - dist;
+
+    if (shape === 'nwave') {
+        // Linear from +1 at the front to -1 one shell width behind it
+        if (behindFront < 0 || behindFront > shellWidth) return 0;
+        return amplitude * (1 - 2 * behindFront / shellWidth);
+    }
+    if (shape !== 'gaussian') {
+        throw new Error(`Unknown pulse shape: ${shape}`);
+    }
+    // Shell centered on the front, cut off beyond two shell widths
+    if (Math.abs(behindFront) > 2 * shellWidth) return 0;
+    const sigma = shellWidth / 2;
+    return amplitude * Math.exp(-(behindFront * behindFront) / (2 * sigma * sigma));
+}
+
+/**
+ * Local speed of sound in a horizontally layered (stratified) medium
+ * Holds the end values below the first and above the last keyframe.
+ * @param {{height: number, speed: number}[]} profile - Keyframes sorted by height, a fraction of
+ *   the canvas height above its bottom edge (the ground); speed is a multiple of the
+ *   simulation's speed of sound
+ * @param {number} height - Height as a fraction of the canvas height
+ * @returns {number} Speed of sound as a multiple of the reference speed
+ */
+export function soundSpeedAt(profile, height) {
+    if (height <= profile[0].height) return profile[0].speed;
+
+    for (let i = 1; i < profile.length; i++) {
+        const a = profile[i - 1];
+        const b = profile[i];
+        if (height <= b.height) {
+            return a.speed + (b.speed - a.speed) * (height - a.height) / (b.height - a.height);
+        }
+    }
+    return profile[profile.length - 1].speed;
+}
+
+/**
+ * Vertical gradient of a sound-speed profile
+ * @param {{height: number, speed: number}[]} profile - Keyframes sorted by height
+ * @param {number} height - Height as a fraction of the canvas height
+ * @returns {number} Change in speed per canvas height; 0 outside the profile
+ */
+export function soundSpeedSlope(profile, height) {
+    for (let i = 1; i < profile.length; i++) {
+        const a = profile[i - 1];
+        const b = profile[i];
+        if (height >= a.height && height < b.height) {
+            return (b.speed - a.speed) / (b.height - a.height);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Sound-speed profile of the standard atmosphere around a flight altitude
+ * The canvas spans the ground (bottom) to twice the flight altitude (top), so a source at
+ * mid-height flies at that altitude; speeds are relative to the speed of sound there.
+ * @param {number} altitude - Flight altitude in meters (at least 1,000 m is used)
+ * @param {number} [temperatureOffset] - Kelvin added to the standard temperature everywhere
+ * @param {number} [samples] - Number of keyframes
+ * @returns {{height: number, speed: number}[]} Profile keyframes
+ */
+export function createLapseProfile(altitude, temperatureOffset = 0, samples = 21) {
+    const flightAltitude = Math.max(altitude, 1000);
+    const top = 2 * flightAltitude;
+    const speedAt = h => speedOfSoundAt(standardAtmosphere(h).temperature + temperatureOffset);
+    const reference = speedAt(flightAltitude);
+
+    const profile = [];
+    for (let i = 0; i < samples; i++) {
+        const height = i / (samples - 1);
+        profile.push({ height, speed: speedAt(height * top) / reference });
+    }
+    return profile;
+}
+
+/**
+ * Parse a sound-speed profile written as "height:speed" pairs
+ * For example "0:1.15, 0.5:1, 1:0.95" has sound 15% faster at the ground than at mid-height.
+ * @param {string} text - Comma-separated "height:speed" pairs, heights from 0 (bottom) to 1 (top)
+ * @returns {{height: number, speed: number}[]} Profile keyframes
+ */
+export function parseSoundSpeedProfile(text) {
+    const profile = text.split(',').filter(part => part.trim() !== '').map(part => {
+        const [height, speed] = part.split(':').map(Number);
+        if (!Number.isFinite(height) || !Number.isFinite(speed) || height < 0 || height > 1 || speed <= 0) {
+            throw new Error(`Invalid keyframe "${part.trim()}" (expected height:speed, height 0-1)`);
+        }
+        return { height, speed };
+    });
+
+    if (profile.length < 2) {
+        throw new Error('A profile needs at least two keyframes');
+    }
+    for (let i = 1; i < profile.length; i++) {
+        if (profile[i].height <= profile[i - 1].height) {
+            throw new Error('Keyframe heights must increase');
+        }
+    }
+    return profile;
+}
+
+/**
+ * Rays leaving a point evenly in every direction, the start of a ray-traced wavefront
+ * @param {number} x - Emission X position
+ * @param {number} y - Emission Y position
+ * @param {number} count - Number of rays
+ * @returns {{x: number, y: number, dx: number, dy: number}[]} Rays in order of angle, with unit
+ *   directions
+ */
+export function createRayFan(x, y, count) {
+    const rays = [];
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * 2 * Math.PI;
+        rays.push({ x, y, dx: Math.cos(angle), dy: Math.sin(angle), angle });
+    }
+    return rays;
+}
+
+/**
+ * Advance a sound ray by one frame through a stratified medium
+ * Rays bend toward slower air, following d(dir)/ds = -(∇c - (∇c·dir) dir) / c. Where sound is
+ * faster near the ground, as under a standard atmosphere, rays from above curve back up; the
+ * ones that turn before reaching the ground mark the edge of the boom carpet.
+ * @param {{x: number, y: number, dx: number, dy: number}} ray - Ray to move, updated in place
+ * @param {{height: number, speed: number}[]} profile - Sound-speed profile
+ * @param {number} speedOfSound - Reference speed of sound in pixels per frame
+ * @param {number} canvasHeight - Canvas height in pixels, to place the ray in the profile
+ * @param {number} [substeps] - Integration steps per frame
+ */
+export function advanceRay(ray, profile, speedOfSound, canvasHeight, substeps = 2) {
+    for (let i = 0; i < substeps; i++) {
+        const height = (canvasHeight - ray.y) / canvasHeight;
+        const speed = soundSpeedAt(profile, height);
+        // (1/c) dc/dy in canvas coordinates, where y grows downwards
+        const gradient = -soundSpeedSlope(profile, height) / (canvasHeight * speed);
+        const step = speed * speedOfSound / substeps;
+
+        const dx = ray.dx + gradient * ray.dx * ray.dy * step;
+        const dy = ray.dy - gradient * ray.dx * ray.dx * step;
+        const length = Math.hypot(dx, dy);
+        ray.dx = dx / length;
+        ray.dy = dy / length;
+        ray.x += ray.dx * step;
+        ray.y += ray.dy * step;
+    }
+}
+
+/**
+ * Whether a point lies inside a polygon (even-odd rule)
+ * @param {{x: number, y: number}[]} points - Polygon corners in order
+ * @param {number} x - Point X position
+ * @param {number} y - Point Y position
+ * @returns {boolean} True if the point is inside
+ */
+export function isInsidePolygon(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a ray-traced wavefront passed over a point during one frame
+ * The front is the chain of segments between neighbouring rays; segments touching a ray
+ * absorbed by the ground are not part of it, which leaves the shadow beyond the last ray to
+ * reach the ground silent.
+ * @param {{x: number, y: number}[]} before - Ray positions at the start of the frame
+ * @param {{x: number, y: number, absorbed?: boolean}[]} after - The same rays at the end
+ * @param {number} x - Point X position
+ * @param {number} y - Point Y position
+ * @returns {boolean} True if any front segment swept over the point
+ */
+export function hasRayFrontPassed(before, after, x, y) {
+    for (let i = 0; i < after.length; i++) {
+        const j = (i + 1) % after.length;
+        if (before[i].absorbed || before[j].absorbed) continue;
+        if (isInsidePolygon([before[i], before[j], after[j], after[i]], x, y)) return true;
+    }
+    return false;
+}
+
+/**
+ * Mirror image of a point in the line through a reflecting boundary
+ * A wave reflected by the boundary travels as if it came from the mirrored point (its image source).
+ * @param {number} x - Point X position
+ * @param {number} y - Point Y position
+ * @param {{x1: number, y1: number, x2: number, y2: number}} boundary - Reflecting segment
+ * @returns {{x: number, y: number}} Mirrored point
+ */
+export function mirrorPoint(x, y, boundary) {
+    const { x1, y1, x2, y2 } = boundary;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const t = ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy);
+    return { x: 2 * (x1 + t * dx) - x, y: 2 * (y1 + t * dy) - y };
+}
+
+/**
+ * Direction mirrored in a reflecting boundary
+ * @param {number} heading - Direction in radians
+ * @param {{x1: number, y1: number, x2: number, y2: number}} boundary - Reflecting segment
+ * @returns {number} Mirrored direction in radians
+ */
+export function mirrorHeading(heading, boundary) {
+    return 2 * Math.atan2(boundary.y2 - boundary.y1, boundary.x2 - boundary.x1) - heading;
+}
+
+/**
+ * Whether the straight line between two points crosses a boundary segment
+ * Sound from an image source reaches a point only through its boundary, and a boundary in the
+ * way shadows the direct sound.
+ * @param {number} ax - Start X position
+ * @param {number} ay - Start Y position
+ * @param {number} bx - End X position
+ * @param {number} by - End Y position
+ * @param {{x1: number, y1: number, x2: number, y2: number}} boundary - Segment to test
+ * @returns {boolean} True if the lines meet, touching included
+ */
+export function crossesBoundary(ax, ay, bx, by, boundary) {
+    const { x1, y1, x2, y2 } = boundary;
+    const side = (px, py, qx, qy, rx, ry) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+    return side(ax, ay, bx, by, x1, y1) * side(ax, ay, bx, by, x2, y2) <= 0 &&
+        side(x1, y1, x2, y2, ax, ay) * side(x1, y1, x2, y2, bx, by) <= 0;
+}
+
+/**
+ * Part of a circle that lies beyond a boundary segment, seen from the circle's center
+ * For an image source this is the reflected wavefront; for a direct wave, the shadowed part.
+ * @param {number} cx - Circle center X position
+ * @param {number} cy - Circle center Y position
+ * @param {number} radius - Circle radius
+ * @param {{x1: number, y1: number, x2: number, y2: number}} boundary - Segment to look through
+ * @returns {{start: number, stop: number} | null} Arc from start to stop (radians, increasing), or
+ *   null if the circle does not reach past the segment
+ */
+export function arcBeyondBoundary(cx, cy, radius, boundary) {
+    const { x1, y1, x2, y2 } = boundary;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const t = ((cx - x1) * dx + (cy - y1) * dy) / (dx * dx + dy * dy);
+    const toLine = distance(cx, cy, x1 + t * dx, y1 + t * dy);
+    if (toLine === 0 || radius < toLine) return null;
+
+    // Directions measured from the perpendicular to the boundary line
+    const normal = Math.atan2(y1 + t * dy - cy, x1 + t * dx - cx);
+    const offset = (x, y) => Math.atan2(Math.sin(Math.atan2(y - cy, x - cx) - normal),
+        Math.cos(Math.atan2(y - cy, x - cx) - normal));
+    const reach = Math.acos(toLine / radius);   // Beyond this the circle stays on the near side
+    const a = offset(x1, y1);
+    const b = offset(x2, y2);
+    const low = Math.max(Math.min(a, b), -reach);
+    const high = Math.min(Math.max(a, b), reach);
+    return low < high ? { start: normal + low, stop: normal + high } : null;
+}
+
 /**
  * Check if a wave has crossed the observer position
  * @param {number} radiusBefore - Wave radius before update
@@ -152,6 +972,35 @@ export function distance(x1, y1, x2, y2) {
     return Math.sqrt(dx * dx + dy * dy);
 }
 
+/**
+ * Angle at a vertex between the lines to two points, as a protractor reads it
+ * @param {number} vertexX - Vertex X
+ * @param {number} vertexY - Vertex Y
+ * @param {number} ax - End of the first arm X
+ * @param {number} ay - End of the first arm Y
+ * @param {number} bx - End of the second arm X
+ * @param {number} by - End of the second arm Y
+ * @returns {number} Angle in degrees, 0 to 180, or NaN if an arm has no length
+ */
+export function measureAngle(vertexX, vertexY, ax, ay, bx, by) {
+    const ux = ax - vertexX, uy = ay - vertexY;
+    const vx = bx - vertexX, vy = by - vertexY;
+    if ((ux === 0 && uy === 0) || (vx === 0 && vy === 0)) return NaN;
+    return Math.abs(Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)) * 180 / Math.PI;
+}
+
+/**
+ * Convert a distance on the canvas to meters in the air it represents
+ * Sound covers pixelsPerSecond on screen and speedOfSound meters in the same second.
+ * @param {number} pixels - Distance in simulation pixels
+ * @param {number} pixelsPerSecond - Distance sound travels on screen in a simulated second
+ * @param {number} speedOfSound - Local speed of sound in m/s
+ * @returns {number} Distance in meters
+ */
+export function pixelsToMeters(pixels, pixelsPerSecond, speedOfSound) {
+    return pixels / pixelsPerSecond * speedOfSound;
+}
+
 /**
  * Calculate observed frequency from wave hit timestamps
  * @param {number[]} waveHitTimes - Array of timestamps (in ms) when waves hit observer
@@ -200,14 +1049,153 @@ export function calculateDopplerFrequency(baseFrequency, dopplerShift, minFreq =
     return Math.max(minFreq, Math.min(maxFreq, shifted));
 }
 
+/**
+ * Stereo position of a source as heard by an observer facing up the canvas
+ * Follows the sine of the bearing, so a source straight ahead or behind is centered and one
+ * level with the observer is fully to that side. Within the reference distance the pan eases
+ * toward the center, so it does not flip as the source passes overhead.
+ * @param {number} sourceX - Source X position
+ * @param {number} sourceY - Source Y position
+ * @param {number} observerX - Observer X position
+ * @param {number} observerY - Observer Y position
+ * @param {number} [referenceDistance] - Distance below which the pan eases to the center
+ * @returns {number} Pan from -1 (left) to 1 (right), as StereoPannerNode takes it
+ */
+export function calculateStereoPan(sourceX, sourceY, observerX, observerY, referenceDistance = 20) {
+    const dx = sourceX - observerX;
+    const dy = sourceY - observerY;
+    return dx / Math.sqrt(dx * dx + dy * dy + referenceDistance * referenceDistance);
+}
+
+/**
+ * Aircraft presets: typical Mach number, cruise altitude in meters, length in meters (which sets
+ * the size of the sonic boom) and a short description
+ * @type {{name: string, mach: number, altitude: number, length: number, description: string}[]}
+ */
+export const AIRCRAFT = [
+    {
+        name: 'Subsonic Jet', mach: 0.85, altitude: 10668, length: 38,     // Boeing 737-800 class
+        description: 'Typical commercial aircraft at 35,000 ft'
+    },
+    {
+        name: 'Sound Barrier', mach: 1.0, altitude: 13106, length: 9.4,
+        description: 'Bell X-1, the first to fly faster than sound, at 43,000 ft'
+    },
+    {
+        name: 'Supersonic', mach: 1.5, altitude: 15240, length: 19.4,      // F-15 class fighter
+        description: 'Supersonic fighter at 50,000 ft'
+    },
+    {
+        name: 'Concorde', mach: 2.04, altitude: 18288, length: 61.7,
+        description: 'Retired supersonic airliner at 60,000 ft'
+    },
+    {
+        name: 'SR-71', mach: 2.8, altitude: 24384, length: 32.7,
+        description: 'Blackbird reconnaissance aircraft at 80,000 ft'
+    }
+];
+
 /**
  * Aircraft presets with their typical Mach numbers
  */
-export const AIRCRAFT_PRESETS = {
-    'Subsonic Jet': 0.85,
-    'Sound Barrier': 1.0,
-    'Supersonic': 1.5,
-    'Concorde': 2.04,
-    'SR-71': 2.8
-};
+export const AIRCRAFT_PRESETS = Object.fromEntries(
+    AIRCRAFT.map(aircraft => [aircraft.name, aircraft.mach])
+);
+
+/**
+ * Typical cruise altitude of each aircraft preset, in meters
+ */
+export const AIRCRAFT_CRUISE_ALTITUDES = Object.fromEntries(
+    AIRCRAFT.map(aircraft => [aircraft.name, aircraft.altitude])
+);
+
+/**
+ * Length of each aircraft preset, in meters, which sets the size of its sonic boom
+ */
+export const AIRCRAFT_LENGTHS = Object.fromEntries(
+    AIRCRAFT.map(aircraft => [aircraft.name, aircraft.length])
+);
+
+/**
+ * Aircraft length assumed when none is given, in meters
+ */
+export const DEFAULT_AIRCRAFT_LENGTH = 30;
+
+/**
+ * Shape factor K_s of Carlson's simplified boom method for a slender aircraft
+ * Blunter or heavier aircraft run higher, to about 0.15.
+ */
+export const BOOM_SHAPE_FACTOR = 0.1;
+
+/**
+ * Lowest altitude the boom estimate is made for, in meters; closer in the far-field formulas
+ * no longer hold
+ */
+export const MIN_BOOM_ALTITUDE = 100;
+
+/**
+ * Pascals in a pound per square foot, the unit boom overpressures are usually quoted in
+ */
+export const PASCALS_PER_PSF = 47.88;
+
+/**
+ * Rise time of each shock in a synthesized N-wave, in seconds; real booms take a few
+ * milliseconds, smeared by turbulence
+ */
+export const NWAVE_RISE_TIME = 0.003;
+
+/**
+ * Sonic boom heard on the ground below a supersonic aircraft
+ * Carlson's simplified method (NASA TP-1122) for the peak overpressure and duration of the
+ * N-wave, with a ground reflection factor of 2:
+ *   Δp = 2 K_s √(p_v p_g) (M² - 1)^(1/8) h^(-3/4) l^(3/4)
+ *   ΔT = K_s (3.42 / a_v) M (M² - 1)^(-3/8) h^(1/4) l^(3/4)
+ * Concorde (Mach 2, 18 km, 62 m) comes out near 90 Pa (about 2 lb/ft²) over 0.4 s.
+ * @param {number} mach - Mach number through the air
+ * @param {number} altitude - Flight altitude above the ground in meters
+ * @param {number} length - Aircraft length in meters
+ * @param {number | null} [temperature] - Temperature override at altitude in kelvin, or null
+ * @returns {{overpressure: number, duration: number} | null} Peak overpressure in Pa and the time
+ *   from bow to tail shock in seconds, or null below Mach 1 where there is no boom
+ */
+export function calculateBoomSignature(mach, altitude, length, temperature = null) {
+    if (mach <= 1) return null;
+    const height = Math.max(altitude, MIN_BOOM_ALTITUDE);
+    const air = standardAtmosphere(height, temperature);
+    const ground = standardAtmosphere(0);
+    const beta = mach * mach - 1;
+    const size = Math.pow(length, 0.75);
+    return {
+        overpressure: 2 * BOOM_SHAPE_FACTOR * Math.sqrt(air.pressure * ground.pressure) *
+            Math.pow(beta, 1 / 8) * Math.pow(height, -0.75) * size,
+        duration: BOOM_SHAPE_FACTOR * (3.42 / air.speedOfSound) * mach * Math.pow(beta, -3 / 8) *
+            Math.pow(height, 0.25) * size
+    };
+}
+
+/**
+ * Samples of an N-wave: a sharp rise to the peak (bow shock), a linear fall to the same
+ * depth below zero, and a sharp recovery (tail shock), heard as a double "boom-boom"
+ * @param {number} duration - Time from bow to tail shock in seconds
+ * @param {number} amplitude - Peak value of the samples
+ * @param {number} sampleRate - Samples per second
+ * @param {number} [riseTime] - Time each shock takes in seconds
+ * @returns {Float32Array} The signature followed by a little silence, starting and ending at 0
+ */
+export function synthesizeNWave(duration, amplitude, sampleRate, riseTime = NWAVE_RISE_TIME) {
+    const rise = Math.max(1, Math.round(riseTime * sampleRate));
+    const body = Math.max(1, Math.round(duration * sampleRate));
+    const silence = Math.round(0.05 * sampleRate);
+    const samples = new Float32Array(2 * rise + body + silence + 1);
+    for (let i = 0; i <= rise; i++) {
+        samples[i] = amplitude * i / rise;
+    }
+    for (let i = 1; i <= body; i++) {
+        samples[rise + i] = amplitude * (1 - 2 * i / body);
+    }
+    for (let i = 1; i <= rise; i++) {
+        samples[rise + body + i] = amplitude * (i / rise - 1);
+    }
+    return samples;
+}
 
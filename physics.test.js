@@ -2,19 +2,54 @@ import { describe, it, expect } from 'vitest';
 import {
     SPEED_OF_SOUND,
     AIRCRAFT_PRESETS,
+    AIRCRAFT_CRUISE_ALTITUDES,
+    ISA_MAX_ALTITUDE,
+    speedOfSoundAt,
+    standardAtmosphere,
+    soundSpeedAt,
+    soundSpeedSlope,
+    createLapseProfile,
+    parseSoundSpeedProfile,
+    createRayFan,
+    advanceRay,
+    isInsidePolygon,
+    hasRayFrontPassed,
     calculateMachAngle,
     calculateMachAngleDegrees,
     getFlightRegime,
     isSupersonic,
     machToSpeed,
     speedToMach,
+    parseSpeed,
     calculateDopplerShift,
+    calculateEmissionDopplerShift,
+    findRetardedEmissions,
+    calculateRetardedDoppler,
+    findTrackEmissions,
+    calculateTrackDoppler,
+    createRampProfile,
+    machAtTime,
+    parseFlightProfile,
+    findWavefrontEnvelope,
+    calculateArrivalAmplitude,
+    calculatePulseOverpressure,
+    angleDifference,
     hasWaveCrossedObserver,
+    mirrorPoint,
+    mirrorHeading,
+    crossesBoundary,
+    arcBeyondBoundary,
     distance,
+    measureAngle,
+    pixelsToMeters,
     calculateObservedFrequency,
     isSonicBoom,
     calculatePulseFrequency,
-    calculateDopplerFrequency
+    calculateDopplerFrequency,
+    calculateStereoPan,
+    AIRCRAFT_LENGTHS,
+    calculateBoomSignature,
+    synthesizeNWave
 } from './physics.js';
 
 describe('SPEED_OF_SOUND constants', () => {
@@ -29,6 +64,65 @@ describe('SPEED_OF_SOUND constants', () => {
     it('should have correct speed of sound in m/s', () => {
         expect(SPEED_OF_SOUND.MS).toBe(343);
     });
+
+    it('should have correct speed of sound in knots and ft/s', () => {
+        expect(SPEED_OF_SOUND.KNOTS).toBe(667);
+        expect(SPEED_OF_SOUND.FTS).toBe(1125);
+    });
+});
+
+describe('speedOfSoundAt', () => {
+    it('should give about 331 m/s at 0 °C and 343 m/s at 20 °C', () => {
+        expect(speedOfSoundAt(273.15)).toBeCloseTo(331.3, 1);
+        expect(speedOfSoundAt(293.15)).toBeCloseTo(343.2, 1);
+    });
+});
+
+describe('standardAtmosphere', () => {
+    it('should match the standard sea-level values', () => {
+        const air = standardAtmosphere(0);
+        expect(air.temperature).toBe(288.15);
+        expect(air.pressure).toBe(101325);
+        expect(air.density).toBeCloseTo(1.225, 3);
+        expect(air.speedOfSound).toBeCloseTo(340.29, 2);
+        expect(air.layer).toBe('Troposphere');
+    });
+
+    it('should match the standard values at the layer boundaries', () => {
+        // ISO 2533 tables
+        const table = [
+            { altitude: 11000, temperature: 216.65, pressure: 22632.1, speedOfSound: 295.07 },
+            { altitude: 20000, temperature: 216.65, pressure: 5474.89, speedOfSound: 295.07 },
+            { altitude: 32000, temperature: 228.65, pressure: 868.02, speedOfSound: 303.13 },
+            { altitude: 47000, temperature: 270.65, pressure: 110.91, speedOfSound: 329.80 }
+        ];
+        for (const row of table) {
+            const air = standardAtmosphere(row.altitude);
+            expect(air.temperature).toBeCloseTo(row.temperature, 2);
+            expect(air.pressure / row.pressure).toBeCloseTo(1, 3);
+            expect(air.speedOfSound).toBeCloseTo(row.speedOfSound, 1);
+        }
+    });
+
+    it('should cool through the troposphere and hold steady in the tropopause', () => {
+        expect(standardAtmosphere(5000).temperature).toBeCloseTo(255.65, 6);
+        expect(standardAtmosphere(15000).temperature).toBe(216.65);
+        expect(standardAtmosphere(15000).layer).toBe('Tropopause');
+    });
+
+    it('should apply a custom temperature to density and speed of sound only', () => {
+        const hot = standardAtmosphere(0, 308.15);
+        expect(hot.temperature).toBe(308.15);
+        expect(hot.pressure).toBe(101325);
+        expect(hot.density).toBeLessThan(standardAtmosphere(0).density);
+        expect(hot.speedOfSound).toBeCloseTo(speedOfSoundAt(308.15), 10);
+    });
+
+    it('should clamp altitudes outside the model', () => {
+        expect(standardAtmosphere(-500).altitude).toBe(0);
+        expect(standardAtmosphere(200000).altitude).toBe(ISA_MAX_ALTITUDE);
+        expect(standardAtmosphere(200000).temperature).toBeCloseTo(186.95, 1);
+    });
 });
 
 describe('calculateMachAngle', () => {
@@ -129,9 +223,40 @@ describe('machToSpeed', () => {
         expect(speed.kmh).toBe(2470);
         expect(speed.ms).toBe(686);
     });
+
+    it('should give knots and ft/s too', () => {
+        const speed = machToSpeed(1);
+        expect(speed.knots).toBe(667);
+        expect(speed.fts).toBe(1125);
+    });
+});
+
+describe('machToSpeed at altitude', () => {
+    it('should use the local speed of sound', () => {
+        const speed = machToSpeed(2, 300);
+        expect(speed.ms).toBe(600);
+        expect(speed.kmh).toBe(2160);
+        expect(speed.mph).toBe(1342);
+        expect(speed.knots).toBe(1166);
+        expect(speed.fts).toBe(1969);
+    });
+
+    it('should show the SR-71 slower in mph than at sea level', () => {
+        const air = standardAtmosphere(AIRCRAFT_CRUISE_ALTITUDES['SR-71']);
+        const speed = machToSpeed(AIRCRAFT_PRESETS['SR-71'], air.speedOfSound);
+        expect(speed.mph).toBeGreaterThan(1850);
+        expect(speed.mph).toBeLessThan(1880);
+        expect(speed.mph).toBeLessThan(machToSpeed(2.8).mph);
+    });
 });
 
 describe('speedToMach', () => {
+    it('should use the local speed of sound when given', () => {
+        expect(speedToMach(600, 'ms', 300)).toBeCloseTo(2, 10);
+        expect(speedToMach(2160, 'kmh', 300)).toBeCloseTo(2, 10);
+        expect(speedToMach(machToSpeed(1.5, 295).mph, 'mph', 295)).toBeCloseTo(1.5, 2);
+    });
+
     it('should convert mph to mach correctly', () => {
         expect(speedToMach(767, 'mph')).toBeCloseTo(1, 5);
         expect(speedToMach(1534, 'mph')).toBeCloseTo(2, 5);
@@ -148,6 +273,40 @@ describe('speedToMach', () => {
     it('should default to mph if no unit specified', () => {
         expect(speedToMach(767)).toBeCloseTo(1, 5);
     });
+
+    it('should convert knots and ft/s to mach correctly', () => {
+        expect(speedToMach(667, 'knots')).toBeCloseTo(1, 5);
+        expect(speedToMach(2250, 'fts')).toBeCloseTo(2, 5);
+        expect(speedToMach(1166.2, 'knots', 300)).toBeCloseTo(2, 3);
+        expect(speedToMach(600 / 0.3048, 'fts', 300)).toBeCloseTo(2, 10);
+    });
+
+    it('should reject an unknown unit', () => {
+        expect(() => speedToMach(100, 'furlongs')).toThrow('Unknown speed unit: furlongs');
+        expect(() => speedToMach(100, 'toString')).toThrow('Unknown speed unit: toString');
+    });
+});
+
+describe('parseSpeed', () => {
+    it('should read a number with thousands separators and a unit', () => {
+        expect(parseSpeed('1,350 knots')).toEqual({ speed: 1350, unit: 'knots' });
+        expect(parseSpeed(' 660 M/S ')).toEqual({ speed: 660, unit: 'ms' });
+        expect(parseSpeed('2500km/h')).toEqual({ speed: 2500, unit: 'kmh' });
+        expect(parseSpeed('3000 fps')).toEqual({ speed: 3000, unit: 'fts' });
+        expect(parseSpeed('.5 kt').speed).toBe(0.5);
+    });
+
+    it('should use the default unit when none is written', () => {
+        expect(parseSpeed('900')).toEqual({ speed: 900, unit: 'mph' });
+        expect(parseSpeed('900', 'knots').unit).toBe('knots');
+    });
+
+    it('should reject text that is not a speed', () => {
+        expect(() => parseSpeed('fast')).toThrow('Not a speed');
+        expect(() => parseSpeed('-5 mph')).toThrow('Not a speed');
+        expect(() => parseSpeed('3 furlongs')).toThrow('Unknown speed unit: furlongs');
+        expect(() => parseSpeed('5 constructor')).toThrow('Unknown speed unit: constructor');
+    });
 });
 
 describe('calculateDopplerShift', () => {
@@ -184,6 +343,479 @@ describe('calculateDopplerShift', () => {
         const shift = calculateDopplerShift(1, 100, 100, 100, 100, true);
         expect(shift).toBe(1);
     });
+
+    it('should follow the heading of the source', () => {
+        // Source heading straight down (+y in canvas coordinates), observer below
+        const shift = calculateDopplerShift(0.5, 100, 200, 100, 50, true, Math.PI / 2);
+        expect(shift).toBeGreaterThan(1);
+    });
+});
+
+describe('calculateEmissionDopplerShift', () => {
+    it('should return 1 / (1 - M) directly ahead of the emission point', () => {
+        expect(calculateEmissionDopplerShift(0.5, 200, 50, 100, 50, true)).toBeCloseTo(2, 10);
+    });
+
+    it('should return 1 / (1 + M) directly behind the emission point', () => {
+        expect(calculateEmissionDopplerShift(0.5, 0, 50, 100, 50, true)).toBeCloseTo(1 / 1.5, 10);
+    });
+
+    it('should return 1 broadside to the emission point', () => {
+        expect(calculateEmissionDopplerShift(0.9, 100, 150, 100, 50, true)).toBeCloseTo(1, 10);
+    });
+
+    it('should not clamp large shifts', () => {
+        expect(calculateEmissionDopplerShift(0.9, 200, 50, 100, 50, true)).toBeCloseTo(10, 8);
+    });
+
+    it('should be negative for a supersonic source approaching the observer', () => {
+        expect(calculateEmissionDopplerShift(2, 200, 50, 100, 50, true)).toBeCloseTo(-1, 10);
+    });
+
+    it('should report a singularity on the Mach cone', () => {
+        // cos(θ) = 1/M at M = 2 means θ = 60°
+        const emitX = 0;
+        const observerX = 100 * Math.cos(Math.PI / 3);
+        const observerY = 100 * Math.sin(Math.PI / 3);
+        expect(calculateEmissionDopplerShift(2, observerX, observerY, emitX, 0, true)).toBe(Infinity);
+    });
+
+    it('should use the heading at emission', () => {
+        // Heading up (-y): observer above is directly ahead
+        expect(calculateEmissionDopplerShift(0.5, 100, 0, 100, 100, true, -Math.PI / 2)).toBeCloseTo(2, 10);
+        expect(calculateEmissionDopplerShift(0.5, 200, 100, 100, 100, true, -Math.PI / 2)).toBeCloseTo(1, 10);
+    });
+
+    it('should return 1 in wind mode where source and observer share a frame', () => {
+        expect(calculateEmissionDopplerShift(0.8, 200, 50, 100, 50, false)).toBe(1);
+        expect(calculateEmissionDopplerShift(0.8, 200, 50, 100, 50, false, 0, 0.01, { mach: 0.3, heading: 1 }))
+            .toBe(1);
+    });
+
+    it('should account for a headwind blowing the observer back through the air', () => {
+        // Through the air the source approaches at 0.7 and the observer recedes at 0.2
+        const headwind = { mach: 0.2, heading: Math.PI };
+        expect(calculateEmissionDopplerShift(0.5, 100, 0, 0, 0, true, 0, 0.01, headwind)).toBeCloseTo(0.8 / 0.3, 10);
+    });
+
+    it('should give no shift for a source at rest in any wind', () => {
+        const crosswind = { mach: 0.4, heading: Math.PI / 2 };
+        expect(calculateEmissionDopplerShift(0, 100, 30, 0, 0, true, 0, 0.01, crosswind)).toBeCloseTo(1, 10);
+    });
+});
+
+describe('findRetardedEmissions', () => {
+    it('should find the source position at rest', () => {
+        const emissions = findRetardedEmissions(0, 200, 50, 100, 50, true);
+        expect(emissions).toHaveLength(1);
+        expect(emissions[0].x).toBeCloseTo(100, 10);
+        expect(emissions[0].travel).toBeCloseTo(100, 10);
+    });
+
+    it('should find one emission behind a subsonic source', () => {
+        // Observer 100 ahead, M = 0.5: emitted at x = -100 (sound travels 200 while source moves 100)
+        const emissions = findRetardedEmissions(0.5, 200, 0, 100, 0, true);
+        expect(emissions).toHaveLength(1);
+        expect(emissions[0].x).toBeCloseTo(0, 10);
+        expect(emissions[0].travel).toBeCloseTo(200, 10);
+    });
+
+    it('should satisfy the retarded-time condition for an arbitrary observer', () => {
+        const [e] = findRetardedEmissions(0.7, 130, 260, 100, 50, true);
+        const soundTravel = Math.hypot(130 - e.x, 260 - e.y);
+        expect(soundTravel).toBeCloseTo(e.travel, 8);
+        expect(100 - e.x).toBeCloseTo(0.7 * e.travel, 8);
+    });
+
+    it('should find two emissions inside a supersonic cone', () => {
+        const emissions = findRetardedEmissions(2, -200, 50, 0, 0, true);
+        expect(emissions).toHaveLength(2);
+        expect(emissions[0].x).toBeLessThan(emissions[1].x);
+    });
+
+    it('should find no emissions outside a supersonic cone', () => {
+        expect(findRetardedEmissions(2, 100, 50, 0, 0, true)).toHaveLength(0);
+        expect(findRetardedEmissions(2, -10, 100, 0, 0, true)).toHaveLength(0);
+    });
+
+    it('should find the emission behind a source with an arbitrary heading', () => {
+        // Heading down: observer 100 below, M = 0.5, emitted 100 above the source
+        const emissions = findRetardedEmissions(0.5, 0, 200, 0, 100, true, Math.PI / 2);
+        expect(emissions).toHaveLength(1);
+        expect(emissions[0].x).toBeCloseTo(0, 10);
+        expect(emissions[0].y).toBeCloseTo(0, 10);
+    });
+
+    it('should keep the emission at the source in wind mode', () => {
+        const emissions = findRetardedEmissions(0.5, 200, 0, 100, 0, false);
+        expect(emissions).toHaveLength(1);
+        expect(emissions[0].x).toBe(100);
+        // Downstream sound is carried by the wind: travels 100 at 1.5c in 100/1.5 time
+        expect(emissions[0].travel).toBeCloseTo(100 / 1.5, 10);
+    });
+
+    it('should carry sound from a moving source with the wind', () => {
+        // A tailwind in moving source mode drifts the wavefronts just like wind mode does
+        const tailwind = { mach: 0.5, heading: 0 };
+        const [emission] = findRetardedEmissions(0, 200, 0, 100, 0, true, 0, tailwind);
+        expect(emission.travel).toBeCloseTo(100 / 1.5, 10);
+    });
+
+    it('should add the wind to the flow of wind mode', () => {
+        const [emission] = findRetardedEmissions(0.3, 200, 0, 100, 0, false, 0, { mach: 0.2, heading: 0 });
+        expect(emission.x).toBe(100);
+        expect(emission.travel).toBeCloseTo(100 / 1.5, 10);
+    });
+});
+
+describe('calculateRetardedDoppler', () => {
+    it('should give a single blue shift ahead of a subsonic source', () => {
+        const reading = calculateRetardedDoppler(0.5, 200, 0, 100, 0, true);
+        expect(reading.regime).toBe('single');
+        expect(reading.shifts[0]).toBeCloseTo(2, 10);
+    });
+
+    it('should give a single red shift behind a subsonic source', () => {
+        const reading = calculateRetardedDoppler(0.5, 0, 0, 100, 0, true);
+        expect(reading.regime).toBe('single');
+        expect(reading.shifts[0]).toBeCloseTo(1 / 1.5, 10);
+    });
+
+    it('should be silent outside a supersonic cone', () => {
+        const reading = calculateRetardedDoppler(2, 300, 0, 100, 0, true);
+        expect(reading.regime).toBe('silent');
+        expect(reading.shifts).toHaveLength(0);
+    });
+
+    it('should give two arrivals, the earlier one time-reversed, inside a supersonic cone', () => {
+        const reading = calculateRetardedDoppler(2, -200, 50, 0, 0, true);
+        expect(reading.regime).toBe('multiple');
+        // Earlier emission was approaching the observer faster than sound
+        expect(reading.shifts[0]).toBeLessThan(0);
+        expect(reading.shifts[1]).toBeGreaterThan(0);
+    });
+
+    it('should be singular on the Mach cone', () => {
+        // Behind the source along the cone edge: tan(θ) = 1/sqrt(M^2 - 1)
+        const mach = 2;
+        const behind = 300;
+        const reading = calculateRetardedDoppler(mach, -behind, behind / Math.sqrt(mach * mach - 1), 0, 0, true);
+        expect(reading.regime).toBe('singular');
+    });
+
+    it('should report no shift in wind mode', () => {
+        const reading = calculateRetardedDoppler(0.8, 200, 50, 100, 50, false);
+        expect(reading.regime).toBe('single');
+        expect(reading.shifts[0]).toBe(1);
+    });
+
+    it('should be silent upstream of a supersonic wind', () => {
+        expect(calculateRetardedDoppler(2, 0, 0, 100, 0, false).regime).toBe('silent');
+    });
+
+    it('should break the sound barrier through a headwind', () => {
+        // Mach 0.9 over the ground is Mach 1.1 through a 0.2 headwind, so nothing arrives ahead
+        const headwind = { mach: 0.2, heading: Math.PI };
+        expect(calculateRetardedDoppler(0.9, 400, 100, 300, 100, true).regime).toBe('single');
+        expect(calculateRetardedDoppler(0.9, 400, 100, 300, 100, true, 0, 0.01, headwind).regime).toBe('silent');
+    });
+});
+
+describe('angleDifference', () => {
+    it('should return the signed smallest difference', () => {
+        expect(angleDifference(0, Math.PI / 2)).toBeCloseTo(Math.PI / 2, 10);
+        expect(angleDifference(Math.PI / 2, 0)).toBeCloseTo(-Math.PI / 2, 10);
+    });
+
+    it('should wrap across the ±PI boundary', () => {
+        expect(angleDifference(3, -3)).toBeCloseTo(2 * Math.PI - 6, 10);
+        expect(angleDifference(0, 4 * Math.PI)).toBeCloseTo(0, 10);
+    });
+});
+
+/**
+ * Samples of a source flying straight along +x at the given Mach number, one per pixel of sound travel
+ */
+function straightTrack(mach, sourceX, sourceY, samples) {
+    const track = [];
+    for (let travel = samples; travel >= 0; travel--) {
+        track.push({ x: sourceX - mach * travel, y: sourceY, travel, mach, heading: 0 });
+    }
+    return track;
+}
+
+describe('findTrackEmissions', () => {
+    it('should match the straight-line solution for a straight track', () => {
+        const track = straightTrack(0.5, 300, 100, 600);
+        const fromTrack = findTrackEmissions(track, 400, 180);
+        const exact = findRetardedEmissions(0.5, 400, 180, 300, 100, true);
+        expect(fromTrack).toHaveLength(1);
+        expect(fromTrack[0].x).toBeCloseTo(exact[0].x, 1);
+        expect(fromTrack[0].travel).toBeCloseTo(exact[0].travel, 1);
+    });
+
+    it('should find both supersonic arrivals inside the cone', () => {
+        const track = straightTrack(2, 300, 100, 600);
+        expect(findTrackEmissions(track, 100, 150)).toHaveLength(2);
+    });
+
+    it('should find nothing when sound from the track has not arrived yet', () => {
+        const track = straightTrack(2, 300, 100, 600);
+        expect(findTrackEmissions(track, 400, 100)).toHaveLength(0);
+    });
+
+    it('should interpolate heading through the shortest turn', () => {
+        const track = [
+            { x: 0, y: 0, travel: 20, mach: 0.5, heading: Math.PI - 0.1 },
+            { x: 0, y: 0, travel: 0, mach: 0.5, heading: -Math.PI + 0.1 }
+        ];
+        const [emission] = findTrackEmissions(track, 10, 0);
+        expect(Math.abs(Math.cos(emission.heading))).toBeCloseTo(1, 1);
+        expect(emission.travel).toBeCloseTo(10, 10);
+    });
+});
+
+describe('calculateTrackDoppler', () => {
+    it('should agree with the straight-line reading', () => {
+        const track = straightTrack(0.5, 300, 100, 600);
+        const reading = calculateTrackDoppler(track, 450, 100);
+        expect(reading.regime).toBe('single');
+        expect(reading.shifts[0]).toBeCloseTo(2, 5);
+    });
+
+    it('should be silent outside a supersonic cone', () => {
+        const track = straightTrack(2, 300, 100, 600);
+        expect(calculateTrackDoppler(track, 400, 100).regime).toBe('silent');
+    });
+
+    it('should agree with the straight-line reading in a crosswind', () => {
+        const crosswind = { mach: 0.3, heading: Math.PI / 2 };
+        const track = straightTrack(0.5, 300, 100, 600);
+        const reading = calculateTrackDoppler(track, 420, 180, 0.01, crosswind);
+        const exact = calculateRetardedDoppler(0.5, 420, 180, 300, 100, true, 0, 0.01, crosswind);
+        expect(reading.regime).toBe('single');
+        expect(reading.shifts[0]).toBeCloseTo(exact.shifts[0], 2);
+    });
+
+    it('should hear more than two arrivals from a supersonic turn', () => {
+        // Source circling at M = 2 around the origin; its spiral wavefronts overlap far outside
+        const mach = 2;
+        const radius = 100;
+        const track = [];
+        for (let travel = 1200; travel >= 0; travel--) {
+            const angle = -(mach * travel) / radius;
+            track.push({
+                x: radius * Math.cos(angle),
+                y: radius * Math.sin(angle),
+                travel,
+                mach,
+                heading: angle + Math.PI / 2
+            });
+        }
+        const reading = calculateTrackDoppler(track, -400, -360);
+        expect(reading.shifts.length).toBeGreaterThan(2);
+    });
+});
+
+describe('createRampProfile', () => {
+    it('should build a two-keyframe profile', () => {
+        expect(createRampProfile(0.8, 1.6, 4)).toEqual([
+            { time: 0, mach: 0.8 },
+            { time: 4, mach: 1.6 }
+        ]);
+    });
+
+    it('should reject a ramp without a positive duration', () => {
+        expect(() => createRampProfile(0.8, 1.6, 0)).toThrow('greater than zero');
+        expect(() => createRampProfile(0.8, 1.6, NaN)).toThrow('greater than zero');
+    });
+});
+
+describe('machAtTime', () => {
+    const profile = [{ time: 0, mach: 0.8 }, { time: 2, mach: 1.6 }, { time: 4, mach: 1.2 }];
+
+    it('should interpolate between keyframes', () => {
+        expect(machAtTime(profile, 1)).toBeCloseTo(1.2, 10);
+        expect(machAtTime(profile, 3)).toBeCloseTo(1.4, 10);
+    });
+
+    it('should hit keyframes exactly', () => {
+        expect(machAtTime(profile, 2)).toBe(1.6);
+    });
+
+    it('should hold the first and last values outside the profile', () => {
+        expect(machAtTime(profile, -1)).toBe(0.8);
+        expect(machAtTime(profile, 10)).toBe(1.2);
+    });
+});
+
+describe('parseFlightProfile', () => {
+    it('should parse time:mach pairs', () => {
+        expect(parseFlightProfile('0:0.8, 3:1.4, 6:1.4')).toEqual([
+            { time: 0, mach: 0.8 },
+            { time: 3, mach: 1.4 },
+            { time: 6, mach: 1.4 }
+        ]);
+    });
+
+    it('should ignore a trailing comma', () => {
+        expect(parseFlightProfile('0:1,2:2,')).toHaveLength(2);
+    });
+
+    it('should reject malformed keyframes', () => {
+        expect(() => parseFlightProfile('0:0.8, fast')).toThrow('Invalid keyframe "fast"');
+        expect(() => parseFlightProfile('0:0.8, 2:-1')).toThrow('Invalid keyframe');
+    });
+
+    it('should need at least two keyframes', () => {
+        expect(() => parseFlightProfile('0:1')).toThrow('at least two keyframes');
+    });
+
+    it('should need increasing times', () => {
+        expect(() => parseFlightProfile('0:1, 2:1.5, 2:2')).toThrow('must increase');
+    });
+});
+
+/**
+ * Wavefronts left by a source flying right along y = 0, one pulse every `interval` time units
+ * (speed of sound 1), as seen at time `now`
+ */
+function wavefronts(machs, interval, now) {
+    const circles = [];
+    let x = 0;
+    machs.forEach((mach, i) => {
+        circles.push({ x, y: 0, radius: now - i * interval });
+        x += mach * interval;
+    });
+    return { circles, apex: { x, y: 0 } };
+}
+
+describe('findWavefrontEnvelope', () => {
+    it('should find no envelope for a subsonic source', () => {
+        const { circles, apex } = wavefronts([0.8, 0.8, 0.8, 0.8], 1, 4);
+        expect(findWavefrontEnvelope(circles, apex)).toEqual([]);
+    });
+
+    it('should trace straight Mach cone lines for a steady supersonic source', () => {
+        const { circles, apex } = wavefronts([2, 2, 2, 2, 2], 1, 5);
+        const branches = findWavefrontEnvelope(circles, apex);
+        expect(branches).toHaveLength(2);
+
+        const [upper, lower] = branches;
+        expect(upper.at(-1)).toEqual(apex);
+        expect(lower.at(-1)).toEqual(apex);
+        // Neighbouring wavefronts cross just inside the sin(θ) = 1/M cone, closing in on it
+        // as the wavefronts grow
+        const angles = upper.slice(0, -1).map(pt => Math.atan2(-pt.y, apex.x - pt.x));
+        for (const angle of angles) {
+            expect(angle).toBeLessThan(Math.asin(1 / 2));
+        }
+        expect(angles[0]).toBeCloseTo(Math.asin(1 / 2), 1);
+        expect(upper[0].y).toBeLessThan(0);
+        expect(lower[0].y).toBeGreaterThan(0);
+    });
+
+    it('should start the envelope where an accelerating source passes Mach 1', () => {
+        const { circles, apex } = wavefronts([0.6, 0.8, 1.2, 1.6, 2], 1, 5);
+        const [upper] = findWavefrontEnvelope(circles, apex);
+        // Only wavefronts emitted once the source outran its sound overlap: 2 crossings plus the apex
+        expect(upper).toHaveLength(3);
+        expect(upper[0].x).toBeGreaterThan(circles[2].x);
+    });
+
+    it('should stop short of the source when it has slowed below Mach 1', () => {
+        const { circles, apex } = wavefronts([2, 2, 2, 0.5], 1, 4);
+        const branches = findWavefrontEnvelope(circles, apex);
+        expect(branches).toHaveLength(2);
+        expect(branches[0]).not.toContainEqual(apex);
+    });
+});
+
+describe('calculateArrivalAmplitude', () => {
+    it('should be 1 at the reference radius', () => {
+        expect(calculateArrivalAmplitude(20)).toBe(1);
+        expect(calculateArrivalAmplitude(50, 50)).toBe(1);
+    });
+
+    it('should halve when the distance quadruples', () => {
+        expect(calculateArrivalAmplitude(80)).toBeCloseTo(0.5, 10);
+        expect(calculateArrivalAmplitude(320)).toBeCloseTo(0.25, 10);
+    });
+
+    it('should not grow above 1 close to the source', () => {
+        expect(calculateArrivalAmplitude(0)).toBe(1);
+        expect(calculateArrivalAmplitude(5)).toBe(1);
+    });
+});
+
+describe('calculatePulseOverpressure', () => {
+    it('should peak on the wavefront of a Gaussian pulse', () => {
+        expect(calculatePulseOverpressure(100, 100, 12, 'gaussian', 100)).toBe(1);
+        expect(calculatePulseOverpressure(106, 100, 12, 'gaussian', 100)).toBeCloseTo(Math.exp(-0.5), 10);
+        expect(calculatePulseOverpressure(94, 100, 12, 'gaussian', 100)).toBeCloseTo(Math.exp(-0.5), 10);
+    });
+
+    it('should vanish away from the shell', () => {
+        expect(calculatePulseOverpressure(50, 100, 12)).toBe(0);
+        expect(calculatePulseOverpressure(130, 100, 12)).toBe(0);
+    });
+
+    it('should decay as one over the square root of the radius', () => {
+        const near = calculatePulseOverpressure(80, 80, 12, 'gaussian', 20);
+        const far = calculatePulseOverpressure(320, 320, 12, 'gaussian', 20);
+        expect(near / far).toBeCloseTo(2, 10);
+        // Small pulses are held at the reference amplitude instead of blowing up
+        expect(calculatePulseOverpressure(5, 5, 12, 'gaussian', 20)).toBe(1);
+    });
+
+    it('should compress at the front and rarefy behind it for an N-wave', () => {
+        expect(calculatePulseOverpressure(100, 100, 12, 'nwave', 100)).toBe(1);
+        expect(calculatePulseOverpressure(94, 100, 12, 'nwave', 100)).toBeCloseTo(0, 10);
+        expect(calculatePulseOverpressure(88, 100, 12, 'nwave', 100)).toBe(-1);
+        expect(calculatePulseOverpressure(101, 100, 12, 'nwave', 100)).toBe(0);
+        expect(calculatePulseOverpressure(87, 100, 12, 'nwave', 100)).toBe(0);
+    });
+
+    it('should reject unknown shapes', () => {
+        expect(() => calculatePulseOverpressure(100, 100, 12, 'square')).toThrow('Unknown pulse shape: square');
+    });
+});
+
+describe('reflecting boundaries', () => {
+    const ground = { x1: 0, y1: 400, x2: 900, y2: 400 };
+    const wall = { x1: 800, y1: 0, x2: 800, y2: 500 };
+
+    it('should mirror points in the line through the boundary', () => {
+        expect(mirrorPoint(100, 250, ground)).toEqual({ x: 100, y: 550 });
+        expect(mirrorPoint(700, 30, wall)).toEqual({ x: 900, y: 30 });
+        // Beyond the ends of the segment too
+        expect(mirrorPoint(-50, 390, ground)).toEqual({ x: -50, y: 410 });
+    });
+
+    it('should mirror headings', () => {
+        expect(Math.cos(mirrorHeading(0, wall))).toBeCloseTo(-1, 10);
+        expect(Math.sin(mirrorHeading(Math.PI / 4, ground))).toBeCloseTo(-Math.SQRT1_2, 10);
+    });
+
+    it('should tell whether a line crosses the segment', () => {
+        expect(crossesBoundary(100, 550, 300, 300, ground)).toBe(true);
+        expect(crossesBoundary(100, 300, 300, 300, ground)).toBe(false);
+        // Passes the line beyond the segment's end
+        expect(crossesBoundary(950, 300, 1000, 500, ground)).toBe(false);
+    });
+
+    it('should find the part of a circle beyond the segment', () => {
+        // 150px above the ground: out to 60° either side of straight down, cut off by the left end
+        const arc = arcBeyondBoundary(100, 250, 300, ground);
+        expect(arc.start).toBeCloseTo(Math.PI / 6, 10);
+        expect(arc.stop).toBeCloseTo(Math.atan2(150, -100), 10);
+    });
+
+    it('should find nothing when the circle does not reach past the segment', () => {
+        expect(arcBeyondBoundary(100, 250, 100, ground)).toBeNull();
+        expect(arcBeyondBoundary(100, 250, 300, wall)).toBeNull();
+        expect(arcBeyondBoundary(100, 250, 300, { x1: 500, y1: 400, x2: 600, y2: 400 })).toBeNull();
+    });
 });
 
 describe('hasWaveCrossedObserver', () => {
@@ -208,6 +840,31 @@ describe('hasWaveCrossedObserver', () => {
     });
 });
 
+describe('measureAngle', () => {
+    it('should read the angle between two arms whichever way round', () => {
+        expect(measureAngle(0, 0, 10, 0, 0, 10)).toBeCloseTo(90, 10);
+        expect(measureAngle(0, 0, 0, 10, 10, 0)).toBeCloseTo(90, 10);
+        expect(measureAngle(5, 5, -5, 5, 5 - 10 * Math.cos(Math.PI / 6), 5 + 10 * Math.sin(Math.PI / 6)))
+            .toBeCloseTo(30, 10);
+    });
+
+    it('should give 0 and 180 for parallel and opposite arms', () => {
+        expect(measureAngle(0, 0, 3, 3, 6, 6)).toBe(0);
+        expect(measureAngle(0, 0, 3, 0, -4, 0)).toBeCloseTo(180, 10);
+    });
+
+    it('should be NaN when an arm has no length', () => {
+        expect(measureAngle(1, 1, 1, 1, 5, 5)).toBeNaN();
+    });
+});
+
+describe('pixelsToMeters', () => {
+    it('should scale by how far sound goes on screen and in the air in a second', () => {
+        expect(pixelsToMeters(120, 120, 343)).toBe(343);
+        expect(pixelsToMeters(60, 120, 295)).toBeCloseTo(147.5, 10);
+    });
+});
+
 describe('distance', () => {
     it('should return 0 for same point', () => {
         expect(distance(10, 20, 10, 20)).toBe(0);
@@ -322,6 +979,24 @@ describe('calculateDopplerFrequency', () => {
     });
 });
 
+describe('calculateStereoPan', () => {
+    it('should center a source ahead or behind and pan one to the side', () => {
+        expect(calculateStereoPan(100, 0, 100, 300)).toBe(0);
+        expect(calculateStereoPan(100, 600, 100, 300)).toBe(0);
+        expect(calculateStereoPan(900, 300, 100, 300)).toBeCloseTo(1, 3);
+        expect(calculateStereoPan(-700, 300, 100, 300)).toBeCloseTo(-1, 3);
+    });
+
+    it('should follow the sine of the bearing', () => {
+        expect(calculateStereoPan(400, 0, 0, 400, 0)).toBeCloseTo(Math.SQRT1_2, 10);
+    });
+
+    it('should ease to the center as the source passes overhead', () => {
+        expect(calculateStereoPan(5, 0, 0, 0)).toBeLessThan(0.25);
+        expect(calculateStereoPan(0, 0, 0, 0)).toBe(0);
+    });
+});
+
 describe('AIRCRAFT_PRESETS', () => {
     it('should have correct preset values', () => {
         expect(AIRCRAFT_PRESETS['Subsonic Jet']).toBe(0.85);
@@ -334,5 +1009,186 @@ describe('AIRCRAFT_PRESETS', () => {
     it('should have 5 presets', () => {
         expect(Object.keys(AIRCRAFT_PRESETS)).toHaveLength(5);
     });
+
+    it('should give every preset a cruise altitude', () => {
+        expect(Object.keys(AIRCRAFT_CRUISE_ALTITUDES)).toEqual(Object.keys(AIRCRAFT_PRESETS));
+        expect(AIRCRAFT_CRUISE_ALTITUDES['SR-71']).toBeCloseTo(80000 * 0.3048, 0);
+    });
+});
+
+describe('calculateBoomSignature', () => {
+    it('should give Concorde a boom of about 2 lb/ft² lasting a few tenths of a second', () => {
+        const boom = calculateBoomSignature(2, 18288, AIRCRAFT_LENGTHS['Concorde']);
+        expect(boom.overpressure).toBeGreaterThan(70);
+        expect(boom.overpressure).toBeLessThan(110);
+        expect(boom.duration).toBeGreaterThan(0.25);
+        expect(boom.duration).toBeLessThan(0.45);
+    });
+
+    it('should have no boom below Mach 1', () => {
+        expect(calculateBoomSignature(0.95, 10000, 40)).toBeNull();
+        expect(calculateBoomSignature(1, 10000, 40)).toBeNull();
+    });
+
+    it('should weaken and lengthen with altitude', () => {
+        const low = calculateBoomSignature(1.5, 5000, 20);
+        const high = calculateBoomSignature(1.5, 15000, 20);
+        expect(high.overpressure).toBeLessThan(low.overpressure);
+        expect(high.duration).toBeGreaterThan(low.duration);
+    });
+
+    it('should grow with aircraft length as l^(3/4)', () => {
+        const short = calculateBoomSignature(2, 15000, 20);
+        const long = calculateBoomSignature(2, 15000, 40);
+        expect(long.overpressure / short.overpressure).toBeCloseTo(2 ** 0.75, 10);
+        expect(long.duration / short.duration).toBeCloseTo(2 ** 0.75, 10);
+    });
+
+    it('should hold the estimate at the lowest altitude it is made for', () => {
+        expect(calculateBoomSignature(2, 0, 30)).toEqual(calculateBoomSignature(2, 100, 30));
+    });
+});
+
+describe('synthesizeNWave', () => {
+    it('should rise sharply, fall linearly and recover sharply', () => {
+        // 10 ms body and 2 ms shocks at 1 kHz
+        const samples = synthesizeNWave(0.01, 0.5, 1000, 0.002);
+        expect(Array.from(samples.slice(0, 3))).toEqual([0, 0.25, 0.5]);
+        expect(samples[7]).toBeCloseTo(0, 6);
+        expect(samples[12]).toBeCloseTo(-0.5, 6);
+        expect(samples[13]).toBeCloseTo(-0.25, 6);
+        expect(samples[14]).toBe(0);
+    });
+
+    it('should stay within the amplitude and end in silence', () => {
+        const samples = synthesizeNWave(0.3, 0.8, 44100);
+        expect(Math.max(...samples)).toBeCloseTo(0.8, 6);
+        expect(Math.min(...samples)).toBeCloseTo(-0.8, 6);
+        expect(samples[samples.length - 1]).toBe(0);
+        expect(samples.length).toBeGreaterThan(0.35 * 44100);
+    });
+
+    it('should put the bow and tail shocks the duration apart', () => {
+        const sampleRate = 8000;
+        const samples = synthesizeNWave(0.25, 1, sampleRate);
+        const jumps = [];
+        for (let i = 1; i < samples.length; i++) {
+            if (Math.abs(samples[i] - samples[i - 1]) > 0.02) jumps.push(i);
+        }
+        const gap = (jumps[jumps.length - 1] - jumps[0]) / sampleRate;
+        expect(gap).toBeCloseTo(0.25 + 0.003, 2);
+    });
+});
+
+describe('soundSpeedAt', () => {
+    const profile = [{ height: 0, speed: 1.2 }, { height: 0.5, speed: 1 }, { height: 1, speed: 1 }];
+
+    it('should interpolate between keyframes', () => {
+        expect(soundSpeedAt(profile, 0.25)).toBeCloseTo(1.1, 10);
+        expect(soundSpeedAt(profile, 0.75)).toBe(1);
+    });
+
+    it('should hold the end values outside the profile', () => {
+        expect(soundSpeedAt(profile, -0.5)).toBe(1.2);
+        expect(soundSpeedAt(profile, 2)).toBe(1);
+    });
+
+    it('should give the slope of the layer', () => {
+        expect(soundSpeedSlope(profile, 0.25)).toBeCloseTo(-0.4, 10);
+        expect(soundSpeedSlope(profile, 0.75)).toBe(0);
+        expect(soundSpeedSlope(profile, 1.5)).toBe(0);
+    });
+});
+
+describe('createLapseProfile', () => {
+    it('should be 1 at the flight altitude and faster near the warm ground', () => {
+        const profile = createLapseProfile(11000);
+        expect(soundSpeedAt(profile, 0.5)).toBeCloseTo(1, 10);
+        expect(soundSpeedAt(profile, 0)).toBeCloseTo(340.29 / 295.07, 3);
+        // Isothermal from 11 km to 20 km
+        expect(soundSpeedAt(profile, 0.8)).toBeCloseTo(1, 10);
+    });
+
+    it('should keep working for low flight altitudes', () => {
+        const profile = createLapseProfile(0);
+        expect(soundSpeedAt(profile, 0.5)).toBeCloseTo(1, 10);
+        expect(soundSpeedAt(profile, 0)).toBeGreaterThan(1);
+    });
+});
+
+describe('parseSoundSpeedProfile', () => {
+    it('should parse height:speed pairs', () => {
+        expect(parseSoundSpeedProfile('0:1.15, 0.5:1, 1:0.95')).toEqual([
+            { height: 0, speed: 1.15 },
+            { height: 0.5, speed: 1 },
+            { height: 1, speed: 0.95 }
+        ]);
+    });
+
+    it('should reject bad keyframes', () => {
+        expect(() => parseSoundSpeedProfile('0:1')).toThrow('at least two keyframes');
+        expect(() => parseSoundSpeedProfile('0:1, 2:1')).toThrow('Invalid keyframe "2:1"');
+        expect(() => parseSoundSpeedProfile('0:1, 0.5:0')).toThrow('Invalid keyframe');
+        expect(() => parseSoundSpeedProfile('0.5:1, 0.2:1')).toThrow('heights must increase');
+    });
 });
 
+describe('ray tracing', () => {
+    it('should fan rays evenly in every direction', () => {
+        const rays = createRayFan(10, 20, 8);
+        expect(rays).toHaveLength(8);
+        expect(rays[2].dx).toBeCloseTo(0, 10);
+        expect(rays[2].dy).toBeCloseTo(1, 10);
+        expect(rays.every(r => r.x === 10 && r.y === 20)).toBe(true);
+    });
+
+    it('should go straight at the local speed in a uniform layer', () => {
+        const ray = { x: 0, y: 100, dx: 0.6, dy: 0.8 };
+        const profile = [{ height: 0, speed: 1.5 }, { height: 1, speed: 1.5 }];
+        for (let i = 0; i < 10; i++) advanceRay(ray, profile, 2, 500);
+        expect(ray.x).toBeCloseTo(18, 10);
+        expect(ray.y).toBeCloseTo(124, 10);
+    });
+
+    it('should turn a downward ray back up before the ground where sound is faster below', () => {
+        // Snell's law: cos(angle) / c stays constant, so a ray leaving mid-height (c = 1.1)
+        // 20° below horizontal turns where c = 1.1 / cos 20° = 1.1706, at height 0.147
+        const profile = [{ height: 0, speed: 1.2 }, { height: 1, speed: 1 }];
+        const angle = 20 * Math.PI / 180;
+        const ray = { x: 0, y: 250, dx: Math.cos(angle), dy: Math.sin(angle) };
+        let lowest = 0;
+        for (let i = 0; i < 600; i++) {
+            advanceRay(ray, profile, 2, 500);
+            lowest = Math.max(lowest, ray.y);
+        }
+        expect((500 - lowest) / 500).toBeCloseTo(0.147, 2);
+        expect(ray.dy).toBeLessThan(0);
+    });
+});
+
+describe('isInsidePolygon', () => {
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+    it('should find points inside and outside a polygon', () => {
+        expect(isInsidePolygon(square, 5, 5)).toBe(true);
+        expect(isInsidePolygon(square, 15, 5)).toBe(false);
+        expect(isInsidePolygon(square, 5, -1)).toBe(false);
+    });
+});
+
+describe('hasRayFrontPassed', () => {
+    // Two rays moving right side by side: the front between them sweeps x = 10..12
+    const before = [{ x: 10, y: 0 }, { x: 10, y: 10 }];
+    const after = [{ x: 12, y: 0 }, { x: 12, y: 10 }];
+
+    it('should detect a point swept by the front', () => {
+        expect(hasRayFrontPassed(before, after, 11, 5)).toBe(true);
+        expect(hasRayFrontPassed(before, after, 13, 5)).toBe(false);
+        expect(hasRayFrontPassed(before, after, 11, 15)).toBe(false);
+    });
+
+    it('should ignore segments ending at a ray absorbed by the ground', () => {
+        const grounded = [{ x: 10, y: 0 }, { x: 10, y: 10, absorbed: true }];
+        expect(hasRayFrontPassed(grounded, after, 11, 5)).toBe(false);
+    });
+});
@@ -0,0 +1,136 @@
+// Aircraft presets
+// Named Mach numbers with a cruise altitude, a length (for the boom) and a short description.
+// The built-in ones can be edited, deleted or added to, and the list is kept in the browser's
+// localStorage.
+
+import { AIRCRAFT, DEFAULT_AIRCRAFT_LENGTH } from './physics.js';
+
+/**
+ * localStorage key of the preset list
+ */
+export const PRESET_STORAGE_KEY = 'shockwaves.presets';
+
+/**
+ * Highest Mach number a preset may have, as for links
+ */
+export const MAX_PRESET_MACH = 10;
+
+/**
+ * Highest cruise altitude a preset may have, in meters, as for links
+ */
+export const MAX_PRESET_ALTITUDE = 100000;
+
+/**
+ * Longest aircraft a preset may have, in meters
+ */
+export const MAX_PRESET_LENGTH = 500;
+
+/**
+ * Presets offered until the list is edited
+ */
+export const DEFAULT_PRESETS = AIRCRAFT.map(({ name, mach, altitude, description, length }) => ({
+    name,
+    mach,
+    altitude,
+    description,
+    length
+}));
+
+/**
+ * Build a preset, checking each field
+ * @param {string} name - Button label
+ * @param {number} mach - Mach number, 0 to MAX_PRESET_MACH
+ * @param {number} altitude - Cruise altitude in meters, 0 to MAX_PRESET_ALTITUDE
+ * @param {string} [description] - Shown when the preset is picked
+ * @param {number} [length] - Aircraft length in meters, up to MAX_PRESET_LENGTH, for its sonic boom
+ * @returns {{name: string, mach: number, altitude: number, description: string, length: number}}
+ */
+export function createPreset(name, mach, altitude, description = '', length = DEFAULT_AIRCRAFT_LENGTH) {
+    const trimmed = String(name).trim();
+    if (!trimmed) {
+        throw new Error('A preset needs a name');
+    }
+    if (typeof mach !== 'number' || !(mach >= 0 && mach <= MAX_PRESET_MACH)) {
+        throw new Error(`Mach number must be between 0 and ${MAX_PRESET_MACH}`);
+    }
+    if (typeof altitude !== 'number' || !(altitude >= 0 && altitude <= MAX_PRESET_ALTITUDE)) {
+        throw new Error(`Altitude must be between 0 and ${MAX_PRESET_ALTITUDE} m`);
+    }
+    if (typeof length !== 'number' || !(length > 0 && length <= MAX_PRESET_LENGTH)) {
+        throw new Error(`Length must be more than 0 and at most ${MAX_PRESET_LENGTH} m`);
+    }
+    return {
+        name: trimmed,
+        mach,
+        altitude: Math.round(altitude),
+        description: String(description).trim(),
+        length
+    };
+}
+
+/**
+ * Presets saved in the browser, skipping any that no longer validate
+ * @param {Storage} storage - Usually localStorage
+ * @returns {object[]} The saved presets in button order, or the defaults if none were saved
+ */
+export function loadStoredPresets(storage) {
+    let list;
+    try {
+        list = JSON.parse(storage.getItem(PRESET_STORAGE_KEY) ?? 'null');
+    } catch {
+        list = null;
+    }
+    if (!Array.isArray(list)) return structuredClone(DEFAULT_PRESETS);
+
+    const presets = [];
+    for (const data of list) {
+        try {
+            presets.push(createPreset(data.name ?? '', data.mach, data.altitude, data.description ?? '',
+                data.length ?? DEFAULT_AIRCRAFT_LENGTH));
+        } catch {
+            // Skip entries edited by hand
+        }
+    }
+    return presets;
+}
+
+/**
+ * Save a preset in the browser, in place of the one it was edited from
+ * @param {Storage} storage - Usually localStorage
+ * @param {object} preset - Preset to save
+ * @param {string} [previousName] - Name before editing; a new preset goes at the end
+ * @returns {object[]} The saved presets after the change
+ */
+export function storePreset(storage, preset, previousName = preset.name) {
+    const presets = loadStoredPresets(storage).filter(p => p.name !== preset.name || p.name === previousName);
+    const index = presets.findIndex(p => p.name === previousName);
+    if (index >= 0) {
+        presets[index] = preset;
+    } else {
+        presets.push(preset);
+    }
+    storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    return presets;
+}
+
+/**
+ * Remove a preset saved in the browser
+ * @param {Storage} storage - Usually localStorage
+ * @param {string} name - Name of the preset to remove
+ * @returns {object[]} The saved presets after the change
+ */
+export function forgetPreset(storage, name) {
+    const presets = loadStoredPresets(storage).filter(p => p.name !== name);
+    storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    return presets;
+}
+
+/**
+ * Go back to the built-in presets
+ * @param {Storage} storage - Usually localStorage
+ * @returns {object[]} The default presets
+ */
+export function resetStoredPresets(storage) {
+    storage.removeItem(PRESET_STORAGE_KEY);
+    return structuredClone(DEFAULT_PRESETS);
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createPreset,
+    DEFAULT_PRESETS,
+    forgetPreset,
+    loadStoredPresets,
+    PRESET_STORAGE_KEY,
+    resetStoredPresets,
+    storePreset
+} from './presets.js';
+import { makeStorage } from './teststorage.js';
+
+describe('DEFAULT_PRESETS', () => {
+    it('should describe each built-in aircraft', () => {
+        expect(DEFAULT_PRESETS.map(p => p.name)).toEqual(['Subsonic Jet', 'Sound Barrier', 'Supersonic', 'Concorde', 'SR-71']);
+        expect(DEFAULT_PRESETS[3]).toMatchObject({ mach: 2.04, altitude: 18288, length: 61.7 });
+        for (const preset of DEFAULT_PRESETS) {
+            expect(preset.description).not.toBe('');
+        }
+    });
+});
+
+describe('createPreset', () => {
+    it('should trim the name and description and round the altitude', () => {
+        expect(createPreset('  X-15 ', 6.7, 31120.4, ' Rocket plane ', 15.5)).toEqual({
+            name: 'X-15', mach: 6.7, altitude: 31120, description: 'Rocket plane', length: 15.5
+        });
+        expect(createPreset('Jet', 0.8, 10000).length).toBe(30);
+    });
+
+    it('should reject a missing name and out-of-range numbers', () => {
+        expect(() => createPreset(' ', 1, 0)).toThrow('needs a name');
+        expect(() => createPreset('Fast', 11, 0)).toThrow('Mach number must be between 0 and 10');
+        expect(() => createPreset('Fast', NaN, 0)).toThrow('Mach number');
+        expect(() => createPreset('High', 1, -5)).toThrow('Altitude must be between 0 and 100000 m');
+        expect(() => createPreset('High', 1, '900')).toThrow('Altitude');
+        expect(() => createPreset('Long', 1, 0, '', 0)).toThrow('Length must be more than 0 and at most 500 m');
+    });
+});
+
+describe('stored presets', () => {
+    it('should start with the defaults', () => {
+        const presets = loadStoredPresets(makeStorage());
+        expect(presets).toEqual(DEFAULT_PRESETS);
+        expect(presets[0]).not.toBe(DEFAULT_PRESETS[0]);
+    });
+
+    it('should add, edit in place and delete presets', () => {
+        const storage = makeStorage();
+        storePreset(storage, createPreset('Rifle bullet', 2.5, 0, 'A .308 round leaving the muzzle'));
+        let saved = storePreset(storage, createPreset('Concorde', 2.02, 17000), 'Concorde');
+        expect(saved.map(p => p.name)).toEqual(['Subsonic Jet', 'Sound Barrier', 'Supersonic', 'Concorde', 'SR-71', 'Rifle bullet']);
+        expect(saved[3]).toMatchObject({ mach: 2.02, altitude: 17000, description: '' });
+
+        saved = storePreset(storage, createPreset('Blackbird', 3.2, 25000), 'SR-71');
+        expect(saved[4].name).toBe('Blackbird');
+
+        saved = forgetPreset(storage, 'Subsonic Jet');
+        expect(saved).toHaveLength(5);
+        expect(loadStoredPresets(storage)).toEqual(saved);
+    });
+
+    it('should replace a preset that an edit renames onto', () => {
+        const storage = makeStorage();
+        const saved = storePreset(storage, createPreset('Concorde', 1.5, 15240), 'Supersonic');
+        expect(saved.map(p => p.name)).toEqual(['Subsonic Jet', 'Sound Barrier', 'Concorde', 'SR-71']);
+        expect(saved[2].mach).toBe(1.5);
+    });
+
+    it('should keep an emptied list, and go back to the defaults on reset', () => {
+        const storage = makeStorage();
+        for (const preset of DEFAULT_PRESETS) forgetPreset(storage, preset.name);
+        expect(loadStoredPresets(storage)).toEqual([]);
+        expect(resetStoredPresets(storage)).toEqual(DEFAULT_PRESETS);
+        expect(loadStoredPresets(storage)).toEqual(DEFAULT_PRESETS);
+    });
+
+    it('should survive damaged storage', () => {
+        const storage = makeStorage();
+        storage.setItem(PRESET_STORAGE_KEY, '{broken');
+        expect(loadStoredPresets(storage)).toEqual(DEFAULT_PRESETS);
+        storage.setItem(PRESET_STORAGE_KEY, JSON.stringify([{ name: 'junk', mach: 'fast' }, { name: 'Ok', mach: 1, altitude: 0 }]));
+        expect(loadStoredPresets(storage)).toEqual([{ name: 'Ok', mach: 1, altitude: 0, description: '', length: 30 }]);
+    });
+});
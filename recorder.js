@@ -0,0 +1,152 @@
+// Canvas recording to video files
+// Wraps MediaRecorder so the sketch only deals with start, stop and the finished Blob.
+
+/**
+ * Video formats to try, best first
+ */
+export const VIDEO_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+    'video/mp4'
+];
+
+/**
+ * Longest recording allowed, in seconds
+ */
+export const MAX_RECORDING_SECONDS = 300;
+
+/**
+ * Pick the first video format the browser can record
+ * @param {(mimeType: string) => boolean} isSupported - Usually MediaRecorder.isTypeSupported
+ * @returns {string | null} MIME type, or null if none is supported
+ */
+export function pickVideoMimeType(isSupported) {
+    return VIDEO_MIME_TYPES.find(type => isSupported(type)) ?? null;
+}
+
+/**
+ * File extension for a recorded video
+ * @param {string} mimeType - Type of the recording, e.g. "video/mp4" or "video/webm;codecs=vp9,opus"
+ * @returns {string} Extension without the dot, "webm" if the type is missing
+ */
+export function videoFileExtension(mimeType) {
+    const subtype = /^video\/([a-z0-9]+)/i.exec(mimeType ?? '');
+    return subtype ? subtype[1].toLowerCase() : 'webm';
+}
+
+/**
+ * File name for a recording, stamped with the local date and time
+ * @param {string} extension - File extension without the dot, e.g. "webm"
+ * @param {Date} [date] - Time of the recording
+ * @returns {string} For example "shockwaves-20240131-142501.webm"
+ */
+export function recordingFileName(extension, date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `shockwaves-${day}-${time}.${extension}`;
+}
+
+/**
+ * Records a media stream (canvas video, optionally with audio) into a single Blob
+ */
+export class CanvasRecorder {
+    /**
+     * @param {{MediaRecorderClass?: typeof MediaRecorder, now?: () => number,
+     *   setTimer?: typeof setTimeout, clearTimer?: typeof clearTimeout}} [environment] -
+     *   Browser APIs, replaceable for testing
+     */
+    constructor(environment = {}) {
+        this.MediaRecorderClass = environment.MediaRecorderClass ?? globalThis.MediaRecorder;
+        this.now = environment.now ?? (() => Date.now());
+        this.setTimer = environment.setTimer ?? setTimeout;
+        this.clearTimer = environment.clearTimer ?? clearTimeout;
+        this.mediaRecorder = null;
+        this.timer = null;
+        this.startedAt = 0;
+    }
+
+    /**
+     * @returns {boolean} True if this browser can record video at all
+     */
+    get supported() {
+        return typeof this.MediaRecorderClass === 'function' &&
+            pickVideoMimeType(type => this.MediaRecorderClass.isTypeSupported(type)) !== null;
+    }
+
+    /**
+     * @returns {boolean} True while a recording is running
+     */
+    get recording() {
+        return this.mediaRecorder !== null;
+    }
+
+    /**
+     * @returns {number} Seconds since the current recording started, or 0
+     */
+    elapsedSeconds() {
+        return this.recording ? (this.now() - this.startedAt) / 1000 : 0;
+    }
+
+    /**
+     * Start recording; stops by itself after maxSeconds
+     * @param {MediaStream} stream - Stream to record, e.g. from canvas.captureStream()
+     * @param {{maxSeconds?: number}} [options] - Recording limit, capped at MAX_RECORDING_SECONDS
+     * @returns {Promise<Blob>} Resolves with the recording once it stops
+     */
+    start(stream, options = {}) {
+        if (this.recording) {
+            throw new Error('Already recording');
+        }
+        if (!this.supported) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+
+        const maxSeconds = Math.min(options.maxSeconds ?? 30, MAX_RECORDING_SECONDS);
+        const mimeType = pickVideoMimeType(type => this.MediaRecorderClass.isTypeSupported(type));
+        const mediaRecorder = new this.MediaRecorderClass(stream, { mimeType });
+        const chunks = [];
+
+        this.mediaRecorder = mediaRecorder;
+        this.startedAt = this.now();
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                this.clearTimer(this.timer);
+                this.timer = null;
+                this.mediaRecorder = null;
+            };
+
+            mediaRecorder.ondataavailable = event => {
+                if (event.data.size > 0) chunks.push(event.data);
+            };
+            mediaRecorder.onstop = () => {
+                finish();
+                resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+            };
+            mediaRecorder.onerror = event => {
+                finish();
+                reject(event.error ?? new Error('Recording failed'));
+            };
+
+            try {
+                mediaRecorder.start(1000);  // Collect data every second so long recordings stay responsive
+            } catch (err) {
+                finish();
+                reject(err);
+                return;
+            }
+            this.timer = this.setTimer(() => this.stop(), maxSeconds * 1000);
+        });
+    }
+
+    /**
+     * Stop the current recording, if any; the promise from start() then resolves
+     */
+    stop() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+    }
+}
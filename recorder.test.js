@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+    CanvasRecorder,
+    MAX_RECORDING_SECONDS,
+    pickVideoMimeType,
+    recordingFileName,
+    videoFileExtension
+} from './recorder.js';
+
+/**
+ * MediaRecorder stand-in that hands over one chunk of data when stopped
+ */
+class FakeMediaRecorder {
+    static supportedTypes = ['video/webm;codecs=vp8,opus', 'video/webm'];
+
+    static isTypeSupported(type) {
+        return FakeMediaRecorder.supportedTypes.includes(type);
+    }
+
+    constructor(stream, options) {
+        this.stream = stream;
+        this.options = options;
+        this.state = 'inactive';
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        this.ondataavailable({ data: new Blob(['frames']) });
+        this.onstop();
+    }
+}
+
+/**
+ * Recorder on a fake clock whose timer only fires when told to
+ */
+function makeRecorder() {
+    const clock = { time: 0, timer: null, delay: null };
+    const recorder = new CanvasRecorder({
+        MediaRecorderClass: FakeMediaRecorder,
+        now: () => clock.time,
+        setTimer: (fn, delay) => {
+            clock.timer = fn;
+            clock.delay = delay;
+            return 1;
+        },
+        clearTimer: () => {
+            clock.timer = null;
+        }
+    });
+    return { recorder, clock };
+}
+
+describe('pickVideoMimeType', () => {
+    it('should pick the best supported format', () => {
+        expect(pickVideoMimeType(() => true)).toBe('video/webm;codecs=vp9,opus');
+        expect(pickVideoMimeType(type => type === 'video/mp4')).toBe('video/mp4');
+    });
+
+    it('should return null when nothing is supported', () => {
+        expect(pickVideoMimeType(() => false)).toBeNull();
+    });
+});
+
+describe('recordingFileName', () => {
+    it('should stamp the file with the local date and time', () => {
+        const date = new Date(2024, 0, 31, 14, 5, 9);
+        expect(recordingFileName('webm', date)).toBe('shockwaves-20240131-140509.webm');
+    });
+});
+
+describe('videoFileExtension', () => {
+    it('should take the extension from the recorded type', () => {
+        expect(videoFileExtension('video/mp4')).toBe('mp4');
+        expect(videoFileExtension('video/webm;codecs=vp9,opus')).toBe('webm');
+        expect(videoFileExtension('')).toBe('webm');
+    });
+});
+
+describe('CanvasRecorder', () => {
+    it('should report whether recording is supported', () => {
+        expect(makeRecorder().recorder.supported).toBe(true);
+        expect(new CanvasRecorder({ MediaRecorderClass: undefined }).supported).toBe(false);
+    });
+
+    it('should record until stopped and resolve with the video', async () => {
+        const { recorder, clock } = makeRecorder();
+        const done = recorder.start('stream');
+        expect(recorder.recording).toBe(true);
+        expect(recorder.mediaRecorder.options.mimeType).toBe('video/webm;codecs=vp8,opus');
+
+        clock.time = 2500;
+        expect(recorder.elapsedSeconds()).toBe(2.5);
+
+        recorder.stop();
+        const blob = await done;
+        expect(blob.type).toBe('video/webm');
+        expect(await blob.text()).toBe('frames');
+        expect(recorder.recording).toBe(false);
+        expect(clock.timer).toBeNull();
+    });
+
+    it('should stop by itself after the maximum duration', async () => {
+        const { recorder, clock } = makeRecorder();
+        const done = recorder.start('stream', { maxSeconds: 10 });
+        expect(clock.delay).toBe(10000);
+        clock.timer();
+        await expect(done).resolves.toBeInstanceOf(Blob);
+        expect(recorder.recording).toBe(false);
+    });
+
+    it('should cap the maximum duration', () => {
+        const { recorder, clock } = makeRecorder();
+        recorder.start('stream', { maxSeconds: 10000 });
+        expect(clock.delay).toBe(MAX_RECORDING_SECONDS * 1000);
+    });
+
+    it('should refuse to start twice', () => {
+        const { recorder } = makeRecorder();
+        recorder.start('stream');
+        expect(() => recorder.start('stream')).toThrow('Already recording');
+    });
+
+    it('should refuse to start without browser support', () => {
+        const recorder = new CanvasRecorder({ MediaRecorderClass: undefined });
+        expect(() => recorder.start('stream')).toThrow('not supported');
+    });
+
+    it('should reject and be ready again when the browser will not start', async () => {
+        class RefusingMediaRecorder extends FakeMediaRecorder {
+            start() {
+                throw new Error('Stream is inactive');
+            }
+        }
+        const { recorder, clock } = makeRecorder();
+        recorder.MediaRecorderClass = RefusingMediaRecorder;
+        await expect(recorder.start('stream')).rejects.toThrow('Stream is inactive');
+        expect(recorder.recording).toBe(false);
+        expect(clock.timer).toBe(null);
+        recorder.MediaRecorderClass = FakeMediaRecorder;
+        expect(recorder.start('stream')).toBeInstanceOf(Promise);
+    });
+});
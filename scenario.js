@@ -0,0 +1,132 @@
+// Named scenarios
+// A scenario is the shareable settings (see permalink.js) with a name and an optional note,
+// saved as a JSON file or in the browser's localStorage.
+
+import { sanitizeSharedState } from './permalink.js';
+
+/**
+ * Marks a JSON file as a scenario
+ */
+export const SCENARIO_FORMAT = 'shockwaves-scenario';
+
+/**
+ * localStorage key of the saved scenario list
+ */
+export const SCENARIO_STORAGE_KEY = 'shockwaves.scenarios';
+
+/**
+ * Build a scenario from the current settings
+ * @param {string} name - Name shown in the scenario picker
+ * @param {typeof import('./permalink.js').SHARED_DEFAULTS} settings - Settings to restore
+ * @param {string} [note] - Free text, e.g. what students should look for
+ * @returns {{format: string, version: number, name: string, note: string, settings: object}}
+ */
+export function createScenario(name, settings, note = '') {
+    const trimmed = String(name).trim();
+    if (!trimmed) {
+        throw new Error('A scenario needs a name');
+    }
+    return {
+        format: SCENARIO_FORMAT,
+        version: 1,
+        name: trimmed,
+        note: String(note),
+        settings: structuredClone(settings)
+    };
+}
+
+/**
+ * Check a scenario read from a file or storage
+ * Invalid settings are dropped rather than rejected, like a damaged link.
+ * @param {*} data - Parsed JSON
+ * @returns {{format: string, version: number, name: string, note: string, settings: object}}
+ */
+export function validateScenario(data) {
+    if (!data || typeof data !== 'object' || data.format !== SCENARIO_FORMAT) {
+        throw new Error('Not a scenario file');
+    }
+    if (data.version !== 1) {
+        throw new Error(`Unsupported scenario version: ${data.version}`);
+    }
+    return createScenario(data.name ?? '', sanitizeSharedState(data.settings),
+        typeof data.note === 'string' ? data.note : '');
+}
+
+/**
+ * Read a scenario file
+ * @param {string} text - File contents
+ * @returns {object} The checked scenario
+ */
+export function parseScenario(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not a scenario file');
+    }
+    return validateScenario(data);
+}
+
+/**
+ * Scenario file contents
+ * @param {object} scenario - Scenario to save
+ * @returns {string} Indented JSON
+ */
+export function serializeScenario(scenario) {
+    return JSON.stringify(scenario, null, 2);
+}
+
+/**
+ * Scenarios saved in the browser, skipping any that no longer validate
+ * @param {Storage} storage - Usually localStorage
+ * @returns {object[]} Saved scenarios, in the order they were first saved
+ */
+export function loadStoredScenarios(storage) {
+    let list;
+    try {
+        list = JSON.parse(storage.getItem(SCENARIO_STORAGE_KEY) ?? '[]');
+    } catch {
+        return [];
+    }
+    if (!Array.isArray(list)) return [];
+
+    const scenarios = [];
+    for (const data of list) {
+        try {
+            scenarios.push(validateScenario(data));
+        } catch {
+            // Skip entries written by a future version or edited by hand
+        }
+    }
+    return scenarios;
+}
+
+/**
+ * Save a scenario in the browser, replacing any saved under the same name
+ * @param {Storage} storage - Usually localStorage
+ * @param {object} scenario - Scenario to save
+ * @returns {object[]} The saved scenarios after the change
+ */
+export function storeScenario(storage, scenario) {
+    const scenarios = loadStoredScenarios(storage);
+    const index = scenarios.findIndex(s => s.name === scenario.name);
+    if (index >= 0) {
+        scenarios[index] = scenario;
+    } else {
+        scenarios.push(scenario);
+    }
+    storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    return scenarios;
+}
+
+/**
+ * Remove a scenario saved in the browser
+ * @param {Storage} storage - Usually localStorage
+ * @param {string} name - Name of the scenario to remove
+ * @returns {object[]} The saved scenarios after the change
+ */
+export function forgetScenario(storage, name) {
+    const scenarios = loadStoredScenarios(storage).filter(s => s.name !== name);
+    storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    return scenarios;
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { SHARED_DEFAULTS } from './permalink.js';
+import {
+    createScenario,
+    forgetScenario,
+    loadStoredScenarios,
+    parseScenario,
+    SCENARIO_STORAGE_KEY,
+    serializeScenario,
+    storeScenario
+} from './scenario.js';
+import { makeStorage } from './teststorage.js';
+
+const flyover = {
+    ...SHARED_DEFAULTS,
+    mach: 2.04,
+    movingSourceMode: true,
+    observer: { x: 0.5, y: 0.8 }
+};
+
+describe('createScenario', () => {
+    it('should copy the settings with a name and note', () => {
+        const scenario = createScenario('  Concorde flyover ', flyover, 'Listen for the double boom');
+        expect(scenario.name).toBe('Concorde flyover');
+        expect(scenario.note).toBe('Listen for the double boom');
+        expect(scenario.settings).toEqual(flyover);
+        expect(scenario.settings.observer).not.toBe(flyover.observer);
+    });
+
+    it('should require a name', () => {
+        expect(() => createScenario('   ', flyover)).toThrow('needs a name');
+    });
+});
+
+describe('parseScenario', () => {
+    it('should read back a saved scenario file', () => {
+        const scenario = createScenario('Flyover', flyover, 'Note');
+        expect(parseScenario(serializeScenario(scenario))).toEqual(scenario);
+    });
+
+    it('should reject files that are not scenarios', () => {
+        expect(() => parseScenario('not json')).toThrow('Not a scenario file');
+        expect(() => parseScenario('{"name": "x"}')).toThrow('Not a scenario file');
+        expect(() => parseScenario('{"format": "shockwaves-scenario", "version": 9, "name": "x"}'))
+            .toThrow('Unsupported scenario version: 9');
+    });
+
+    it('should drop invalid settings', () => {
+        const text = JSON.stringify({
+            format: 'shockwaves-scenario',
+            version: 1,
+            name: 'Odd',
+            settings: { mach: 'fast', paused: true, observer: { x: 5, y: 0.5 } }
+        });
+        expect(parseScenario(text).settings).toEqual({ paused: true });
+    });
+});
+
+describe('stored scenarios', () => {
+    it('should save, replace and forget scenarios by name', () => {
+        const storage = makeStorage();
+        storeScenario(storage, createScenario('A', flyover));
+        storeScenario(storage, createScenario('B', SHARED_DEFAULTS));
+        storeScenario(storage, createScenario('A', flyover, 'Updated'));
+
+        let saved = loadStoredScenarios(storage);
+        expect(saved.map(s => s.name)).toEqual(['A', 'B']);
+        expect(saved[0].note).toBe('Updated');
+
+        saved = forgetScenario(storage, 'A');
+        expect(saved.map(s => s.name)).toEqual(['B']);
+        expect(loadStoredScenarios(storage)).toEqual(saved);
+    });
+
+    it('should start empty and survive damaged storage', () => {
+        const storage = makeStorage();
+        expect(loadStoredScenarios(storage)).toEqual([]);
+        storage.setItem(SCENARIO_STORAGE_KEY, '{broken');
+        expect(loadStoredScenarios(storage)).toEqual([]);
+        storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify([{ name: 'junk' }, createScenario('Ok', flyover)]));
+        expect(loadStoredScenarios(storage).map(s => s.name)).toEqual(['Ok']);
+    });
+});
@@ -0,0 +1,1208 @@
+// Headless simulation engine for shock wave formation
+// Owns the sources and observers, pulse emission, propagation, observer crossings and sonic
+// boom detection.
+// Has no dependency on p5 or the DOM, so full scenarios can be unit tested.
+
+import {
+    advanceRay,
+    calculateDopplerShift,
+    calculateEmissionDopplerShift,
+    calculateRetardedDoppler,
+    calculatePulseOverpressure,
+    calculateTrackDoppler,
+    createRayFan,
+    crossesBoundary,
+    distance,
+    DOPPLER_SINGULARITY_TOLERANCE,
+    findWavefrontEnvelope,
+    hasRayFrontPassed,
+    isSonicBoom,
+    mirrorHeading,
+    mirrorPoint
+} from './physics.js';
+import { Observer } from './observer.js';
+import { PATH_TYPES, Source } from './source.js';
+
+export { PATH_TYPES };
+
+/**
+ * Default simulation settings, in canvas pixels and frames
+ * Angles are in radians in canvas coordinates (y points down), so 0 is moving right.
+ */
+export const SIMULATION_DEFAULTS = {
+    width: 900,
+    height: 500,
+    mach: 0.5,
+    emissionInterval: 20,   // Frames between pulses
+    speedOfSound: 2,        // Pixels per frame
+    frameDuration: 1000 / 60, // Milliseconds of simulated time per step
+    movingSourceMode: false,
+    dopplerModel: 'classical', // 'classical' (retarded position) or 'simplified'
+    heading: 0,             // Direction of straight flight, or of the wind in wind mode
+    path: { type: 'straight' },
+    flightProfile: null,    // Mach-vs-time keyframes [{time, mach}], or null for constant Mach
+    soundSpeedProfile: null, // Sound speed vs height keyframes [{height, speed}] to refract
+                            // wavefronts, or null for a uniform medium
+    wind: { mach: 0, heading: 0 } // Wind over the ground in either mode, below Mach 1
+};
+
+/**
+ * Default resolution and pulse shape of the overpressure field, in canvas pixels
+ */
+export const PRESSURE_FIELD_DEFAULTS = {
+    cellSize: 8,            // Grid spacing
+    shellWidth: 12,         // Thickness of each pulse shell
+    shape: 'gaussian',      // 'gaussian' or 'nwave'
+    referenceRadius: 20     // Radius at which a single pulse has amplitude 1
+};
+
+/**
+ * Pulses are discarded once their radius exceeds this many pixels
+ */
+export const MAX_PULSE_RADIUS = 600;
+
+/**
+ * Most steps one call to advance() takes; a stalled tab or slow machine falls behind
+ * instead of freezing while it catches up
+ */
+export const MAX_STEPS_PER_ADVANCE = 30;
+
+/**
+ * Rays traced per pulse in a stratified medium
+ */
+export const RAYS_PER_PULSE = 90;
+
+/**
+ * Smallest launch-angle gap (radians) left between rays either side of the carpet edge
+ */
+export const MIN_RAY_SPREAD = 0.001;
+
+/**
+ * Numbers stored per ray in a snapshot: x, y, dx, dy, angle and whether it was absorbed
+ */
+const RAY_FIELDS = 6;
+
+/**
+ * Pack a ray fan into one typed array, for snapshots
+ * A stratified medium keeps over a thousand rays in flight, and the timeline holds hundreds of
+ * frames; as objects they would take hundreds of megabytes.
+ * @param {object[]} rays - Rays of a pulse
+ * @returns {Float64Array} Their fields, RAY_FIELDS per ray
+ */
+function packRays(rays) {
+    const packed = new Float64Array(rays.length * RAY_FIELDS);
+    let i = 0;
+    for (const ray of rays) {
+        packed[i++] = ray.x;
+        packed[i++] = ray.y;
+        packed[i++] = ray.dx;
+        packed[i++] = ray.dy;
+        packed[i++] = ray.angle;
+        packed[i++] = ray.absorbed ? 1 : 0;
+    }
+    return packed;
+}
+
+/**
+ * Rays packed by packRays()
+ * @param {Float64Array} packed - Packed rays, left unchanged
+ * @returns {object[]} A fresh copy of each ray
+ */
+function unpackRays(packed) {
+    const rays = [];
+    for (let i = 0; i < packed.length; i += RAY_FIELDS) {
+        const ray = { x: packed[i], y: packed[i + 1], dx: packed[i + 2], dy: packed[i + 3], angle: packed[i + 4] };
+        if (packed[i + 5]) ray.absorbed = true;
+        rays.push(ray);
+    }
+    return rays;
+}
+
+/**
+ * Memory a snapshot takes beyond its fixed part, in bytes: its packed ray fans
+ * @param {object} snapshot - What Simulation.snapshot() returned
+ * @returns {number} 0 in a uniform medium
+ */
+export function snapshotSize(snapshot) {
+    return snapshot.pulses.reduce((bytes, p) => bytes + (p.rays ? p.rays.byteLength : 0), 0);
+}
+
+/**
+ * Bounding box of a ray-traced wavefront
+ * @param {{x: number, y: number}[]} rays - Ray positions
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function rayBounds(rays) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+    for (const { x, y } of rays) {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    }
+    return bounds;
+}
+
+/**
+ * Check a boundary's end points and reflection coefficient
+ * @param {{x1: number, y1: number, x2: number, y2: number, reflection: number}} boundary
+ */
+function checkBoundary(boundary) {
+    const { x1, y1, x2, y2, reflection } = boundary;
+    if (![x1, y1, x2, y2].every(Number.isFinite) || (x1 === x2 && y1 === y2)) {
+        throw new Error('A boundary needs two distinct end points');
+    }
+    if (!(reflection >= 0 && reflection <= 1)) {
+        throw new Error('Reflection coefficient must be between 0 and 1');
+    }
+}
+
+/**
+ * A pulse as heard through a reflection: emitted by the mirror image of its source
+ * @param {object} pulse - Pulse to mirror
+ * @param {object} boundary - Reflecting boundary
+ * @returns {object} Copy of the pulse with mirrored center, emission point and heading
+ */
+function mirrorPulse(pulse, boundary) {
+    const center = mirrorPoint(pulse.x, pulse.y, boundary);
+    const birth = mirrorPoint(pulse.birthX, pulse.birthY, boundary);
+    return {
+        ...pulse,
+        x: center.x,
+        y: center.y,
+        birthX: birth.x,
+        birthY: birth.y,
+        birthHeading: mirrorHeading(pulse.birthHeading, boundary)
+    };
+}
+
+/**
+ * Shock wave simulation state and update loop
+ * Holds any number of sources and observers. The single-source helpers (setMach, source, mach
+ * and so on) act on the lead source, the first one, unless another source is passed in; the
+ * single-observer ones (setObserver, observer, observedFrequency) act on the first observer.
+ */
+export class Simulation {
+    /**
+     * @param {Partial<typeof SIMULATION_DEFAULTS>} options - Overrides for the defaults; the
+     *   Mach number, heading, pulse rate, path and flight profile configure the lead source
+     */
+    constructor(options = {}) {
+        const settings = { ...SIMULATION_DEFAULTS, ...options };
+        this.width = settings.width;
+        this.height = settings.height;
+        this.speedOfSound = settings.speedOfSound;
+        this.frameDuration = settings.frameDuration;
+        this.movingSourceMode = settings.movingSourceMode;
+        this.dopplerModel = settings.dopplerModel;
+        this.soundSpeedProfile = settings.soundSpeedProfile;
+        this.setWind(settings.wind.mach, settings.wind.heading);
+
+        this.sources = [];
+        this.nextSourceId = 0;
+        this.addSource(settings);
+
+        this.observers = [];
+        this.nextObserverId = 0;
+        this.addObserver({ x: this.width - this.width * 0.22, y: this.height / 2 }); // ~200/900
+
+        this.boundaries = [];           // Reflecting segments, see addBoundary
+        this.nextBoundaryId = 0;
+
+        this.time = 0;
+        this.pendingTime = 0;           // Simulated ms handed to advance() not yet stepped
+        this.stepCount = 0;
+        this.nextPulseId = 0;           // Pulse ids stay unique across resets, for data logs
+        this.boomCount = 0;             // Booms heard by any observer
+        this.reset();
+    }
+
+    /**
+     * The lead source, which also sets the wind in wind mode
+     * @returns {Source}
+     */
+    get lead() {
+        return this.sources[0];
+    }
+
+    /**
+     * Instantaneous position and heading of the lead source
+     * @returns {{x: number, y: number, heading: number}}
+     */
+    get source() {
+        return this.lead.position;
+    }
+
+    get mach() {
+        return this.lead.mach;
+    }
+
+    get heading() {
+        return this.lead.heading;
+    }
+
+    get emissionInterval() {
+        return this.lead.emissionInterval;
+    }
+
+    get path() {
+        return this.lead.path;
+    }
+
+    get flightProfile() {
+        return this.lead.flightProfile;
+    }
+
+    get profileTime() {
+        return this.lead.profileTime;
+    }
+
+    get sourceStart() {
+        return this.lead.sourceStart;
+    }
+
+    /**
+     * The first observer
+     * @returns {Observer}
+     */
+    get observer() {
+        return this.observers[0];
+    }
+
+    /**
+     * Simulated timestamps (ms) of recent wave arrivals at the first observer
+     * @returns {number[]}
+     */
+    get observerWaveHits() {
+        return this.observer.waveHits.map(h => h.time);
+    }
+
+    get observedFrequency() {
+        return this.observer.observedFrequency;
+    }
+
+    /**
+     * Add a sound source
+     * @param {{mach?: number, heading?: number, emissionInterval?: number, path?: object,
+     *   flightProfile?: {time: number, mach: number}[] | null, color?: string,
+     *   start?: {x: number, y: number}}} options - Settings, defaulting to SIMULATION_DEFAULTS;
+     *   start places straight flight somewhere other than upstream of the canvas center
+     * @returns {Source} The new source
+     */
+    addSource(options = {}) {
+        const source = new Source(this, this.nextSourceId++, { ...SIMULATION_DEFAULTS, ...options });
+        this.sources.push(source);
+        return source;
+    }
+
+    /**
+     * Remove a source and its pulses; the last remaining source cannot be removed
+     * @param {Source} source - Source to remove
+     */
+    removeSource(source) {
+        if (this.sources.length === 1) {
+            throw new Error('Cannot remove the last source');
+        }
+        const index = this.sources.indexOf(source);
+        if (index === -1) {
+            throw new Error(`Unknown source: ${source.id}`);
+        }
+        this.sources.splice(index, 1);
+        this.clearPulses(source);
+    }
+
+    /**
+     * Find a source by the id its pulses are tagged with
+     * @param {number} id - Source id
+     * @returns {Source | undefined}
+     */
+    sourceById(id) {
+        return this.sources.find(s => s.id === id);
+    }
+
+    /**
+     * Drop every pulse emitted by one source
+     * @param {Source} source - Source whose pulses are removed
+     */
+    clearPulses(source) {
+        this.pulses = this.pulses.filter(p => p.sourceId !== source.id);
+    }
+
+    /**
+     * Place a named observer
+     * @param {{name?: string, x?: number, y?: number}} options - Name (defaults to "Observer n")
+     *   and position (defaults to the canvas center)
+     * @returns {Observer} The new observer
+     */
+    addObserver(options = {}) {
+        const id = this.nextObserverId++;
+        const observer = new Observer(id, options.name ?? `Observer ${id + 1}`,
+            options.x ?? this.width / 2, options.y ?? this.height / 2);
+        this.observers.push(observer);
+        return observer;
+    }
+
+    /**
+     * Remove an observer; the last remaining observer cannot be removed
+     * @param {Observer} observer - Observer to remove
+     */
+    removeObserver(observer) {
+        if (this.observers.length === 1) {
+            throw new Error('Cannot remove the last observer');
+        }
+        const index = this.observers.indexOf(observer);
+        if (index === -1) {
+            throw new Error(`Unknown observer: ${observer.id}`);
+        }
+        this.observers.splice(index, 1);
+    }
+
+    /**
+     * Add a reflecting boundary, such as the ground or a wall
+     * Reflections are traced from image sources, one bounce per boundary. A boundary also
+     * shadows the direct sound behind it, letting through 1 - reflection of the amplitude.
+     * Ray-traced pulses in a stratified medium ignore boundaries.
+     * @param {{x1: number, y1: number, x2: number, y2: number, reflection?: number}} segment - End
+     *   points in pixels and reflection coefficient (0 - 1, default 1 for a rigid surface)
+     * @returns {{id: number, x1: number, y1: number, x2: number, y2: number, reflection: number}}
+     *   The new boundary
+     */
+    addBoundary(segment) {
+        const { x1, y1, x2, y2, reflection = 1 } = segment;
+        const boundary = { id: this.nextBoundaryId, x1, y1, x2, y2, reflection };
+        checkBoundary(boundary);
+        this.nextBoundaryId++;
+        this.boundaries.push(boundary);
+        return boundary;
+    }
+
+    /**
+     * Move a boundary or change its reflection coefficient
+     * @param {object} boundary - Boundary to change
+     * @param {Partial<{x1: number, y1: number, x2: number, y2: number, reflection: number}>} changes
+     */
+    setBoundary(boundary, changes) {
+        const { x1, y1, x2, y2, reflection } = { ...boundary, ...changes };
+        checkBoundary({ x1, y1, x2, y2, reflection });
+        Object.assign(boundary, { x1, y1, x2, y2, reflection });
+    }
+
+    /**
+     * @param {object} boundary - Boundary to remove
+     */
+    removeBoundary(boundary) {
+        const index = this.boundaries.indexOf(boundary);
+        if (index === -1) {
+            throw new Error(`Unknown boundary: ${boundary.id}`);
+        }
+        this.boundaries.splice(index, 1);
+    }
+
+    /**
+     * @param {number} id - Boundary id
+     * @returns {object | undefined}
+     */
+    boundaryById(id) {
+        return this.boundaries.find(b => b.id === id);
+    }
+
+    /**
+     * Fraction of a wave's amplitude that gets past the boundaries on the way to a point
+     * @param {number} fromX - Wave center X position
+     * @param {number} fromY - Wave center Y position
+     * @param {number} x - Point X position
+     * @param {number} y - Point Y position
+     * @returns {number} Product of 1 - reflection over the boundaries crossed; 1 when none are
+     */
+    transmission(fromX, fromY, x, y) {
+        let amplitude = 1;
+        for (const boundary of this.boundaries) {
+            if (crossesBoundary(fromX, fromY, x, y, boundary)) amplitude *= 1 - boundary.reflection;
+        }
+        return amplitude;
+    }
+
+    /**
+     * Image sources of a pulse, one per boundary
+     * The reflected wavefront is the part of the circle around an image that can be seen through
+     * its boundary.
+     * @param {object} pulse - Pulse to mirror
+     * @returns {{boundary: object, x: number, y: number}[]} Mirrored centers; none for ray-traced pulses
+     */
+    pulseImages(pulse) {
+        if (pulse.rays) return [];
+        return this.boundaries.map(boundary => ({ boundary, ...mirrorPoint(pulse.x, pulse.y, boundary) }));
+    }
+
+    /**
+     * @param {string} name - New label for the observer
+     * @param {Observer} [observer] - Observer to rename, the first observer by default
+     */
+    setObserverName(name, observer = this.observer) {
+        observer.name = name;
+    }
+
+    /**
+     * Clear all waves and return every source to its start position
+     */
+    reset() {
+        this.pulses = [];
+        for (const source of this.sources) {
+            source.reset();
+        }
+    }
+
+    /**
+     * Mach number and heading that carry a source's pulses
+     * In wind mode the whole medium flows with the lead source's Mach number and heading, so
+     * every source sits still in the same wind, like a formation seen from the lead aircraft.
+     * @param {Source} source - Source to describe
+     * @returns {{mach: number, heading: number}}
+     */
+    sourceMotion(source) {
+        if (this.movingSourceMode) {
+            return { mach: source.mach, heading: source.position.heading };
+        }
+        return { mach: this.lead.mach, heading: this.lead.heading };
+    }
+
+    /**
+     * Motion of the air over the canvas, which carries every pulse
+     * The wind adds to the flow of wind mode; in moving source mode it is the only flow.
+     * @returns {{mach: number, heading: number}}
+     */
+    mediumMotion() {
+        if (this.wind.mach === 0) {
+            return this.movingSourceMode ? { ...this.wind } : this.sourceMotion(this.lead);
+        }
+        let x = this.wind.mach * Math.cos(this.wind.heading);
+        let y = this.wind.mach * Math.sin(this.wind.heading);
+        if (!this.movingSourceMode) {
+            x += this.lead.mach * Math.cos(this.lead.heading);
+            y += this.lead.mach * Math.sin(this.lead.heading);
+        }
+        return { mach: Math.hypot(x, y), heading: Math.atan2(y, x) };
+    }
+
+    /**
+     * Air streaming past a source: the medium's motion less the source's own
+     * Its Mach number decides whether the source is supersonic through the air, and the Mach
+     * cone trails downstream along its heading.
+     * @param {Source} source - Source to describe
+     * @returns {{mach: number, heading: number}}
+     */
+    airflow(source) {
+        if (this.movingSourceMode && this.wind.mach === 0) {
+            const { mach, heading } = this.sourceMotion(source);
+            return { mach, heading: heading + Math.PI };
+        }
+        const medium = this.mediumMotion();
+        let x = medium.mach * Math.cos(medium.heading);
+        let y = medium.mach * Math.sin(medium.heading);
+        if (this.movingSourceMode) {
+            const { mach, heading } = this.sourceMotion(source);
+            x -= mach * Math.cos(heading);
+            y -= mach * Math.sin(heading);
+        }
+        return { mach: Math.hypot(x, y), heading: Math.atan2(y, x) };
+    }
+
+    /**
+     * Set the wind, which drifts every pulse in either mode
+     * @param {number} mach - Wind speed as a Mach number, from 0 up to (not including) 1
+     * @param {number} heading - Direction the wind blows toward, radians in canvas coordinates
+     */
+    setWind(mach, heading) {
+        if (!(mach >= 0 && mach < 1)) {
+            throw new Error('Wind must be slower than sound');
+        }
+        this.wind = { mach, heading };
+    }
+
+    /**
+     * @param {number} mach - New Mach number for the source
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setMach(mach, source = this.lead) {
+        source.mach = mach;
+    }
+
+    /**
+     * Fly a Mach-vs-time profile instead of a constant Mach number
+     * The profile restarts with every pass of the source and holds its last value at the end.
+     * Resets the source and clears its pulses.
+     * @param {{time: number, mach: number}[] | null} profile - Keyframes in seconds, or null
+     *   to go back to a constant Mach number
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setFlightProfile(profile, source = this.lead) {
+        source.flightProfile = profile;
+        this.resetSource(source);
+    }
+
+    /**
+     * Send one source back to its start and clear its pulses
+     * @param {Source} source - Source to reset
+     */
+    resetSource(source) {
+        this.clearPulses(source);
+        source.reset();
+    }
+
+    /**
+     * Envelope traced by a source's pulses (the actual shock front, curved when accelerating)
+     * @param {Source} [source] - Source whose pulses are traced, the lead source by default
+     * @returns {{x: number, y: number}[][]} Envelope branches as polylines; none in a stratified
+     *   medium, where the wavefronts are not circles
+     */
+    wavefrontEnvelope(source = this.lead) {
+        if (this.soundSpeedProfile) return [];
+        return findWavefrontEnvelope(this.pulses.filter(p => p.sourceId === source.id), source.position);
+    }
+
+    /**
+     * Overpressure on a grid covering the canvas, superposing every pulse as a thin shell
+     * Where wavefronts pile up (the Mach cone) the shells interfere constructively.
+     * @param {Partial<typeof PRESSURE_FIELD_DEFAULTS>} [options] - Grid and pulse shape overrides
+     * @returns {{cols: number, rows: number, cellSize: number, values: Float32Array}} Row-major
+     *   grid; each value is sampled at the center of its cell
+     */
+    pressureField(options = {}) {
+        const { cellSize, shellWidth, shape, referenceRadius } = { ...PRESSURE_FIELD_DEFAULTS, ...options };
+        const cols = Math.ceil(this.width / cellSize);
+        const rows = Math.ceil(this.height / cellSize);
+        const values = new Float32Array(cols * rows);
+        const grid = { values, cols, rows, cellSize, shellWidth, shape, referenceRadius };
+
+        for (const p of this.pulses) {
+            if (p.rays) {
+                this.addRayPulsePressure(values, cols, rows, p, { cellSize, shellWidth, shape, referenceRadius });
+                continue;
+            }
+
+            // The direct shell, shadowed behind boundaries, and one reflected shell per boundary
+            this.addShellPressure(grid, p.x, p.y, p.radius,
+                this.boundaries.length > 0 ? (x, y) => this.transmission(p.x, p.y, x, y) : () => 1);
+            for (const { boundary, x: imageX, y: imageY } of this.pulseImages(p)) {
+                this.addShellPressure(grid, imageX, imageY, p.radius,
+                    (x, y) => (crossesBoundary(imageX, imageY, x, y, boundary) ? boundary.reflection : 0));
+            }
+        }
+        return { cols, rows, cellSize, values };
+    }
+
+    /**
+     * Add a circular pulse shell to an overpressure grid
+     * @param {{values: Float32Array, cols: number, rows: number, cellSize: number, shellWidth: number,
+     *   shape: string, referenceRadius: number}} grid - Grid to add to and the pulse shape
+     * @param {number} centerX - Shell center X position
+     * @param {number} centerY - Shell center Y position
+     * @param {number} radius - Shell radius
+     * @param {(x: number, y: number) => number} gainAt - Amplitude factor at a cell center
+     */
+    addShellPressure(grid, centerX, centerY, radius, gainAt) {
+        const { values, cols, rows, cellSize, shellWidth, shape, referenceRadius } = grid;
+        const reach = 2 * shellWidth;
+
+        // Only cells within reach of the shell can be affected
+        const minCol = Math.max(0, Math.floor((centerX - radius - reach) / cellSize));
+        const maxCol = Math.min(cols - 1, Math.floor((centerX + radius + reach) / cellSize));
+        const minRow = Math.max(0, Math.floor((centerY - radius - reach) / cellSize));
+        const maxRow = Math.min(rows - 1, Math.floor((centerY + radius + reach) / cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            const y = (row + 0.5) * cellSize;
+            for (let col = minCol; col <= maxCol; col++) {
+                const x = (col + 0.5) * cellSize;
+                const dist = distance(centerX, centerY, x, y);
+                if (Math.abs(dist - radius) > reach) continue;
+                const gain = gainAt(x, y);
+                if (gain === 0) continue;
+                values[row * cols + col] += gain * calculatePulseOverpressure(dist, radius, shellWidth, shape,
+                    referenceRadius);
+            }
+        }
+    }
+
+    /**
+     * Add a ray-traced pulse to an overpressure grid
+     * Each cell near the front takes its signed distance from the nearest front segment, so the
+     * shell follows the bent wavefront.
+     * @param {Float32Array} values - Row-major grid to add to
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {object} pulse - Pulse with rays
+     * @param {typeof PRESSURE_FIELD_DEFAULTS} options - Grid and pulse shape
+     */
+    addRayPulsePressure(values, cols, rows, pulse, options) {
+        const { cellSize, shellWidth, shape, referenceRadius } = options;
+        const reach = 2 * shellWidth;
+        const nearest = new Map();  // Cell index -> signed distance ahead of the front
+
+        const { rays } = pulse;
+        for (let i = 0; i < rays.length; i++) {
+            const a = rays[i];
+            const b = rays[(i + 1) % rays.length];
+            if (a.absorbed || b.absorbed) continue;  // Not part of the front
+            const dirX = a.dx + b.dx;
+            const dirY = a.dy + b.dy;
+            const segX = b.x - a.x;
+            const segY = b.y - a.y;
+            const lengthSq = segX * segX + segY * segY;
+
+            const minCol = Math.max(0, Math.floor((Math.min(a.x, b.x) - reach) / cellSize));
+            const maxCol = Math.min(cols - 1, Math.floor((Math.max(a.x, b.x) + reach) / cellSize));
+            const minRow = Math.max(0, Math.floor((Math.min(a.y, b.y) - reach) / cellSize));
+            const maxRow = Math.min(rows - 1, Math.floor((Math.max(a.y, b.y) + reach) / cellSize));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                const y = (row + 0.5) * cellSize;
+                for (let col = minCol; col <= maxCol; col++) {
+                    const x = (col + 0.5) * cellSize;
+                    // Closest point on the segment
+                    const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - a.x) * segX + (y - a.y) * segY) / lengthSq)) : 0;
+                    const offX = x - (a.x + t * segX);
+                    const offY = y - (a.y + t * segY);
+                    const dist = Math.hypot(offX, offY);
+                    if (dist > reach) continue;
+
+                    const index = row * cols + col;
+                    const signed = offX * dirX + offY * dirY >= 0 ? dist : -dist;
+                    const known = nearest.get(index);
+                    if (known === undefined || dist < Math.abs(known)) nearest.set(index, signed);
+                }
+            }
+        }
+
+        for (const [index, ahead] of nearest) {
+            values[index] += calculatePulseOverpressure(pulse.radius + ahead, pulse.radius, shellWidth, shape,
+                referenceRadius);
+        }
+    }
+
+    /**
+     * Switch reference frame; resets the simulation like the Mode button does
+     * @param {boolean} movingSourceMode - True to move the source, false for wind mode
+     */
+    setMode(movingSourceMode) {
+        this.movingSourceMode = movingSourceMode;
+        this.reset();
+    }
+
+    /**
+     * Set the direction of straight flight, or of the wind in wind mode (lead source only)
+     * A source already flying straight turns in place; a circle path starts along it on reset.
+     * @param {number} heading - Angle in radians, canvas coordinates
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setHeading(heading, source = this.lead) {
+        source.heading = heading;
+        if (source.path.type !== 'straight') return;
+
+        if (this.movingSourceMode) {
+            source.position.heading = heading;
+        } else {
+            // Keep the stationary source upstream of the canvas center
+            source.placeAtStart();
+        }
+    }
+
+    /**
+     * Choose the flight path for moving source mode; resets the source and clears its pulses
+     * @param {{type: 'straight' | 'circle' | 'polyline', centerX?: number, centerY?: number,
+     *   radius?: number, points?: {x: number, y: number}[]}} path - Path description
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setPath(path, source = this.lead) {
+        source.path = source.resolvePath(path);
+        this.resetSource(source);
+    }
+
+    /**
+     * @param {'classical' | 'simplified'} model - How Doppler shifts are computed
+     */
+    setDopplerModel(model) {
+        this.dopplerModel = model;
+    }
+
+    /**
+     * Refract wavefronts through a horizontally layered medium, or go back to a uniform one
+     * Clears the pulses in flight, which were traced through the old medium.
+     * @param {{height: number, speed: number}[] | null} profile - Sound speed vs height keyframes
+     *   (height as a fraction of the canvas height above the bottom edge, speed as a multiple of
+     *   speedOfSound), or null for a uniform medium
+     */
+    setSoundSpeedProfile(profile) {
+        if (profile && profile.length < 2) {
+            throw new Error('A profile needs at least two keyframes');
+        }
+        this.soundSpeedProfile = profile && profile.map(k => ({ ...k }));
+        this.pulses = [];
+    }
+
+    /**
+     * @param {number} frames - Frames between pulse emissions
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setEmissionInterval(frames, source = this.lead) {
+        source.emissionInterval = frames;
+    }
+
+    /**
+     * Set how many pulses a source emits per second of simulated time
+     * The interval may be a fraction of a step; the pulse timer carries the remainder over.
+     * @param {number} rate - Pulses per second
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setPulseRate(rate, source = this.lead) {
+        if (!(rate > 0)) {
+            throw new Error('Pulse rate must be positive');
+        }
+        this.setEmissionInterval(1000 / (rate * this.frameDuration), source);
+    }
+
+    /**
+     * @param {Source} [source] - Source to ask about, the lead source by default
+     * @returns {number} Pulses the source emits per second of simulated time
+     */
+    pulseRate(source = this.lead) {
+        return 1000 / (source.emissionInterval * this.frameDuration);
+    }
+
+    /**
+     * @param {string} color - CSS color used to draw the source and its pulses
+     * @param {Source} [source] - Source to change, the lead source by default
+     */
+    setColor(color, source = this.lead) {
+        source.color = color;
+    }
+
+    /**
+     * Drag a source to a new position, taking its start point or path along
+     * @param {Source} source - Source to move
+     * @param {number} x - New X position
+     * @param {number} y - New Y position
+     */
+    moveSource(source, x, y) {
+        source.moveBy(x - source.position.x, y - source.position.y);
+    }
+
+    /**
+     * @param {number} x - Observer X position
+     * @param {number} y - Observer Y position
+     * @param {Observer} [observer] - Observer to move, the first observer by default
+     */
+    setObserver(x, y, observer = this.observer) {
+        observer.x = x;
+        observer.y = y;
+    }
+
+    /**
+     * Adapt to a new canvas size, keeping sources, paths and observers at the same relative positions
+     * @param {number} width - New width in pixels
+     * @param {number} height - New height in pixels
+     */
+    resize(width, height) {
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        const scalePoint = p => {
+            p.x *= scaleX;
+            p.y *= scaleY;
+        };
+
+        this.width = width;
+        this.height = height;
+
+        for (const p of this.pulses) {
+            scalePoint(p);
+            p.birthX *= scaleX;
+            p.birthY *= scaleY;
+        }
+        this.observers.forEach(scalePoint);
+        for (const boundary of this.boundaries) {
+            boundary.x1 *= scaleX;
+            boundary.y1 *= scaleY;
+            boundary.x2 *= scaleX;
+            boundary.y2 *= scaleY;
+        }
+
+        for (const source of this.sources) {
+            source.resize(scaleX, scaleY, this.movingSourceMode);
+        }
+    }
+
+    /**
+     * Past positions of a source with the distance their sound has travelled, earliest first
+     * The current position is included last with zero travel.
+     * @param {Source} [source] - Source to look up, the lead source by default
+     * @returns {{x: number, y: number, travel: number, mach: number, heading: number}[]}
+     */
+    trackSamples(source = this.lead) {
+        return source.trackSamples(this.stepCount);
+    }
+
+    /**
+     * Doppler reading an observer currently perceives from a source
+     * The classical model follows the retarded source positions, so a supersonic source gives
+     * simultaneous arrivals inside the cone, a singularity on it and silence outside it.
+     * Curved paths are solved from the recorded track instead of assuming straight flight.
+     * @param {Source} [source] - Source to listen to, the lead source by default
+     * @param {Observer} [observer] - Observer listening, the first observer by default
+     * @returns {{regime: 'single' | 'multiple' | 'singular' | 'silent', shifts: number[]}}
+     */
+    observerDoppler(source = this.lead, observer = this.observer) {
+        const { x, y } = observer;
+        const { x: sourceX, y: sourceY } = source.position;
+        const { mach, heading } = this.sourceMotion(source);
+        if (this.dopplerModel === 'simplified') {
+            return {
+                regime: 'single',
+                shifts: [calculateDopplerShift(mach, x, y, sourceX, sourceY, this.movingSourceMode, heading)]
+            };
+        }
+        if (this.movingSourceMode && source.path.type !== 'straight') {
+            return calculateTrackDoppler(this.trackSamples(source), x, y, DOPPLER_SINGULARITY_TOLERANCE, this.wind);
+        }
+        return calculateRetardedDoppler(mach, x, y, sourceX, sourceY, this.movingSourceMode, heading,
+            DOPPLER_SINGULARITY_TOLERANCE, this.wind);
+    }
+
+    /**
+     * Doppler shift carried by a pulse as it crosses an observer
+     * The classical model uses the source position, Mach number and heading when the pulse was emitted,
+     * and the current wind. A reflection is heard as if from the mirror image of the source.
+     * @param {object} pulse - Pulse crossing the observer
+     * @param {Observer} [observer] - Observer being crossed, the first observer by default
+     * @param {object} [boundary] - Boundary the pulse reflected from, or null for the direct sound
+     * @returns {number} Doppler shift multiplier (signed and possibly Infinity for the classical model)
+     */
+    pulseDopplerShift(pulse, observer = this.observer, boundary = null) {
+        const { x, y } = observer;
+        let wind = this.wind;
+        if (boundary) {
+            pulse = mirrorPulse(pulse, boundary);
+            wind = { mach: wind.mach, heading: mirrorHeading(wind.heading, boundary) };
+        }
+        if (this.dopplerModel === 'simplified') {
+            const { mach } = this.sourceMotion(this.sourceById(pulse.sourceId) ?? this.lead);
+            return calculateDopplerShift(mach, x, y, pulse.x, pulse.y, this.movingSourceMode,
+                pulse.birthHeading);
+        }
+        return calculateEmissionDopplerShift(pulse.birthMach, x, y, pulse.birthX, pulse.birthY,
+            this.movingSourceMode, pulse.birthHeading, DOPPLER_SINGULARITY_TOLERANCE, wind);
+    }
+
+    /**
+     * Move a source one frame along its path, starting its next pass when it wraps around
+     * @param {Source} source - Source to move
+     */
+    advanceSource(source) {
+        const maxTrackSamples = Math.ceil(MAX_PULSE_RADIUS / this.speedOfSound) + 1;
+        if (source.advance(this.stepCount, maxTrackSamples)) {
+            this.clearPulses(source);
+        }
+    }
+
+    /**
+     * Emit a pulse from a source when its pulse timer runs out
+     * @param {Source} source - Source to check
+     * @returns {object | null} The new pulse, if any
+     */
+    emitPulse(source) {
+        source.frameCounter++;
+        if (source.frameCounter < source.emissionInterval) return null;
+
+        const { mach, heading } = this.sourceMotion(source);
+        const pulse = {
+            id: this.nextPulseId++,
+            sourceId: source.id,
+            x: source.position.x,
+            y: source.position.y,
+            radius: 0,
+            birthX: source.position.x,
+            birthY: source.position.y,
+            birthMach: mach,
+            birthHeading: heading
+        };
+        // In a stratified medium the wavefront is traced as a fan of rays
+        if (this.soundSpeedProfile) {
+            pulse.rays = createRayFan(pulse.x, pulse.y, RAYS_PER_PULSE);
+        }
+        this.pulses.push(pulse);
+        source.frameCounter %= source.emissionInterval;
+        return pulse;
+    }
+
+    /**
+     * Move a ray one frame through the stratified medium
+     * The bottom edge of the canvas is the ground, which absorbs the rays that reach it.
+     * @param {{x: number, y: number, dx: number, dy: number, absorbed?: boolean}} ray - Ray to
+     *   move, updated in place
+     * @param {number} driftX - Wind drift this frame in pixels
+     * @param {number} driftY - Wind drift this frame in pixels
+     */
+    moveRay(ray, driftX, driftY) {
+        if (ray.absorbed) return;
+        advanceRay(ray, this.soundSpeedProfile, this.speedOfSound, this.height);
+        ray.x += driftX;
+        ray.y += driftY;
+        if (ray.y >= this.height) {
+            ray.y = this.height;
+            ray.absorbed = true;
+        }
+    }
+
+    /**
+     * Fill in the front where neighbouring rays disagree about reaching the ground
+     * The rays either side of the carpet edge diverge quickly, so new rays are traced from the
+     * pulse's birth point at the middle launch angle until the gap is below MIN_RAY_SPREAD.
+     * @param {object} pulse - Ray-traced pulse, its rays updated in place
+     * @param {number} driftX - Wind drift per frame in pixels
+     * @param {number} driftY - Wind drift per frame in pixels
+     */
+    refineRays(pulse, driftX, driftY) {
+        const { rays } = pulse;
+        const age = Math.round(pulse.radius / this.speedOfSound);
+        for (let i = 0; i < rays.length; i++) {
+            const a = rays[i];
+            const b = rays[(i + 1) % rays.length];
+            if (a.absorbed === b.absorbed) continue;
+
+            const spread = (((b.angle - a.angle) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            if (spread < MIN_RAY_SPREAD) continue;
+
+            const angle = a.angle + spread / 2;
+            const ray = { x: pulse.birthX, y: pulse.birthY, dx: Math.cos(angle), dy: Math.sin(angle), angle };
+            for (let frame = 0; frame < age && !ray.absorbed; frame++) {
+                this.moveRay(ray, driftX, driftY);
+            }
+            rays.splice(i + 1, 0, ray);
+            i--; // Check the narrower gap again
+        }
+    }
+
+    /**
+     * Run the simulation through a stretch of simulated time, one fixed step at a time
+     * Time short of a whole step is carried over to the next call, so pulse timing,
+     * propagation and boom detection are the same whatever the display's frame rate.
+     * @param {number} elapsed - Simulated milliseconds: real elapsed time times the time scale
+     * @returns {object[]} What step() returned for each step taken, in order
+     */
+    advance(elapsed) {
+        this.pendingTime += elapsed;
+        const events = [];
+        // The tolerance absorbs round-off when steps are handed over in fractions
+        while (this.pendingTime >= this.frameDuration - 1e-9 && events.length < MAX_STEPS_PER_ADVANCE) {
+            this.pendingTime -= this.frameDuration;
+            events.push(this.step());
+        }
+        // Too far behind: drop the backlog rather than run it all at once
+        if (this.pendingTime >= this.frameDuration) this.pendingTime = 0;
+        return events;
+    }
+
+    /**
+     * Advance the simulation by one frame
+     * Hits and booms are attributed to the source whose pulses caused them and the observer
+     * that heard them. Reflected arrivals are reported separately from the direct sound, with
+     * the boundary they came off; gain is the fraction of the pulse amplitude that arrives.
+     * @returns {{emitted: object[], hits: {pulse: object, sourceId: number, observerId: number,
+     *   dopplerShift: number, gain: number, reflected: boolean, boundaryId?: number}[],
+     *   boom: boolean, booms: {sourceId: number, observerId: number, reflected: boolean}[]}}
+     *   Events that happened during this frame; booms lists each source whose shock (or its
+     *   reflection) reached an observer
+     */
+    step() {
+        const events = { emitted: [], hits: [], boom: false, booms: [] };
+        this.time += this.frameDuration;
+        this.stepCount++;
+
+        for (const source of this.sources) {
+            source.updateProfile(this.frameDuration / 1000);
+
+            // Emit new pulse periodically
+            const pulse = this.emitPulse(source);
+            if (pulse) events.emitted.push(pulse);
+
+            // In moving source mode, move the source
+            if (this.movingSourceMode) {
+                this.advanceSource(source);
+            }
+        }
+
+        // Update pulses and detect observer crossings
+        const medium = this.mediumMotion();
+        const driftX = medium.mach * this.speedOfSound * Math.cos(medium.heading);
+        const driftY = medium.mach * this.speedOfSound * Math.sin(medium.heading);
+
+        for (let i = this.pulses.length - 1; i >= 0; i--) {
+            const p = this.pulses[i];
+            const radiusBefore = p.radius;
+            const distBefore = this.observers.map(o => distance(p.x, p.y, o.x, o.y));
+            const imagesBefore = this.pulseImages(p);
+            if (p.rays) {
+                this.refineRays(p, driftX, driftY);
+            }
+            const raysBefore = p.rays && p.rays.map(r => ({ ...r }));
+
+            p.radius += this.speedOfSound;
+
+            // Drift the pulses with the medium
+            p.x += driftX;
+            p.y += driftY;
+            if (p.rays) {
+                for (const ray of p.rays) {
+                    this.moveRay(ray, driftX, driftY);
+                }
+            }
+
+            const images = this.pulseImages(p);
+
+            // Wave crossed an observer when its radius passed through the observer distance, or
+            // when a ray-traced front passed over it; boundaries in the way shadow it
+            this.observers.forEach((observer, j) => {
+                const crossed = p.rays
+                    ? hasRayFrontPassed(raysBefore, p.rays, observer.x, observer.y)
+                    : radiusBefore < distBefore[j] && p.radius >= distance(p.x, p.y, observer.x, observer.y);
+                const gain = crossed && !p.rays ? this.transmission(p.x, p.y, observer.x, observer.y) : 1;
+                if (crossed && gain > 0) {
+                    observer.recordHit(this.time, p.sourceId);
+                    events.hits.push({
+                        pulse: p,
+                        sourceId: p.sourceId,
+                        observerId: observer.id,
+                        dopplerShift: this.pulseDopplerShift(p, observer),
+                        gain,
+                        reflected: false
+                    });
+                }
+
+                // Reflections cross the same way from each image source, seen through its boundary
+                images.forEach(({ boundary, x, y }, k) => {
+                    const before = imagesBefore[k];
+                    const reflected = radiusBefore < distance(before.x, before.y, observer.x, observer.y) &&
+                        p.radius >= distance(x, y, observer.x, observer.y) && boundary.reflection > 0 &&
+                        crossesBoundary(x, y, observer.x, observer.y, boundary);
+                    if (!reflected) return;
+                    observer.recordHit(this.time, p.sourceId, true);
+                    events.hits.push({
+                        pulse: p,
+                        sourceId: p.sourceId,
+                        observerId: observer.id,
+                        dopplerShift: this.pulseDopplerShift(p, observer, boundary),
+                        gain: boundary.reflection,
+                        reflected: true,
+                        boundaryId: boundary.id
+                    });
+                });
+            });
+
+            // Remove pulses that are too large or entirely off screen, reflections included
+            const outside = b => b.minX > this.width + 100 || b.maxX < -100 ||
+                b.minY > this.height + 100 || b.maxY < -100;
+            const offScreen = p.rays ? outside(rayBounds(p.rays)) : [p, ...images].every(c => outside({
+                minX: c.x - p.radius, maxX: c.x + p.radius, minY: c.y - p.radius, maxY: c.y + p.radius
+            }));
+            if (p.radius > MAX_PULSE_RADIUS || offScreen) {
+                this.pulses.splice(i, 1);
+            }
+        }
+
+        // Sonic boom: multiple waves from one supersonic source reaching an observer at once.
+        // The reflected shock is a boom of its own, heard just after the direct one.
+        for (const observer of this.observers) {
+            for (const source of this.sources) {
+                for (const reflected of [false, true]) {
+                    const hits = events.hits.filter(h => h.sourceId === source.id && h.observerId === observer.id &&
+                        h.reflected === reflected);
+                    if (!isSonicBoom(hits.length, this.airflow(source).mach)) continue;
+                    events.booms.push({ sourceId: source.id, observerId: observer.id, reflected });
+                    source.boomCount++;
+                    observer.boomCount++;
+                    if (reflected) observer.reflectedBoomCount++;
+                    this.boomCount++;
+                }
+            }
+            observer.update(this.time);
+        }
+        events.boom = events.booms.length > 0;
+
+        return events;
+    }
+
+    /**
+     * Copy of everything that changes from frame to frame, for rewinding
+     * Settings (mode, wind, medium, boundaries, paths) are left out, as are observer positions.
+     * @returns {object} State to pass to restore()
+     */
+    snapshot() {
+        return {
+            time: this.time,
+            stepCount: this.stepCount,
+            nextPulseId: this.nextPulseId,
+            boomCount: this.boomCount,
+            pulses: this.pulses.map(p => (p.rays ? { ...p, rays: packRays(p.rays) } : { ...p })),
+            sources: this.sources.map(source => ({ id: source.id, state: source.snapshot() })),
+            observers: this.observers.map(observer => ({ id: observer.id, state: observer.snapshot() }))
+        };
+    }
+
+    /**
+     * Go back (or forward) to a frame saved by snapshot()
+     * Sources and observers added since are left as they are.
+     * @param {object} snapshot - What snapshot() returned; left unchanged, so it can be restored again
+     */
+    restore(snapshot) {
+        this.time = snapshot.time;
+        this.pendingTime = 0;
+        this.stepCount = snapshot.stepCount;
+        this.nextPulseId = snapshot.nextPulseId;
+        this.boomCount = snapshot.boomCount;
+        this.pulses = snapshot.pulses.map(p => (p.rays ? { ...p, rays: unpackRays(p.rays) } : { ...p }));
+        for (const { id, state } of snapshot.sources) {
+            this.sourceById(id)?.restore(state);
+        }
+        for (const { id, state } of snapshot.observers) {
+            this.observers.find(o => o.id === id)?.restore(state);
+        }
+    }
+
+    /**
+     * Plain snapshot of the simulation state
+     * The top-level source and observer fields describe the lead source and first observer;
+     * sources and observers list every one, with each observer's Doppler reading per source.
+     * @returns {object} Copy of the current state, safe to keep across steps
+     */
+    getState() {
+        const lead = this.lead.getState();
+        return {
+            time: this.time,
+            mach: lead.mach,
+            movingSourceMode: this.movingSourceMode,
+            wind: { ...this.wind },
+            boundaries: this.boundaries.map(b => ({ ...b })),
+            dopplerModel: this.dopplerModel,
+            soundSpeedProfile: this.soundSpeedProfile && this.soundSpeedProfile.map(k => ({ ...k })),
+            emissionInterval: lead.emissionInterval,
+            heading: lead.heading,
+            path: lead.path,
+            flightProfile: lead.flightProfile,
+            profileTime: lead.profileTime,
+            source: lead.position,
+            sources: this.sources.map(source => ({ ...source.getState(), doppler: this.observerDoppler(source) })),
+            observer: { x: this.observer.x, y: this.observer.y },
+            observers: this.observers.map(observer => ({
+                ...observer.getState(),
+                doppler: this.sources.map(source => ({
+                    sourceId: source.id,
+                    ...this.observerDoppler(source, observer)
+                }))
+            })),
+            pulses: this.pulses.map(p => (p.rays ? { ...p, rays: p.rays.map(r => ({ ...r })) } : { ...p })),
+            observerWaveHits: this.observerWaveHits,
+            observedFrequency: this.observedFrequency,
+            doppler: this.observerDoppler(),
+            boomCount: this.boomCount
+        };
+    }
+}
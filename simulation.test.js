@@ -0,0 +1,1070 @@
+import { describe, it, expect } from 'vitest';
+import {
+    MAX_STEPS_PER_ADVANCE,
+    MIN_RAY_SPREAD,
+    Simulation,
+    SIMULATION_DEFAULTS,
+    snapshotSize
+} from './simulation.js';
+
+/**
+ * Distance between two points given as {x, y}
+ */
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Step the simulation repeatedly, collecting the events of each frame
+ */
+function run(sim, frames) {
+    const events = [];
+    for (let i = 0; i < frames; i++) {
+        events.push(sim.step());
+    }
+    return events;
+}
+
+describe('Simulation construction', () => {
+    it('should use the default settings', () => {
+        const sim = new Simulation();
+        expect(sim.mach).toBe(SIMULATION_DEFAULTS.mach);
+        expect(sim.emissionInterval).toBe(20);
+        expect(sim.movingSourceMode).toBe(false);
+        expect(sim.pulses).toHaveLength(0);
+    });
+
+    it('should place source on the left and observer on the right', () => {
+        const sim = new Simulation({ width: 900, height: 500 });
+        expect(sim.source.x).toBeCloseTo(153, 5);
+        expect(sim.source.y).toBe(250);
+        expect(sim.observer.x).toBeCloseTo(702, 5);
+        expect(sim.observer.y).toBe(250);
+    });
+});
+
+describe('Simulation.step', () => {
+    it('should emit a pulse every emissionInterval frames', () => {
+        const sim = new Simulation({ emissionInterval: 10 });
+        const events = run(sim, 30);
+        const emitted = events.flatMap(e => e.emitted);
+        expect(emitted).toHaveLength(3);
+        expect(sim.pulses).toHaveLength(3);
+    });
+
+    it('should give every pulse a unique id, even across resets', () => {
+        const sim = new Simulation({ emissionInterval: 10 });
+        run(sim, 20);
+        expect(sim.pulses.map(p => p.id)).toEqual([0, 1]);
+        sim.reset();
+        run(sim, 10);
+        expect(sim.pulses.map(p => p.id)).toEqual([2]);
+    });
+
+    it('should grow pulses at the speed of sound', () => {
+        const sim = new Simulation({ emissionInterval: 1 });
+        sim.step();
+        run(sim, 10);
+        expect(sim.pulses[0].radius).toBe(22);
+    });
+
+    it('should drift pulses downstream in wind mode', () => {
+        const sim = new Simulation({ mach: 1, emissionInterval: 1 });
+        const start = sim.source.x;
+        run(sim, 11);
+        expect(sim.pulses[0].x).toBe(start + 22);
+        expect(sim.source.x).toBe(start);
+    });
+
+    it('should move the source in moving source mode', () => {
+        const sim = new Simulation({ mach: 1, movingSourceMode: true });
+        const start = sim.source.x;
+        run(sim, 10);
+        expect(sim.source.x).toBe(start + 20);
+    });
+
+    it('should wrap the source and clear pulses after it leaves the canvas', () => {
+        const sim = new Simulation({ mach: 3, movingSourceMode: true });
+        let wrapped = false;
+        for (let i = 0; i < 200 && !wrapped; i++) {
+            const before = sim.source.x;
+            sim.step();
+            wrapped = sim.source.x < before;
+        }
+        expect(wrapped).toBe(true);
+        expect(sim.source.x).toBe(sim.sourceStart.x);
+        expect(sim.pulses).toHaveLength(0);
+    });
+
+    it('should discard pulses once they grow too large', () => {
+        const sim = new Simulation({ emissionInterval: 1000 });
+        sim.lead.frameCounter = 999;
+        run(sim, 301);
+        expect(sim.pulses).toHaveLength(0);
+    });
+});
+
+describe('Simulation observer crossings', () => {
+    it('should record one hit per pulse for a stationary source', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setObserver(sim.source.x + 100, sim.source.y);
+        const events = run(sim, 120);
+        const hits = events.flatMap(e => e.hits);
+        // Pulses emitted at frames 20, 40, 60 have reached 100px by frame 120
+        expect(hits).toHaveLength(3);
+        expect(hits[0].dopplerShift).toBe(1);
+    });
+
+    it('should measure the emission rate as the observed frequency at rest', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setObserver(sim.source.x + 100, sim.source.y);
+        run(sim, 400);
+        // 60 fps / 20 frames = 3 pulses per second
+        expect(sim.observedFrequency).toBe(3);
+    });
+
+    it('should report blue shift for an observer ahead of a moving source', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true });
+        const hits = run(sim, 300).flatMap(e => e.hits);
+        expect(hits.length).toBeGreaterThan(0);
+        expect(hits.every(h => h.dopplerShift > 1)).toBe(true);
+    });
+});
+
+describe('Simulation sonic booms', () => {
+    it('should never boom at subsonic speed', () => {
+        const sim = new Simulation({ mach: 0.9, movingSourceMode: true, emissionInterval: 5 });
+        sim.setObserver(600, 450);
+        const events = run(sim, 1000);
+        expect(events.some(e => e.boom)).toBe(false);
+        expect(sim.boomCount).toBe(0);
+    });
+
+    it('should record exactly one boom per pass at M=2', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 5 });
+        sim.setObserver(600, 450);
+
+        let passes = 0;
+        let boomsThisPass = 0;
+        const boomsPerPass = [];
+        for (let i = 0; i < 1000; i++) {
+            const before = sim.source.x;
+            const events = sim.step();
+            if (events.boom) boomsThisPass++;
+            if (sim.source.x < before) {
+                passes++;
+                boomsPerPass.push(boomsThisPass);
+                boomsThisPass = 0;
+            }
+        }
+
+        expect(passes).toBeGreaterThanOrEqual(4);
+        expect(boomsPerPass).toEqual(new Array(passes).fill(1));
+    });
+});
+
+describe('Simulation controls', () => {
+    it('should clear pulses and return the source on reset', () => {
+        const sim = new Simulation({ mach: 1, movingSourceMode: true });
+        run(sim, 50);
+        sim.reset();
+        expect(sim.pulses).toHaveLength(0);
+        expect(sim.source.x).toBe(sim.sourceStart.x);
+        expect(sim.lead.frameCounter).toBe(0);
+    });
+
+    it('should reset when the mode changes', () => {
+        const sim = new Simulation();
+        run(sim, 50);
+        sim.setMode(true);
+        expect(sim.movingSourceMode).toBe(true);
+        expect(sim.pulses).toHaveLength(0);
+    });
+
+    it('should keep relative positions on resize', () => {
+        const sim = new Simulation({ width: 900, height: 500 });
+        sim.setObserver(450, 100);
+        sim.resize(450, 250);
+        expect(sim.observer).toMatchObject({ x: 225, y: 50 });
+        expect(sim.source.x).toBeCloseTo(76.5, 5);
+        expect(sim.source.y).toBe(125);
+    });
+});
+
+describe('Simulation.advance', () => {
+    /**
+     * Run two simulated seconds at a display frame rate, returning the frames' events
+     */
+    function runAt(sim, framesPerSecond) {
+        const events = [];
+        for (let i = 0; i < 2 * framesPerSecond; i++) {
+            events.push(...sim.advance(1000 / framesPerSecond));
+        }
+        return events;
+    }
+
+    it('should take the same steps at any display frame rate', () => {
+        const states = [30, 60, 144].map(fps => {
+            const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 5 });
+            sim.setObserver(600, 450);
+            const events = runAt(sim, fps);
+            return { steps: events.length, booms: sim.boomCount, radii: sim.pulses.map(p => p.radius) };
+        });
+        expect(states[0].steps).toBe(120);
+        expect(states[1]).toEqual(states[0]);
+        expect(states[2]).toEqual(states[0]);
+    });
+
+    it('should carry time short of a step over to the next call', () => {
+        const sim = new Simulation();
+        expect(sim.advance(10)).toHaveLength(0);
+        expect(sim.advance(10)).toHaveLength(1);
+        expect(sim.pendingTime).toBeCloseTo(20 - 1000 / 60, 10);
+    });
+
+    it('should drop a backlog too long to catch up on', () => {
+        const sim = new Simulation();
+        expect(sim.advance(10000)).toHaveLength(MAX_STEPS_PER_ADVANCE);
+        expect(sim.pendingTime).toBe(0);
+    });
+
+    it('should emit pulses at a rate in pulses per second', () => {
+        const sim = new Simulation({ mach: 0 });
+        sim.setPulseRate(7);
+        expect(sim.pulseRate()).toBeCloseTo(7, 10);
+        const emitted = runAt(sim, 60).flatMap(e => e.emitted);
+        expect(emitted).toHaveLength(14);
+        expect(() => sim.setPulseRate(0)).toThrow('Pulse rate must be positive');
+    });
+});
+
+describe('Simulation headings and paths', () => {
+    it('should fly along the heading', () => {
+        const sim = new Simulation({ mach: 1, movingSourceMode: true, heading: Math.PI / 2 });
+        const start = { ...sim.source };
+        run(sim, 10);
+        expect(sim.source.x).toBeCloseTo(start.x, 10);
+        expect(sim.source.y).toBeCloseTo(start.y + 20, 10);
+    });
+
+    it('should start upstream of the canvas center for any heading', () => {
+        const sim = new Simulation({ width: 900, height: 500, heading: Math.PI });
+        expect(sim.source.x).toBeCloseTo(747, 5);
+        expect(sim.source.y).toBeCloseTo(250, 5);
+    });
+
+    it('should drift pulses along the wind heading in wind mode', () => {
+        const sim = new Simulation({ mach: 1, emissionInterval: 1, heading: -Math.PI / 2 });
+        const start = { ...sim.source };
+        run(sim, 11);
+        expect(sim.pulses[0].x).toBeCloseTo(start.x, 10);
+        expect(sim.pulses[0].y).toBeCloseTo(start.y - 22, 10);
+    });
+
+    it('should turn in place when the heading changes mid-flight', () => {
+        const sim = new Simulation({ mach: 1, movingSourceMode: true });
+        run(sim, 10);
+        const before = { ...sim.source };
+        sim.setHeading(Math.PI / 2);
+        run(sim, 5);
+        expect(sim.source.x).toBeCloseTo(before.x, 10);
+        expect(sim.source.y).toBeCloseTo(before.y + 10, 10);
+    });
+
+    it('should wrap when a straight flight leaves the top of the canvas', () => {
+        const sim = new Simulation({ mach: 3, movingSourceMode: true, heading: -Math.PI / 2 });
+        const start = { ...sim.source };
+        let wrapped = false;
+        for (let i = 0; i < 200 && !wrapped; i++) {
+            const before = sim.source.y;
+            sim.step();
+            wrapped = sim.source.y > before;
+        }
+        expect(wrapped).toBe(true);
+        expect(sim.source.y).toBeCloseTo(start.y, 10);
+    });
+
+    it('should fly a circle at constant speed with a tangent heading', () => {
+        const sim = new Simulation({ mach: 1, movingSourceMode: true, path: { type: 'circle', centerX: 450, centerY: 250, radius: 100 } });
+        for (let i = 0; i < 50; i++) {
+            const before = { ...sim.source };
+            sim.step();
+            expect(distance(before, sim.source)).toBeCloseTo(2, 2);
+            expect(distance(sim.source, { x: 450, y: 250 })).toBeCloseTo(100, 10);
+        }
+        const radial = Math.atan2(sim.source.y - 250, sim.source.x - 450);
+        expect(Math.cos(sim.source.heading - radial)).toBeCloseTo(0, 10);
+    });
+
+    it('should start a circle travelling along the chosen heading', () => {
+        const sim = new Simulation({ movingSourceMode: true, heading: 0, path: { type: 'circle' } });
+        expect(sim.source.heading).toBeCloseTo(0, 10);
+        expect(sim.source.y).toBeLessThan(sim.height / 2);
+    });
+
+    it('should follow a polyline and restart at its end', () => {
+        const points = [{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 200, y: 200 }];
+        const sim = new Simulation({ mach: 1, movingSourceMode: true, path: { type: 'polyline', points } });
+        expect(sim.source).toMatchObject({ x: 100, y: 100 });
+
+        run(sim, 60);
+        expect(sim.source.x).toBeCloseTo(200, 10);
+        expect(sim.source.y).toBeCloseTo(120, 10);
+        expect(sim.source.heading).toBeCloseTo(Math.PI / 2, 10);
+
+        run(sim, 41);
+        expect(sim.source).toMatchObject({ x: 100, y: 100 });
+        expect(sim.pulses).toHaveLength(0);
+    });
+
+    it('should reject unknown paths and polylines with too few points', () => {
+        const sim = new Simulation();
+        expect(() => sim.setPath({ type: 'spiral' })).toThrow('Unknown path type');
+        expect(() => sim.setPath({ type: 'polyline', points: [{ x: 0, y: 0 }] })).toThrow('at least two points');
+    });
+
+    it('should tag pulses with the heading at emission', () => {
+        const sim = new Simulation({ movingSourceMode: true, emissionInterval: 1, path: { type: 'circle' } });
+        run(sim, 30);
+        const headings = new Set(sim.pulses.map(p => p.birthHeading.toFixed(3)));
+        expect(headings.size).toBe(30);
+    });
+
+    it('should hear no shift at the center of a circular path', () => {
+        // Velocity is always perpendicular to the line from source to center
+        const sim = new Simulation({ mach: 0.8, movingSourceMode: true, path: { type: 'circle' } });
+        sim.setObserver(sim.path.centerX, sim.path.centerY);
+        run(sim, 400);
+        const reading = sim.observerDoppler();
+        expect(reading.regime).toBe('single');
+        expect(reading.shifts[0]).toBeCloseTo(1, 5);
+    });
+
+    it('should scale the path on resize', () => {
+        const points = [{ x: 100, y: 100 }, { x: 500, y: 100 }];
+        const sim = new Simulation({ movingSourceMode: true, path: { type: 'polyline', points } });
+        sim.resize(450, 250);
+        expect(sim.path.points).toEqual([{ x: 50, y: 50 }, { x: 250, y: 50 }]);
+        expect(sim.source).toMatchObject({ x: 50, y: 50 });
+    });
+});
+
+describe('Simulation.getState', () => {
+    it('should return a copy that does not change as the simulation runs', () => {
+        const sim = new Simulation({ emissionInterval: 1 });
+        sim.step();
+        const state = sim.getState();
+        run(sim, 5);
+        expect(state.pulses).toHaveLength(1);
+        expect(state.pulses[0].radius).toBe(2);
+        expect(sim.pulses[0].radius).toBe(12);
+    });
+
+    it('should include mode, Mach and observer readings', () => {
+        const sim = new Simulation({ mach: 1.5, movingSourceMode: true });
+        const state = sim.getState();
+        expect(state.mach).toBe(1.5);
+        expect(state.movingSourceMode).toBe(true);
+        expect(state.observedFrequency).toBe(0);
+        expect(state.boomCount).toBe(0);
+        // Observer starts ahead of the source, outside the Mach cone
+        expect(state.doppler.regime).toBe('silent');
+    });
+});
+
+describe('Simulation snapshots', () => {
+    it('should replay the same frames after rewinding', () => {
+        const sim = new Simulation({ mach: 0.8, movingSourceMode: true, emissionInterval: 5,
+            flightProfile: [{ time: 0, mach: 0.8 }, { time: 3, mach: 1.6 }] });
+        sim.setPath({ type: 'circle' });
+        run(sim, 100);
+        const snapshot = sim.snapshot();
+        const booms = run(sim, 100).flatMap(e => e.booms).length;
+        const later = sim.getState();
+
+        sim.restore(snapshot);
+        expect(sim.time).toBe(snapshot.time);
+        expect(run(sim, 100).flatMap(e => e.booms)).toHaveLength(booms);
+        expect(sim.getState()).toEqual(later);
+    });
+
+    it('should restore the same snapshot more than once', () => {
+        const sim = new Simulation({ emissionInterval: 5 });
+        run(sim, 30);
+        const snapshot = sim.snapshot();
+        const radii = sim.pulses.map(p => p.radius);
+        run(sim, 10);
+        sim.restore(snapshot);
+        run(sim, 10);
+        sim.restore(snapshot);
+        expect(sim.pulses.map(p => p.radius)).toEqual(radii);
+        expect(snapshot.pulses.map(p => p.radius)).toEqual(radii);
+    });
+
+    it('should pack ray fans compactly and replay them exactly', () => {
+        const sim = new Simulation({ mach: 1.5, movingSourceMode: true, emissionInterval: 5 });
+        sim.setSoundSpeedProfile([{ height: 0, speed: 1.2 }, { height: 1, speed: 1 }]);
+        run(sim, 60);
+        const snapshot = sim.snapshot();
+        const rays = sim.pulses.reduce((count, p) => count + p.rays.length, 0);
+        expect(snapshotSize(snapshot)).toBe(rays * 6 * 8);
+        expect(snapshotSize(new Simulation().snapshot())).toBe(0);
+
+        run(sim, 60);
+        const later = sim.getState();
+        sim.restore(snapshot);
+        run(sim, 60);
+        expect(sim.getState()).toEqual(later);
+    });
+
+    it('should leave settings and observer positions alone', () => {
+        const sim = new Simulation({ mach: 0.5, emissionInterval: 5 });
+        run(sim, 30);
+        const snapshot = sim.snapshot();
+        sim.setObserver(100, 100);
+        sim.setWind(0.2, 0);
+        sim.restore(snapshot);
+        expect(sim.observer).toMatchObject({ x: 100, y: 100 });
+        expect(sim.wind.mach).toBe(0.2);
+    });
+});
+
+describe('Simulation Doppler models', () => {
+    it('should use the emission point for hits in the classical model', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true });
+        const hits = run(sim, 300).flatMap(e => e.hits);
+        // Observer directly ahead: 1 / (1 - 0.5) with no fudge factor or clamping
+        expect(hits[0].dopplerShift).toBeCloseTo(2, 10);
+    });
+
+    it('should use the emission Mach number even after the slider moves', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true, emissionInterval: 1 });
+        sim.step();
+        sim.setMach(0);
+        const pulse = sim.pulses[0];
+        expect(sim.pulseDopplerShift(pulse)).toBeCloseTo(2, 10);
+    });
+
+    it('should keep the legacy shift in the simplified model', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true, dopplerModel: 'simplified' });
+        const hits = run(sim, 300).flatMap(e => e.hits);
+        expect(hits[0].dopplerShift).toBeCloseTo(1 / 0.75, 10);
+    });
+
+    it('should be silent ahead of a supersonic source', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true });
+        expect(sim.observerDoppler().regime).toBe('silent');
+    });
+
+    it('should switch models with setDopplerModel', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true });
+        sim.setDopplerModel('simplified');
+        expect(sim.observerDoppler().regime).toBe('single');
+    });
+});
+
+describe('Simulation flight profiles', () => {
+    const ramp = [{ time: 0, mach: 0 }, { time: 1, mach: 1 }];
+
+    it('should drive the Mach number from the profile', () => {
+        const sim = new Simulation({ movingSourceMode: true, flightProfile: ramp });
+        expect(sim.mach).toBe(0);
+        run(sim, 30);
+        expect(sim.mach).toBeCloseTo(0.5, 10);
+    });
+
+    it('should hold the last keyframe once the profile ends', () => {
+        const sim = new Simulation({ movingSourceMode: true, flightProfile: ramp });
+        run(sim, 120);
+        expect(sim.mach).toBe(1);
+    });
+
+    it('should record the Mach number each pulse was emitted at', () => {
+        const sim = new Simulation({ movingSourceMode: true, flightProfile: ramp, emissionInterval: 15 });
+        run(sim, 60);
+        const machs = sim.pulses.map(p => p.birthMach);
+        expect(machs).toHaveLength(4);
+        expect(machs[0]).toBeLessThan(machs[3]);
+    });
+
+    it('should restart the profile on reset', () => {
+        const sim = new Simulation({ movingSourceMode: true, flightProfile: ramp });
+        run(sim, 30);
+        sim.reset();
+        expect(sim.profileTime).toBe(0);
+        expect(sim.mach).toBe(0);
+    });
+
+    it('should restart the profile when the source wraps around', () => {
+        const sim = new Simulation({
+            movingSourceMode: true,
+            flightProfile: [{ time: 0, mach: 3 }, { time: 1, mach: 2 }]
+        });
+        let wrapped = false;
+        for (let i = 0; i < 200 && !wrapped; i++) {
+            const before = sim.source.x;
+            sim.step();
+            wrapped = sim.source.x < before;
+        }
+        expect(wrapped).toBe(true);
+        expect(sim.profileTime).toBe(0);
+        expect(sim.mach).toBe(3);
+    });
+
+    it('should go back to a constant Mach number without a profile', () => {
+        const sim = new Simulation({ movingSourceMode: true, flightProfile: ramp });
+        run(sim, 30);
+        sim.setFlightProfile(null);
+        sim.setMach(1.2);
+        run(sim, 30);
+        expect(sim.mach).toBe(1.2);
+        expect(sim.getState().flightProfile).toBeNull();
+    });
+});
+
+describe('Simulation.wavefrontEnvelope', () => {
+    it('should be empty while subsonic', () => {
+        const sim = new Simulation({ mach: 0.8, movingSourceMode: true, emissionInterval: 5 });
+        run(sim, 60);
+        expect(sim.wavefrontEnvelope()).toEqual([]);
+    });
+
+    it('should reach the source while supersonic', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 5 });
+        run(sim, 60);
+        const branches = sim.wavefrontEnvelope();
+        expect(branches).toHaveLength(2);
+        for (const branch of branches) {
+            expect(branch.at(-1)).toEqual({ x: sim.source.x, y: sim.source.y });
+        }
+    });
+});
+
+describe('Simulation with several sources', () => {
+    it('should start with a single lead source', () => {
+        const sim = new Simulation();
+        expect(sim.sources).toHaveLength(1);
+        expect(sim.lead.position).toBe(sim.source);
+    });
+
+    it('should tag pulses with the source that emitted them', () => {
+        const sim = new Simulation({ emissionInterval: 10 });
+        const wing = sim.addSource({ emissionInterval: 5, start: { x: 150, y: 100 } });
+        run(sim, 30);
+        const fromLead = sim.pulses.filter(p => p.sourceId === sim.lead.id);
+        const fromWing = sim.pulses.filter(p => p.sourceId === wing.id);
+        expect(fromLead).toHaveLength(3);
+        expect(fromWing).toHaveLength(6);
+        expect(fromWing[0]).toMatchObject({ birthX: 150, birthY: 100 });
+    });
+
+    it('should give each source its own color', () => {
+        const sim = new Simulation();
+        const wing = sim.addSource();
+        expect(wing.color).not.toBe(sim.lead.color);
+        sim.setColor('#ffffff', wing);
+        expect(wing.color).toBe('#ffffff');
+    });
+
+    it('should fly each source at its own Mach number and heading', () => {
+        const sim = new Simulation({ mach: 1, movingSourceMode: true });
+        const wing = sim.addSource({ mach: 0.5, heading: Math.PI / 2, start: { x: 450, y: 50 } });
+        run(sim, 10);
+        expect(sim.source.x - sim.sourceStart.x).toBeCloseTo(20, 10);
+        expect(wing.position.x).toBeCloseTo(450, 10);
+        expect(wing.position.y).toBeCloseTo(60, 10);
+    });
+
+    it('should attribute observer hits to their source', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        const wing = sim.addSource({ mach: 0, start: { x: 650, y: 250 } });
+        sim.setObserver(700, 250);
+        const hits = run(sim, 70).flatMap(e => e.hits);
+        // Only the nearby source is heard, 25 frames after each of its pulses
+        expect(hits[0].sourceId).toBe(wing.id);
+        expect(hits.every(h => h.sourceId === wing.id)).toBe(true);
+        expect(sim.observer.waveHits.map(h => h.sourceId)).toEqual([wing.id, wing.id]);
+        expect(sim.observer.frequencyFrom(sim.lead.id, sim.time)).toBe(0);
+    });
+
+    it('should attribute booms to the supersonic source only', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 5 });
+        const wing = sim.addSource({ mach: 0.8, emissionInterval: 5, start: { x: 150, y: 400 } });
+        sim.setObserver(600, 450);
+        const booms = run(sim, 400).flatMap(e => e.booms);
+        expect(booms.length).toBeGreaterThan(0);
+        expect(booms.every(b => b.sourceId === sim.lead.id)).toBe(true);
+        expect(sim.lead.boomCount).toBe(booms.length);
+        expect(wing.boomCount).toBe(0);
+        expect(sim.boomCount).toBe(booms.length);
+    });
+
+    it('should only clear the pulses of a source that wraps around', () => {
+        const sim = new Simulation({ mach: 3, movingSourceMode: true, emissionInterval: 5 });
+        const wing = sim.addSource({ mach: 0, emissionInterval: 5, start: { x: 450, y: 400 } });
+        let wrapped = false;
+        for (let i = 0; i < 200 && !wrapped; i++) {
+            const before = sim.source.x;
+            sim.step();
+            wrapped = sim.source.x < before;
+        }
+        expect(wrapped).toBe(true);
+        expect(sim.pulses.some(p => p.sourceId === sim.lead.id)).toBe(false);
+        expect(sim.pulses.some(p => p.sourceId === wing.id)).toBe(true);
+    });
+
+    it('should remove a source together with its pulses', () => {
+        const sim = new Simulation({ emissionInterval: 5 });
+        const wing = sim.addSource({ emissionInterval: 5 });
+        run(sim, 20);
+        sim.removeSource(wing);
+        expect(sim.sources).toEqual([sim.lead]);
+        expect(sim.pulses.every(p => p.sourceId === sim.lead.id)).toBe(true);
+        expect(sim.pulses).toHaveLength(4);
+    });
+
+    it('should refuse to remove the last source', () => {
+        const sim = new Simulation();
+        expect(() => sim.removeSource(sim.lead)).toThrow('Cannot remove the last source');
+    });
+
+    it('should keep a dragged source at its new start across resets', () => {
+        const sim = new Simulation({ movingSourceMode: true });
+        const wing = sim.addSource();
+        sim.moveSource(wing, 200, 100);
+        run(sim, 10);
+        sim.reset();
+        expect(wing.position).toMatchObject({ x: 200, y: 100 });
+        expect(sim.source.x).toBeCloseTo(153, 5);
+    });
+
+    it('should drag a circling source by moving its circle', () => {
+        const sim = new Simulation({ movingSourceMode: true, path: { type: 'circle' } });
+        const { x, y } = sim.source;
+        sim.moveSource(sim.lead, x + 30, y - 10);
+        expect(sim.path.centerX).toBe(480);
+        expect(sim.path.centerY).toBe(240);
+    });
+
+    it('should carry every pulse with the lead source wind in wind mode', () => {
+        const sim = new Simulation({ mach: 1, emissionInterval: 1 });
+        sim.addSource({ mach: 2, heading: Math.PI / 2, emissionInterval: 1, start: { x: 450, y: 100 } });
+        run(sim, 10);
+        const wingPulse = sim.pulses.find(p => p.sourceId !== sim.lead.id);
+        expect(wingPulse.x - wingPulse.birthX).toBeCloseTo(20, 10);
+        expect(wingPulse.y).toBe(wingPulse.birthY);
+        expect(wingPulse.birthMach).toBe(1);
+    });
+
+    it('should report a Doppler reading for each source', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true });
+        sim.addSource({ mach: 0, start: { x: 800, y: 250 } });
+        const state = sim.getState();
+        expect(state.sources).toHaveLength(2);
+        expect(state.sources[0].doppler.shifts[0]).toBeCloseTo(2, 10);
+        expect(state.sources[1].doppler.shifts[0]).toBe(1);
+        expect(state.sources[1].position).toMatchObject({ x: 800, y: 250 });
+    });
+
+    it('should trace the envelope of one source at a time', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 5 });
+        const wing = sim.addSource({ mach: 0.5, emissionInterval: 5, start: { x: 150, y: 400 } });
+        run(sim, 60);
+        expect(sim.wavefrontEnvelope()).toHaveLength(2);
+        expect(sim.wavefrontEnvelope(wing)).toEqual([]);
+    });
+});
+
+describe('Simulation with several observers', () => {
+    it('should start with one observer on the right', () => {
+        const sim = new Simulation();
+        expect(sim.observers).toHaveLength(1);
+        expect(sim.observer.name).toBe('Observer 1');
+    });
+
+    it('should name and place new observers', () => {
+        const sim = new Simulation();
+        const beside = sim.addObserver({ name: 'Beside', x: 450, y: 50 });
+        const unnamed = sim.addObserver();
+        expect(beside).toMatchObject({ name: 'Beside', x: 450, y: 50 });
+        expect(unnamed).toMatchObject({ name: 'Observer 3', x: 450, y: 250 });
+        sim.setObserverName('Behind', unnamed);
+        expect(unnamed.name).toBe('Behind');
+    });
+
+    it('should keep a separate hit history for each observer', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        const near = sim.addObserver({ x: 200, y: 250 });
+        const far = sim.addObserver({ x: 353, y: 250 });
+        const hits = run(sim, 130).flatMap(e => e.hits);
+        // Pulses from frames 20 to 100 reach 47px away; only the first one has reached 200px
+        expect(hits.filter(h => h.observerId === near.id)).toHaveLength(5);
+        expect(hits.filter(h => h.observerId === far.id)).toHaveLength(1);
+        expect(near.waveHits).toHaveLength(5);
+        expect(far.waveHits).toHaveLength(1);
+        expect(near.observedFrequency).toBe(2.5);
+        expect(far.observedFrequency).toBe(0);
+    });
+
+    it('should give each observer its own Doppler shift', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true });
+        const behind = sim.addObserver({ name: 'Behind', x: 50, y: 250 });
+        const hits = run(sim, 300).flatMap(e => e.hits);
+        const ahead = hits.filter(h => h.observerId === sim.observer.id);
+        const back = hits.filter(h => h.observerId === behind.id);
+        expect(ahead[0].dopplerShift).toBeCloseTo(2, 10);
+        expect(back[0].dopplerShift).toBeCloseTo(1 / 1.5, 10);
+    });
+
+    it('should count booms for the observer that heard them', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 5 });
+        sim.setObserver(600, 450);
+        const ahead = sim.addObserver({ x: 890, y: 250 });
+        const booms = run(sim, 400).flatMap(e => e.booms);
+        expect(sim.observer.boomCount).toBe(booms.filter(b => b.observerId === sim.observer.id).length);
+        expect(sim.observer.boomCount).toBeGreaterThan(0);
+        expect(ahead.boomCount).toBe(booms.filter(b => b.observerId === ahead.id).length);
+        expect(sim.boomCount).toBe(booms.length);
+    });
+
+    it('should remove observers but keep the last one', () => {
+        const sim = new Simulation();
+        const extra = sim.addObserver();
+        sim.removeObserver(sim.observer);
+        expect(sim.observers).toEqual([extra]);
+        expect(() => sim.removeObserver(extra)).toThrow('Cannot remove the last observer');
+    });
+
+    it('should report every observer with a Doppler reading per source', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true });
+        sim.addObserver({ name: 'Behind', x: 50, y: 250 });
+        const wing = sim.addSource({ mach: 0, start: { x: 450, y: 100 } });
+        const { observers } = sim.getState();
+        expect(observers.map(o => o.name)).toEqual(['Observer 1', 'Behind']);
+        expect(observers[1].doppler).toHaveLength(2);
+        expect(observers[1].doppler[0].shifts[0]).toBeCloseTo(1 / 1.5, 10);
+        expect(observers[1].doppler[1]).toMatchObject({ sourceId: wing.id, regime: 'single', shifts: [1] });
+    });
+
+    it('should scale every observer on resize', () => {
+        const sim = new Simulation({ width: 900, height: 500 });
+        const other = sim.addObserver({ x: 100, y: 100 });
+        sim.resize(450, 250);
+        expect(other).toMatchObject({ x: 50, y: 50 });
+    });
+});
+
+describe('Simulation.pressureField', () => {
+    /**
+     * Largest value in a pressure field
+     */
+    function peak(field) {
+        return field.values.reduce((max, v) => Math.max(max, v), -Infinity);
+    }
+
+    it('should cover the canvas with cells', () => {
+        const sim = new Simulation({ width: 900, height: 500 });
+        const field = sim.pressureField({ cellSize: 10 });
+        expect(field).toMatchObject({ cols: 90, rows: 50, cellSize: 10 });
+        expect(field.values).toHaveLength(4500);
+    });
+
+    it('should be quiet without pulses', () => {
+        const field = new Simulation().pressureField();
+        expect(peak(field)).toBe(0);
+    });
+
+    it('should place a single pulse on its ring', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        run(sim, 39);
+        // One pulse of radius 40px centered on the source, decayed from the 20px reference
+        const field = sim.pressureField({ cellSize: 2 });
+        const at = (x, y) => field.values[Math.floor(y / 2) * field.cols + Math.floor(x / 2)];
+        const { x, y } = sim.source;
+        expect(at(x + 40, y)).toBeCloseTo(Math.sqrt(0.5), 2);
+        expect(at(x, y)).toBe(0);
+    });
+
+    it('should pile up pressure at the sound barrier', () => {
+        const field = mach => {
+            const sim = new Simulation({ mach, movingSourceMode: true, emissionInterval: 10 });
+            run(sim, 150);
+            return sim.pressureField();
+        };
+        expect(peak(field(1))).toBeGreaterThan(4 * peak(field(0.5)));
+    });
+
+    it('should concentrate pressure along the Mach cone', () => {
+        const sim = new Simulation({ mach: 1.5, movingSourceMode: true, emissionInterval: 10 });
+        run(sim, 150);
+        const field = sim.pressureField();
+        const at = (x, y) => field.values[Math.floor(y / field.cellSize) * field.cols + Math.floor(x / field.cellSize)];
+
+        // Mean overpressure along a ray trailing the source at a given angle from its axis
+        const { x, y } = sim.source;
+        const meanAlong = angle => {
+            let sum = 0;
+            let count = 0;
+            for (let d = 60; d <= 300; d += 4) {
+                sum += at(x - d * Math.cos(angle), y - d * Math.sin(angle));
+                count++;
+            }
+            return sum / count;
+        };
+        const machAngle = Math.asin(1 / 1.5);
+        expect(meanAlong(machAngle)).toBeGreaterThan(2 * meanAlong(machAngle / 2));
+    });
+
+    it('should include rarefaction behind N-wave pulses', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        run(sim, 40);
+        const field = sim.pressureField({ shape: 'nwave', cellSize: 2 });
+        expect(Math.min(...field.values)).toBeLessThan(-0.5);
+    });
+});
+
+describe('Simulation in a stratified medium', () => {
+    // Sound twice as fast at the ground as at the top of the canvas
+    const warmGround = [{ height: 0, speed: 2 }, { height: 1, speed: 1 }];
+
+    /**
+     * Stationary source low on the canvas, listening along the ground
+     */
+    function carpet(profile) {
+        const sim = new Simulation({ mach: 0, emissionInterval: 30 });
+        sim.moveSource(sim.lead, 100, 450);
+        sim.setSoundSpeedProfile(profile);
+        sim.setObserver(400, 490);
+        const far = sim.addObserver({ x: 650, y: 490 });
+        const aloft = sim.addObserver({ x: 650, y: 300 });
+        const heard = new Set(run(sim, 400).flatMap(e => e.hits.map(h => h.observerId)));
+        return { sim, heard, far, aloft };
+    }
+
+    it('should trace each pulse as a fan of rays', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        sim.setSoundSpeedProfile([{ height: 0, speed: 1 }, { height: 1, speed: 1 }]);
+        run(sim, 60);
+        const pulse = sim.pulses[0];
+        expect(pulse.rays.length).toBeGreaterThan(8);
+        for (const ray of pulse.rays) {
+            expect(distance(ray, pulse)).toBeCloseTo(pulse.radius, 6);
+        }
+    });
+
+    it('should hear a uniform profile at the same frame as a uniform medium', () => {
+        const hitFrames = profile => {
+            const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+            sim.setSoundSpeedProfile(profile);
+            sim.setObserver(sim.source.x + 130, sim.source.y - 70);
+            return run(sim, 200).flatMap((e, frame) => (e.hits.length ? [frame] : []));
+        };
+        expect(hitFrames([{ height: 0, speed: 1 }, { height: 1, speed: 1 }])).toEqual(hitFrames(null));
+    });
+
+    it('should leave the ground silent beyond the carpet edge', () => {
+        const uniform = carpet(null);
+        expect(uniform.heard.has(uniform.far.id)).toBe(true);
+
+        const stratified = carpet(warmGround);
+        expect(stratified.heard.has(stratified.sim.observer.id)).toBe(true);
+        expect(stratified.heard.has(stratified.aloft.id)).toBe(true);
+        expect(stratified.heard.has(stratified.far.id)).toBe(false);
+    });
+
+    it('should pin the carpet edge between two close rays', () => {
+        const { sim } = carpet(warmGround);
+        const rays = sim.pulses[0].rays;
+        const edges = rays.filter((ray, i) => ray.absorbed !== rays[(i + 1) % rays.length].absorbed);
+        expect(edges.length).toBeGreaterThan(0);
+        for (const ray of edges) {
+            const next = rays[(rays.indexOf(ray) + 1) % rays.length];
+            const spread = (((next.angle - ray.angle) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            expect(spread).toBeLessThan(MIN_RAY_SPREAD);
+        }
+    });
+
+    it('should clear pulses traced through the old medium', () => {
+        const sim = new Simulation({ emissionInterval: 5 });
+        run(sim, 20);
+        sim.setSoundSpeedProfile(warmGround);
+        expect(sim.pulses).toHaveLength(0);
+        expect(() => sim.setSoundSpeedProfile([{ height: 0, speed: 1 }])).toThrow('at least two keyframes');
+    });
+
+    it('should copy rays and the profile into the state', () => {
+        const sim = new Simulation({ emissionInterval: 5 });
+        sim.setSoundSpeedProfile(warmGround);
+        run(sim, 20);
+        const state = sim.getState();
+        expect(state.soundSpeedProfile).toEqual(warmGround);
+        expect(state.pulses[0].rays).toEqual(sim.pulses[0].rays);
+        expect(state.pulses[0].rays[0]).not.toBe(sim.pulses[0].rays[0]);
+    });
+
+    it('should skip the straight-line envelope', () => {
+        const sim = new Simulation({ mach: 1.5, movingSourceMode: true, emissionInterval: 5 });
+        sim.setSoundSpeedProfile(warmGround);
+        run(sim, 100);
+        expect(sim.wavefrontEnvelope()).toEqual([]);
+    });
+
+    it('should put pressure on the refracted fronts', () => {
+        const sim = new Simulation({ mach: 0, emissionInterval: 30 });
+        sim.setSoundSpeedProfile(warmGround);
+        run(sim, 60);
+        const field = sim.pressureField({ cellSize: 4 });
+        expect(Math.max(...field.values)).toBeGreaterThan(0.1);
+    });
+});
+
+describe('Simulation wind', () => {
+    const headwind = { mach: 0.2, heading: Math.PI };
+
+    it('should drift pulses with the wind in moving source mode', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true, emissionInterval: 5,
+            wind: { mach: 0.5, heading: Math.PI / 2 } });
+        run(sim, 15);
+        const pulse = sim.pulses[0];
+        expect(pulse.x).toBe(pulse.birthX);
+        expect(pulse.y - pulse.birthY).toBeCloseTo(pulse.radius / 2, 10);
+    });
+
+    it('should add the wind to the flow of wind mode', () => {
+        const sim = new Simulation({ mach: 0.5, emissionInterval: 5, wind: { mach: 0.5, heading: Math.PI / 2 } });
+        run(sim, 15);
+        const pulse = sim.pulses[0];
+        expect(pulse.x - pulse.birthX).toBeCloseTo(pulse.radius / 2, 10);
+        expect(pulse.y - pulse.birthY).toBeCloseTo(pulse.radius / 2, 10);
+        expect(sim.mediumMotion().mach).toBeCloseTo(Math.SQRT1_2, 10);
+    });
+
+    it('should measure the airflow past a source through the wind', () => {
+        const sim = new Simulation({ mach: 0.9, movingSourceMode: true, wind: headwind });
+        const airflow = sim.airflow(sim.lead);
+        expect(airflow.mach).toBeCloseTo(1.1, 10);
+        expect(Math.cos(airflow.heading)).toBeCloseTo(-1, 10);
+    });
+
+    it('should boom when a headwind makes the source supersonic through the air', () => {
+        const booms = wind => {
+            const sim = new Simulation({ mach: 0.9, movingSourceMode: true, emissionInterval: 3, wind });
+            sim.setObserver(600, 300);
+            run(sim, 400);
+            return sim.boomCount;
+        };
+        expect(booms({ mach: 0, heading: 0 })).toBe(0);
+        expect(booms(headwind)).toBeGreaterThan(0);
+    });
+
+    it('should include the wind in the Doppler readouts', () => {
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true, wind: headwind });
+        sim.setObserver(sim.source.x + 100, sim.source.y);
+        expect(sim.observerDoppler().shifts[0]).toBeCloseTo(0.8 / 0.3, 10);
+
+        const [hit] = run(sim, 200).flatMap(e => e.hits);
+        expect(hit.dopplerShift).toBeCloseTo(0.8 / 0.3, 10);
+    });
+
+    it('should only accept subsonic winds', () => {
+        const sim = new Simulation();
+        expect(() => sim.setWind(1, 0)).toThrow('slower than sound');
+        expect(() => sim.setWind(-0.1, 0)).toThrow('slower than sound');
+        sim.setWind(0.3, 1);
+        expect(sim.getState().wind).toEqual({ mach: 0.3, heading: 1 });
+    });
+});
+
+describe('Simulation reflecting boundaries', () => {
+    /**
+     * Stationary source with an observer 200px to its right and a boundary added
+     */
+    function setup(segment) {
+        const sim = new Simulation({ mach: 0, emissionInterval: 20 });
+        const { x, y } = sim.source;
+        sim.setObserver(x + 200, y);
+        const boundary = sim.addBoundary(segment(x, y));
+        return { sim, boundary };
+    }
+
+    it('should hear the echo off the ground after the direct sound', () => {
+        const { sim } = setup((x, y) => ({ x1: -1000, y1: y + 50, x2: 2000, y2: y + 50, reflection: 0.5 }));
+        const hits = run(sim, 140).flatMap(e => e.hits);
+        expect(hits.map(h => h.reflected)).toEqual([false, true, false]);
+        expect(hits[0]).toMatchObject({ gain: 1, reflected: false });
+        expect(hits[1]).toMatchObject({ gain: 0.5, reflected: true, boundaryId: 0 });
+        expect(hits[1].pulse).toBe(hits[0].pulse);
+        expect(hits[1].dopplerShift).toBeCloseTo(1, 10);
+        expect(sim.observer.reflectedHits).toHaveLength(1);
+    });
+
+    it('should shadow the direct sound behind a wall', () => {
+        const heard = reflection => {
+            const { sim } = setup(x => ({ x1: x + 100, y1: -1000, x2: x + 100, y2: 2000, reflection }));
+            return run(sim, 140).flatMap(e => e.hits);
+        };
+        expect(heard(1)).toEqual([]);
+        expect(heard(0.25).map(h => h.gain)).toEqual([0.75, 0.75]);
+        expect(heard(0.25).every(h => !h.reflected)).toBe(true);
+    });
+
+    it('should only reflect off the length of a segment', () => {
+        // The echo would come off the ground halfway to the observer, past the end of the segment
+        const { sim } = setup((x, y) => ({ x1: x - 50, y1: y + 50, x2: x + 20, y2: y + 50 }));
+        const hits = run(sim, 140).flatMap(e => e.hits);
+        expect(hits.some(h => h.reflected)).toBe(false);
+        expect(hits).toHaveLength(2);
+    });
+
+    it('should boom twice when the shock reflects off the ground', () => {
+        const sim = new Simulation({ mach: 2, movingSourceMode: true, emissionInterval: 2 });
+        sim.addBoundary({ x1: -1000, y1: 480, x2: 2000, y2: 480 });
+        sim.setObserver(300, 450);
+        const booms = run(sim, 200).flatMap(e => e.booms);
+        expect(booms.map(b => b.reflected)).toEqual([false, true]);
+        expect(sim.observer).toMatchObject({ boomCount: 2, reflectedBoomCount: 1 });
+    });
+
+    it('should blue-shift the echo off a wall ahead of the source', () => {
+        // Mach 0.5 toward a wall, heard from behind: the image source approaches the observer
+        const sim = new Simulation({ mach: 0.5, movingSourceMode: true, emissionInterval: 20 });
+        const { x, y } = sim.source;
+        sim.addBoundary({ x1: x + 150, y1: -1000, x2: x + 150, y2: 2000 });
+        sim.setObserver(x - 100, y);
+        const hits = run(sim, 300).flatMap(e => e.hits);
+        const direct = hits.find(h => !h.reflected);
+        const echo = hits.find(h => h.reflected);
+        expect(direct.dopplerShift).toBeCloseTo(1 / 1.5, 10);
+        expect(echo.dopplerShift).toBeCloseTo(2, 10);
+    });
+
+    it('should add the reflected shell to the pressure field', () => {
+        const { sim } = setup((x, y) => ({ x1: -1000, y1: y + 20, x2: 2000, y2: y + 20, reflection: 0.5 }));
+        run(sim, 39);
+        // A pulse of radius 40px: its echo passes back over the source, and its direct shell is
+        // halved below the ground
+        const field = sim.pressureField({ cellSize: 2 });
+        const at = (x, y) => field.values[Math.floor(y / 2) * field.cols + Math.floor(x / 2)];
+        const { x, y } = sim.source;
+        expect(at(x, y - 40)).toBeCloseTo(2 * at(x, y + 40), 6);
+        expect(at(x, y)).toBeCloseTo(at(x, y + 40), 6);
+        expect(at(x, y)).toBeGreaterThan(0.3);
+    });
+
+    it('should check, move and remove boundaries', () => {
+        const sim = new Simulation();
+        expect(() => sim.addBoundary({ x1: 1, y1: 2, x2: 1, y2: 2 })).toThrow('two distinct end points');
+        expect(() => sim.addBoundary({ x1: 0, y1: 0, x2: 1, y2: 0, reflection: 2 })).toThrow('between 0 and 1');
+
+        const wall = sim.addBoundary({ x1: 0, y1: 0, x2: 0, y2: 100 });
+        expect(wall).toEqual({ id: 0, x1: 0, y1: 0, x2: 0, y2: 100, reflection: 1 });
+        sim.setBoundary(wall, { x2: 50, reflection: 0.3 });
+        expect(() => sim.setBoundary(wall, { reflection: -1 })).toThrow('between 0 and 1');
+        expect(sim.getState().boundaries).toEqual([{ id: 0, x1: 0, y1: 0, x2: 50, y2: 100, reflection: 0.3 }]);
+        expect(sim.boundaryById(0)).toBe(wall);
+
+        sim.removeBoundary(wall);
+        expect(sim.boundaries).toEqual([]);
+        expect(() => sim.removeBoundary(wall)).toThrow('Unknown boundary: 0');
+    });
+});
@@ -1,53 +1,204 @@
 // Shock Wave Formation Simulation
 // Demonstrates how shock waves form at supersonic speeds
 //
-// Note: Pure physics calculations are also available in physics.js for testing.
-// This file contains the p5.js visualization code with inline physics for browser compatibility.
-
-let pulses = [];
+// The simulation itself lives in simulation.js (pulses, source motion, observer
+// crossings, sonic booms) and physics.js; this file drives it each frame and
+// draws it with p5.js.
+
+import { Simulation, snapshotSize } from './simulation.js';
+import { DataLogger } from './logger.js';
+import { decodePermalink, encodePermalink, SHARED_DEFAULTS } from './permalink.js';
+import {
+    createScenario,
+    forgetScenario,
+    loadStoredScenarios,
+    parseScenario,
+    serializeScenario,
+    storeScenario
+} from './scenario.js';
+import { CanvasRecorder, MAX_RECORDING_SECONDS, recordingFileName, videoFileExtension } from './recorder.js';
+import { Timeline } from './timeline.js';
+import { encodeWav, MAX_AUDIO_EXPORT_SECONDS, WAV_SAMPLE_RATE } from './wav.js';
+import { BUILT_IN_LESSONS, LessonRunner, parseLesson, validateLesson } from './lesson.js';
+import {
+    createPreset,
+    DEFAULT_PRESETS,
+    forgetPreset,
+    loadStoredPresets,
+    resetStoredPresets,
+    storePreset
+} from './presets.js';
+import {
+    arcBeyondBoundary,
+    calculateArrivalAmplitude,
+    calculateBoomSignature,
+    calculateDopplerFrequency,
+    calculateMachAngle,
+    calculateMachAngleDegrees,
+    calculateStereoPan,
+    createLapseProfile,
+    createRampProfile,
+    machToSpeed,
+    measureAngle,
+    METERS_PER_FOOT,
+    mirrorHeading,
+    parseFlightProfile,
+    parseSoundSpeedProfile,
+    parseSpeed,
+    PASCALS_PER_PSF,
+    pixelsToMeters,
+    SPEED_UNITS,
+    speedToMach,
+    standardAtmosphere,
+    synthesizeNWave
+} from './physics.js';
+
+let simulation;
 let mach = 0.5;
 let previousMach = 0.5;
 let machSlider;
-let emissionSlider;
-let emissionInterval = 20;
-let frameCounter = 0;
-let speedOfSound = 2;
-
-// Source position
-let sourceX, sourceY;
-let sourceStartX;
+const MAX_SLIDER_MACH = 3;
+const MACH_STEP = 0.01;
+let typedMach = null;           // Exact Mach of a typed speed, which the slider can only round
+
+// Typed speeds and the unit they and the readout use, remembered in localStorage
+const SPEED_UNIT_STORAGE_KEY = 'shockwaves.speedUnit';
+let speedUnit = 'mph';
+let speedInput, speedUnitSelect, speedMessage;
+let pulseRateSlider, pulseRateLabel;
+let headingSlider;
+let headingDegrees = 0;
+
+// Wind over the ground, independent of the source: Mach number and the direction it blows
+// toward (degrees counterclockwise from the right)
+let windSlider, windDirectionSlider, windLabel;
+let windSetting = { mach: 0, direction: 0 };
+
+// Standard atmosphere at the chosen altitude, for real-world speed readouts
+let altitudeSlider, altitudeLabel, temperatureInput;
+let atmosphere = null;          // standardAtmosphere() result plus the temperature override (K or null)
+let lengthInput;                // Aircraft length in meters, which sets the boom's loudness and duration
+
+// Sources: sliders, path and profile controls edit the selected one
+let selectedSource;
+let draggingSource = null;
 
 // State
 let paused = false;
 let movingSourceMode = false;
 
 // UI elements
-let pauseButton, resetButton, modeButton;
-let presetButtons = [];
+let pauseButton, resetButton, modeButton, dopplerButton, removeSourceButton;
+
+// Aircraft presets, editable and kept in localStorage
+let presets = [];
+let selectedPresetName = '';
+let presetButtonGroup, presetInfo, presetMessage;
 
 // Sound barrier effect
 let barrierFlash = 0;
 
+// Rendering: 'rings' (Doppler-colored wavefronts) or the overpressure field with
+// Gaussian ('pressure') or N-wave ('nwave') pulses
+let renderMode = 'rings';
+let viewButton;
+let pressureImage = null;
+
 // Audio
 let audioContext = null;
 let audioEnabled = false;
 let audioButton;
+let audioOutput = null;         // Gain node every sound goes through, so recordings can tap it
+
+// 'pings' plays a short tone per wave crossing; 'continuous' a steady tone per source that
+// glides with the Doppler shift the listener hears, louder when near and panned to its side
+let audioStyle = 'pings';
+let audioStyleButton;
+let continuousVoices = new Map();   // Source id -> {oscillators, gains, panner}, two tones for the two arrivals inside a cone
+const OBSERVER_TONE = 400;          // Hz heard with no Doppler shift
+const BOOM_FULL_SCALE = 100;        // Pa of ground overpressure played at full volume
+
+// Recording to WebM (MediaRecorder) or animated GIF (p5 saveGif)
+let recorder = new CanvasRecorder();
+let recordButton, recordFormatSelect, recordSecondsInput, recordAudioCheckbox, recordMessage;
+let recordingAudio = null;        // MediaStreamAudioDestinationNode while recording with sound
+let soundBeforeRecording = false; // Whether sound was on before recording with sound
+let recordingGif = false;
+
+// Audio clips: the simulation re-run from the frame shown through an OfflineAudioContext
+let audioExportSecondsInput, audioExportButton, audioExportMessage;
+let renderingAudio = false;
+const AUDIO_EXPORT_SLICE_MS = 30;   // Replay time per slice before the page gets a turn
+
+// Every emission and crossing of the current run, for CSV/JSON export
+let dataLogger = new DataLogger();
+let logCountLabel;
+
+// Settings mirrored into the URL hash so the page can be shared as a link
+let sharedHash = '';
+let copyLinkButton;
+
+// Named scenarios: the shared settings plus a note, kept in localStorage or JSON files
+let scenarios = [];
+let scenarioSelect, scenarioNote, scenarioMessage, scenarioFileInput;
+
+// Guided lessons: the built-in ones plus any imported this visit
+let lessons = [];
+let lessonRunner = null;
+let lessonSelect, lessonFileInput, lessonMessage;
+let lessonPanel, lessonStepLabel, lessonInstruction, lessonHints, lessonFeedback, lessonHintButton;
+
+// Flight profile (Mach vs time) controls
+let profileSelect, rampFromInput, rampToInput, rampSecondsInput, keyframeInput;
+let rampGroup, profileMessage;
+
+// Stratified medium: 'Uniform', 'Lapse' (standard atmosphere around the altitude) or 'Keyframes'
+let mediumSelect, mediumKeyframeInput, mediumMessage;
+
+// Reflecting boundaries (ground, walls and drawn segments), all with the slider's reflection
+let reflectionSlider, reflectionLabel, boundaryDrawButton;
+let reflection = 1;
+let boundaryDrawMode = false;   // Dragging on the canvas lays a segment instead of a path
+let drawnBoundary = null;       // Segment being drawn
+let draggingEnd = null;         // {boundary, end: 1 or 2} while an end point is dragged
+
+// Flight path ('straight', 'circle' or 'draw' for a user-drawn polyline)
+let pathMode = 'straight';
+let pathButton;
+
+// On-canvas measuring: 'none', 'ruler' or 'protractor'
+let measureTool = 'none';
+let measureButton;
+let measurement = null;         // Ruler {a, b} or protractor {vertex, a, b} as {x, y}; b is null until placed
+let draggingHandle = null;      // Point of the measurement being dragged
+let drawnPath = null;           // Points being drawn while dragging in draw mode
+
+// Rewind: a snapshot of every recent frame with its scope sample, {state, pressure}
+let timeline = new Timeline();
+let timelineSlider, timelineLabel;
+
+// Simulated time per real second, for slow motion (0.1) up to fast forward (4)
+let timeScaleSlider, timeScaleLabel;
 
 // Observer point
-let observerX, observerY;
-let draggingObserver = false;
-let observerFlash = 0;
-let observerWaveHits = [];      // Timestamps of wave arrivals
-let observedFrequency = 0;
+let draggingObserver = null;
+let listener;                   // Observer whose arrivals are played as sound
+let observerFlashes = new Map(); // Observer id -> flash strength
+
+// Oscilloscope strip beneath the canvas: pressure at the listener over the last few seconds
+const SCOPE_SECONDS = 4;
+let scope;                      // p5.Graphics the trace is drawn into
+let scopeSamples = [];          // Summed arrival amplitude per simulated frame, newest last
+
+// Observer comparison table beneath the canvas
+let observerTable;
+let observerRows = [];
+let observerTableKey = '';
 let sonicBoomFlash = 0;
 
 // Help overlay
 let showHelp = false;
 
-// Speed of sound at sea level (for real-world display)
-const SPEED_OF_SOUND_MPH = 767;
-const SPEED_OF_SOUND_KMH = 1235;
-
 // Responsive scaling
 let isMobile = false;
 let scaleFactor = 1;
@@ -80,8 +231,18 @@ function setup() {
     let canvas = createCanvas(size.w, size.h);
     canvas.parent('container');
 
+    // Fixed resolution; CSS stretches it to the canvas width when the window resizes
+    scope = createGraphics(900, 90);
+    scope.parent('container');
+    scope.style('display', 'block');
+    scope.style('margin', '4px auto 0');
+    scope.style('width', `${size.w}px`);
+    scope.style('height', `${size.w / 10}px`);
+
     updateScaling();
-    initializePositions();
+    simulation = new Simulation({ width, height, mach });
+    selectedSource = simulation.lead;
+    listener = simulation.observer;
 
     // Create controls container
     let controls = createDiv('');
@@ -99,21 +260,123 @@ function setup() {
     machGroup.style('text-align', 'center');
 
     createSpan('Mach Number: ').style('color', '#eee').parent(machGroup);
-    machSlider = createSlider(0, 3, 0.5, 0.05);
+    machSlider = createSlider(0, MAX_SLIDER_MACH, 0.5, MACH_STEP);
     machSlider.parent(machGroup);
     machSlider.style('width', '200px');
     machSlider.style('vertical-align', 'middle');
 
+    // Or type a speed, converted to Mach in the air at the chosen altitude
+    let speedRow = createDiv('');
+    speedRow.parent(machGroup);
+    speedRow.style('margin-top', '4px');
+    speedRow.style('font-size', '12px');
+    speedRow.style('color', '#aaa');
+
+    speedInput = createInput('');
+    speedInput.parent(speedRow);
+    speedInput.attribute('placeholder', 'Speed, e.g. 1,350 knots');
+    speedInput.attribute('title', 'Type a speed and press Enter; without a unit it is read in the chosen one');
+    speedInput.changed(applyTypedSpeed);
+    styleInput(speedInput, '150px');
+
+    speedUnitSelect = createSelect();
+    speedUnitSelect.parent(speedRow);
+    for (let [unit, label] of Object.entries(SPEED_UNITS)) {
+        speedUnitSelect.option(label, unit);
+    }
+    try {
+        let stored = localStorage.getItem(SPEED_UNIT_STORAGE_KEY);
+        if (Object.hasOwn(SPEED_UNITS, stored)) speedUnit = stored;
+    } catch {
+        // Storage blocked: start in mph each visit
+    }
+    speedUnitSelect.selected(speedUnit);
+    speedUnitSelect.changed(changeSpeedUnit);
+    styleInput(speedUnitSelect, 'auto');
+
+    speedMessage = createSpan('');
+    speedMessage.parent(speedRow);
+    speedMessage.style('color', '#ff8080');
+    speedMessage.style('margin-left', '6px');
+
     // Emission rate slider group
     let emissionGroup = createDiv('');
     emissionGroup.parent(controls);
     emissionGroup.style('text-align', 'center');
 
     createSpan('Pulse Rate: ').style('color', '#eee').parent(emissionGroup);
-    emissionSlider = createSlider(5, 60, 20, 5);
-    emissionSlider.parent(emissionGroup);
-    emissionSlider.style('width', '150px');
-    emissionSlider.style('vertical-align', 'middle');
+    pulseRateSlider = createSlider(1, 12, 3, 0.5);
+    pulseRateSlider.parent(emissionGroup);
+    pulseRateSlider.style('width', '150px');
+    pulseRateSlider.style('vertical-align', 'middle');
+    pulseRateLabel = createSpan('');
+    pulseRateLabel.parent(emissionGroup);
+    pulseRateLabel.style('color', '#aaa');
+    pulseRateLabel.style('font-size', '12px');
+    pulseRateLabel.style('margin', '0 6px');
+
+    // Heading slider group (degrees counterclockwise from the right, like a protractor)
+    let headingGroup = createDiv('');
+    headingGroup.parent(controls);
+    headingGroup.style('text-align', 'center');
+
+    createSpan('Heading: ').style('color', '#eee').parent(headingGroup);
+    headingSlider = createSlider(0, 345, 0, 15);
+    headingSlider.parent(headingGroup);
+    headingSlider.style('width', '150px');
+    headingSlider.style('vertical-align', 'middle');
+
+    // Wind group: speed and direction, added to either mode
+    let windGroup = createDiv('');
+    windGroup.parent(controls);
+    windGroup.style('text-align', 'center');
+
+    createSpan('Wind: ').style('color', '#eee').parent(windGroup);
+    windSlider = createSlider(0, 0.5, 0, 0.05);
+    windSlider.parent(windGroup);
+    windSlider.style('width', '100px');
+    windSlider.style('vertical-align', 'middle');
+    createSpan(' toward ').style('color', '#aaa').style('font-size', '12px').parent(windGroup);
+    windDirectionSlider = createSlider(0, 345, 0, 15);
+    windDirectionSlider.parent(windGroup);
+    windDirectionSlider.style('width', '100px');
+    windDirectionSlider.style('vertical-align', 'middle');
+    windLabel = createSpan('calm');
+    windLabel.parent(windGroup);
+    windLabel.style('color', '#aaa');
+    windLabel.style('font-size', '12px');
+    windLabel.style('margin', '0 6px');
+
+    // Altitude (ISA) and optional temperature override for the air the source flies through
+    let altitudeGroup = createDiv('');
+    altitudeGroup.parent(controls);
+    altitudeGroup.style('text-align', 'center');
+
+    createSpan('Altitude: ').style('color', '#eee').parent(altitudeGroup);
+    altitudeSlider = createSlider(0, 30000, 0, 1);
+    altitudeSlider.parent(altitudeGroup);
+    altitudeSlider.style('width', '150px');
+    altitudeSlider.style('vertical-align', 'middle');
+    altitudeLabel = createSpan('');
+    altitudeLabel.parent(altitudeGroup);
+    altitudeLabel.style('color', '#aaa');
+    altitudeLabel.style('font-size', '12px');
+    altitudeLabel.style('margin', '0 6px');
+
+    temperatureInput = createInput('', 'number');
+    temperatureInput.parent(altitudeGroup);
+    temperatureInput.attribute('placeholder', 'ISA');
+    temperatureInput.attribute('title', 'Air temperature in °C; leave empty for the standard atmosphere');
+    styleInput(temperatureInput, '55px');
+    createSpan(' °C').style('color', '#aaa').parent(altitudeGroup);
+
+    createSpan(' Length: ').style('color', '#eee').parent(altitudeGroup);
+    lengthInput = createInput(String(SHARED_DEFAULTS.length), 'number');
+    lengthInput.parent(altitudeGroup);
+    lengthInput.attribute('min', '1');
+    lengthInput.attribute('title', 'Aircraft length in meters; longer aircraft make longer, louder booms');
+    styleInput(lengthInput, '55px');
+    createSpan(' m').style('color', '#aaa').parent(altitudeGroup);
 
     // Buttons row
     let buttonRow = createDiv('');
@@ -139,11 +402,56 @@ function setup() {
     modeButton.mousePressed(toggleMode);
     styleButton(modeButton);
 
+    pathButton = createButton('Path: Straight');
+    pathButton.parent(buttonRow);
+    pathButton.mousePressed(cyclePath);
+    styleButton(pathButton);
+
+    measureButton = createButton('Measure: Off');
+    measureButton.parent(buttonRow);
+    measureButton.mousePressed(cycleMeasureTool);
+    styleButton(measureButton);
+
+    viewButton = createButton('View: Rings');
+    viewButton.parent(buttonRow);
+    viewButton.mousePressed(cycleView);
+    styleButton(viewButton);
+
+    dopplerButton = createButton('Doppler: Exact');
+    dopplerButton.parent(buttonRow);
+    dopplerButton.mousePressed(toggleDopplerModel);
+    styleButton(dopplerButton);
+
+    let addSourceButton = createButton('+ Source');
+    addSourceButton.parent(buttonRow);
+    addSourceButton.mousePressed(addSource);
+    styleButton(addSourceButton);
+
+    removeSourceButton = createButton('− Source');
+    removeSourceButton.parent(buttonRow);
+    removeSourceButton.mousePressed(removeSelectedSource);
+    styleButton(removeSourceButton);
+
+    let addObserverButton = createButton('+ Observer');
+    addObserverButton.parent(buttonRow);
+    addObserverButton.mousePressed(addObserver);
+    styleButton(addObserverButton);
+
     audioButton = createButton('Sound: Off');
     audioButton.parent(buttonRow);
     audioButton.mousePressed(toggleAudio);
     styleButton(audioButton);
 
+    audioStyleButton = createButton('Tone: Pings');
+    audioStyleButton.parent(buttonRow);
+    audioStyleButton.mousePressed(toggleAudioStyle);
+    styleButton(audioStyleButton);
+
+    copyLinkButton = createButton('Copy link');
+    copyLinkButton.parent(buttonRow);
+    copyLinkButton.mousePressed(copyLink);
+    styleButton(copyLinkButton);
+
     let helpButton = createButton('?');
     helpButton.parent(buttonRow);
     helpButton.mousePressed(toggleHelp);
@@ -151,6 +459,48 @@ function setup() {
     helpButton.style('font-weight', 'bold');
     helpButton.style('width', '36px');
 
+    // Timeline row: scrub back through the last few seconds, or step a frame at a time
+    let timelineRow = createDiv('');
+    timelineRow.parent('container');
+    timelineRow.style('margin-top', '10px');
+    timelineRow.style('display', 'flex');
+    timelineRow.style('gap', '8px');
+    timelineRow.style('justify-content', 'center');
+    timelineRow.style('align-items', 'center');
+    timelineRow.style('color', '#aaa');
+    timelineRow.style('font-size', '12px');
+
+    createSpan('Timeline: ').style('color', '#aaa').parent(timelineRow);
+
+    let stepBackButton = createButton('◀');
+    stepBackButton.parent(timelineRow);
+    stepBackButton.mousePressed(stepBack);
+    stepBackButton.attribute('title', 'Back one frame (,)');
+    styleButton(stepBackButton, true);
+
+    timelineSlider = createSlider(0, 0, 0, 1);
+    timelineSlider.parent(timelineRow);
+    timelineSlider.style('width', '300px');
+    timelineSlider.input(scrubTimeline);
+
+    let stepForwardButton = createButton('▶');
+    stepForwardButton.parent(timelineRow);
+    stepForwardButton.mousePressed(stepForward);
+    stepForwardButton.attribute('title', 'Forward one frame (.)');
+    styleButton(stepForwardButton, true);
+
+    timelineLabel = createSpan('');
+    timelineLabel.parent(timelineRow);
+    timelineLabel.style('min-width', '150px');
+
+    createSpan('Speed').parent(timelineRow);
+    timeScaleSlider = createSlider(0.1, 4, 1, 0.1);
+    timeScaleSlider.parent(timelineRow);
+    timeScaleSlider.style('width', '100px');
+    timeScaleSlider.attribute('title', 'Slow motion below 1×, fast forward above');
+    timeScaleLabel = createSpan('1.0×');
+    timeScaleLabel.parent(timelineRow);
+
     // Presets row
     let presetRow = createDiv('');
     presetRow.parent('container');
@@ -160,24 +510,439 @@ function setup() {
     presetRow.style('justify-content', 'center');
     presetRow.style('flex-wrap', 'wrap');
 
-    createSpan('Presets: ').style('color', '#aaa').style('align-self', 'center').parent(presetRow);
+    presetRow.style('align-items', 'center');
 
-    let presets = [
-        { name: 'Subsonic Jet', mach: 0.85 },
-        { name: 'Sound Barrier', mach: 1.0 },
-        { name: 'Supersonic', mach: 1.5 },
-        { name: 'Concorde', mach: 2.04 },
-        { name: 'SR-71', mach: 2.8 }
-    ];
+    createSpan('Presets: ').style('color', '#aaa').parent(presetRow);
 
-    for (let preset of presets) {
-        let btn = createButton(preset.name);
+    presetButtonGroup = createSpan('');
+    presetButtonGroup.parent(presetRow);
+    presetButtonGroup.style('display', 'contents');
+
+    for (let [label, action] of [['+ Add…', addPreset], ['Edit…', editPreset], ['Delete', deletePreset],
+        ['Defaults', restoreDefaultPresets]]) {
+        let btn = createButton(label);
         btn.parent(presetRow);
-        btn.mousePressed(() => {
-            machSlider.value(preset.mach);
-        });
+        btn.mousePressed(action);
+        styleButton(btn, true);
+        btn.style('background', '#2a2a4a');
+    }
+
+    // Description of the picked preset, also its button's tooltip
+    let presetInfoRow = createDiv('');
+    presetInfoRow.parent('container');
+    presetInfoRow.style('margin-top', '4px');
+    presetInfoRow.style('text-align', 'center');
+    presetInfoRow.style('font-size', '12px');
+
+    presetInfo = createSpan('');
+    presetInfo.parent(presetInfoRow);
+    presetInfo.style('color', '#aaa');
+    presetInfo.style('font-style', 'italic');
+
+    presetMessage = createSpan('');
+    presetMessage.parent(presetInfoRow);
+    presetMessage.style('color', '#ff8080');
+    presetMessage.style('margin-left', '8px');
+
+    try {
+        presets = loadStoredPresets(localStorage);
+    } catch {
+        presets = structuredClone(DEFAULT_PRESETS);
+        presetMessage.html('Preset changes will not be saved in this browser');
+    }
+    refreshPresetButtons();
+
+    // Scenario row, beneath the presets
+    let scenarioRow = createDiv('');
+    scenarioRow.parent('container');
+    scenarioRow.style('margin-top', '10px');
+    scenarioRow.style('display', 'flex');
+    scenarioRow.style('gap', '8px');
+    scenarioRow.style('justify-content', 'center');
+    scenarioRow.style('align-items', 'center');
+    scenarioRow.style('flex-wrap', 'wrap');
+    scenarioRow.style('color', '#aaa');
+    scenarioRow.style('font-size', '12px');
+
+    createSpan('Scenarios: ').style('color', '#aaa').parent(scenarioRow);
+
+    scenarioSelect = createSelect();
+    scenarioSelect.parent(scenarioRow);
+    scenarioSelect.changed(loadSelectedScenario);
+    styleInput(scenarioSelect, 'auto');
+
+    for (let [label, action] of [['Save…', saveScenario], ['Delete', deleteScenario],
+        ['Export', exportScenario], ['Import', () => scenarioFileInput.elt.click()]]) {
+        let btn = createButton(label);
+        btn.parent(scenarioRow);
+        btn.mousePressed(action);
+        styleButton(btn, true);
+    }
+
+    // Hidden; the Import button opens it
+    scenarioFileInput = createFileInput(importScenario);
+    scenarioFileInput.parent(scenarioRow);
+    scenarioFileInput.attribute('accept', '.json,application/json');
+    scenarioFileInput.style('display', 'none');
+
+    scenarioNote = createSpan('');
+    scenarioNote.parent(scenarioRow);
+    scenarioNote.style('font-style', 'italic');
+
+    scenarioMessage = createSpan('');
+    scenarioMessage.parent(scenarioRow);
+    scenarioMessage.style('color', '#ff8080');
+
+    try {
+        scenarios = loadStoredScenarios(localStorage);
+    } catch {
+        scenarioMessage.html('Saved scenarios are unavailable in this browser');
+    }
+    refreshScenarioPicker('');
+
+    // Lesson row
+    let lessonRow = createDiv('');
+    lessonRow.parent('container');
+    lessonRow.style('margin-top', '10px');
+    lessonRow.style('display', 'flex');
+    lessonRow.style('gap', '8px');
+    lessonRow.style('justify-content', 'center');
+    lessonRow.style('align-items', 'center');
+    lessonRow.style('flex-wrap', 'wrap');
+    lessonRow.style('color', '#aaa');
+    lessonRow.style('font-size', '12px');
+
+    createSpan('Lessons: ').style('color', '#aaa').parent(lessonRow);
+
+    lessonSelect = createSelect();
+    lessonSelect.parent(lessonRow);
+    styleInput(lessonSelect, 'auto');
+
+    for (let [label, action] of [['Start', startSelectedLesson], ['Import', () => lessonFileInput.elt.click()]]) {
+        let btn = createButton(label);
+        btn.parent(lessonRow);
+        btn.mousePressed(action);
         styleButton(btn, true);
     }
+
+    // Hidden; the Import button opens it
+    lessonFileInput = createFileInput(importLesson);
+    lessonFileInput.parent(lessonRow);
+    lessonFileInput.attribute('accept', '.json,application/json');
+    lessonFileInput.style('display', 'none');
+
+    lessonMessage = createSpan('');
+    lessonMessage.parent(lessonRow);
+    lessonMessage.style('color', '#ff8080');
+
+    // Current step of a running lesson
+    lessonPanel = createDiv('');
+    lessonPanel.parent('container');
+    lessonPanel.style('margin', '10px auto 0');
+    lessonPanel.style('max-width', '640px');
+    lessonPanel.style('padding', '10px 14px');
+    lessonPanel.style('background', '#2a2a4a');
+    lessonPanel.style('border-radius', '6px');
+    lessonPanel.style('color', '#eee');
+    lessonPanel.style('font-size', '14px');
+    lessonPanel.style('display', 'none');
+
+    lessonStepLabel = createDiv('');
+    lessonStepLabel.parent(lessonPanel);
+    lessonStepLabel.style('color', '#aaa');
+    lessonStepLabel.style('font-size', '12px');
+
+    lessonInstruction = createDiv('');
+    lessonInstruction.parent(lessonPanel);
+    lessonInstruction.style('margin', '4px 0');
+
+    lessonHints = createDiv('');
+    lessonHints.parent(lessonPanel);
+    lessonHints.style('color', '#ffd080');
+    lessonHints.style('font-size', '12px');
+
+    lessonFeedback = createDiv('');
+    lessonFeedback.parent(lessonPanel);
+    lessonFeedback.style('color', '#80ff80');
+    lessonFeedback.style('font-size', '12px');
+    lessonFeedback.style('margin-top', '4px');
+
+    let lessonButtons = createDiv('');
+    lessonButtons.parent(lessonPanel);
+    lessonButtons.style('margin-top', '6px');
+    lessonButtons.style('display', 'flex');
+    lessonButtons.style('gap', '8px');
+
+    lessonHintButton = createButton('Hint');
+    lessonHintButton.parent(lessonButtons);
+    lessonHintButton.mousePressed(showLessonHint);
+    styleButton(lessonHintButton, true);
+
+    for (let [label, action] of [['Skip step', skipLessonStep], ['Stop lesson', stopLesson]]) {
+        let btn = createButton(label);
+        btn.parent(lessonButtons);
+        btn.mousePressed(action);
+        styleButton(btn, true);
+    }
+
+    lessons = BUILT_IN_LESSONS.map(validateLesson);
+    refreshLessonPicker(lessons[0].title);
+
+    // Flight profile row
+    let profileRow = createDiv('');
+    profileRow.parent('container');
+    profileRow.style('margin-top', '10px');
+    profileRow.style('display', 'flex');
+    profileRow.style('gap', '8px');
+    profileRow.style('justify-content', 'center');
+    profileRow.style('align-items', 'center');
+    profileRow.style('flex-wrap', 'wrap');
+    profileRow.style('color', '#aaa');
+    profileRow.style('font-size', '12px');
+
+    createSpan('Profile: ').style('color', '#aaa').parent(profileRow);
+
+    profileSelect = createSelect();
+    profileSelect.parent(profileRow);
+    profileSelect.option('Constant');
+    profileSelect.option('Ramp');
+    profileSelect.option('Keyframes');
+    profileSelect.changed(updateProfileInputs);
+    styleInput(profileSelect, 'auto');
+
+    // Constant acceleration: Mach A to Mach B over T seconds
+    rampGroup = createSpan('');
+    rampGroup.parent(profileRow);
+    rampFromInput = createInput('0.8', 'number');
+    rampFromInput.parent(rampGroup);
+    styleInput(rampFromInput, '50px');
+    createSpan(' → ').parent(rampGroup);
+    rampToInput = createInput('1.6', 'number');
+    rampToInput.parent(rampGroup);
+    styleInput(rampToInput, '50px');
+    createSpan(' over ').parent(rampGroup);
+    rampSecondsInput = createInput('4', 'number');
+    rampSecondsInput.parent(rampGroup);
+    styleInput(rampSecondsInput, '45px');
+    createSpan(' s').parent(rampGroup);
+
+    // Piecewise linear: seconds:mach pairs
+    keyframeInput = createInput('0:0.8, 3:1.4, 6:1.4');
+    keyframeInput.parent(profileRow);
+    keyframeInput.attribute('title', 'Comma-separated seconds:mach keyframes');
+    styleInput(keyframeInput, '160px');
+
+    let applyButton = createButton('Apply');
+    applyButton.parent(profileRow);
+    applyButton.mousePressed(applyFlightProfile);
+    styleButton(applyButton, true);
+
+    profileMessage = createSpan('');
+    profileMessage.parent(profileRow);
+    profileMessage.style('color', '#ff8080');
+
+    updateProfileInputs();
+
+    // Medium row: vertical sound-speed gradient that refracts the wavefronts
+    let mediumRow = createDiv('');
+    mediumRow.parent('container');
+    mediumRow.style('margin-top', '10px');
+    mediumRow.style('display', 'flex');
+    mediumRow.style('gap', '8px');
+    mediumRow.style('justify-content', 'center');
+    mediumRow.style('align-items', 'center');
+    mediumRow.style('flex-wrap', 'wrap');
+    mediumRow.style('color', '#aaa');
+    mediumRow.style('font-size', '12px');
+
+    createSpan('Medium: ').style('color', '#aaa').parent(mediumRow);
+
+    mediumSelect = createSelect();
+    mediumSelect.parent(mediumRow);
+    mediumSelect.option('Uniform');
+    mediumSelect.option('Lapse');
+    mediumSelect.option('Keyframes');
+    mediumSelect.attribute('title', 'Lapse follows the standard atmosphere from the ground to twice the altitude');
+    mediumSelect.changed(updateMediumInputs);
+    styleInput(mediumSelect, 'auto');
+
+    // Piecewise linear: height:speed pairs, height 0 (ground) to 1 (top)
+    mediumKeyframeInput = createInput('0:1.15, 0.5:1, 1:0.95');
+    mediumKeyframeInput.parent(mediumRow);
+    mediumKeyframeInput.attribute('title', 'Comma-separated height:speed keyframes, height 0-1 from the ground up');
+    styleInput(mediumKeyframeInput, '160px');
+
+    let applyMediumButton = createButton('Apply');
+    applyMediumButton.parent(mediumRow);
+    applyMediumButton.mousePressed(applyMedium);
+    styleButton(applyMediumButton, true);
+
+    mediumMessage = createSpan('');
+    mediumMessage.parent(mediumRow);
+    mediumMessage.style('color', '#ff8080');
+
+    updateMediumInputs();
+
+    // Boundaries row: reflecting surfaces traced by image sources
+    let boundaryRow = createDiv('');
+    boundaryRow.parent('container');
+    boundaryRow.style('margin-top', '10px');
+    boundaryRow.style('display', 'flex');
+    boundaryRow.style('gap', '8px');
+    boundaryRow.style('justify-content', 'center');
+    boundaryRow.style('align-items', 'center');
+    boundaryRow.style('flex-wrap', 'wrap');
+    boundaryRow.style('color', '#aaa');
+    boundaryRow.style('font-size', '12px');
+
+    createSpan('Boundaries: ').style('color', '#aaa').parent(boundaryRow);
+
+    for (let [label, action] of [['+ Ground', addGround], ['+ Wall', addWall]]) {
+        let btn = createButton(label);
+        btn.parent(boundaryRow);
+        btn.mousePressed(action);
+        styleButton(btn, true);
+    }
+
+    boundaryDrawButton = createButton('Draw segment');
+    boundaryDrawButton.parent(boundaryRow);
+    boundaryDrawButton.mousePressed(toggleBoundaryDraw);
+    styleButton(boundaryDrawButton, true);
+
+    createSpan('Reflection').parent(boundaryRow);
+    reflectionSlider = createSlider(0, 1, 1, 0.05);
+    reflectionSlider.parent(boundaryRow);
+    reflectionSlider.style('width', '100px');
+    reflectionLabel = createSpan('1.00');
+    reflectionLabel.parent(boundaryRow);
+
+    let clearBoundariesButton = createButton('Clear');
+    clearBoundariesButton.parent(boundaryRow);
+    clearBoundariesButton.mousePressed(clearBoundaries);
+    styleButton(clearBoundariesButton, true);
+
+    // Recording row
+    let recordRow = createDiv('');
+    recordRow.parent('container');
+    recordRow.style('margin-top', '10px');
+    recordRow.style('display', 'flex');
+    recordRow.style('gap', '8px');
+    recordRow.style('justify-content', 'center');
+    recordRow.style('align-items', 'center');
+    recordRow.style('flex-wrap', 'wrap');
+    recordRow.style('color', '#aaa');
+    recordRow.style('font-size', '12px');
+
+    createSpan('Record: ').style('color', '#aaa').parent(recordRow);
+
+    recordFormatSelect = createSelect();
+    recordFormatSelect.parent(recordRow);
+    recordFormatSelect.option('WebM');
+    recordFormatSelect.option('GIF');
+    // Fall back to GIF where MediaRecorder is missing
+    if (!recorder.supported) {
+        recordFormatSelect.selected('GIF');
+        recordFormatSelect.disable('WebM');
+    }
+    styleInput(recordFormatSelect, 'auto');
+
+    createSpan('max').parent(recordRow);
+    recordSecondsInput = createInput('30', 'number');
+    recordSecondsInput.parent(recordRow);
+    recordSecondsInput.attribute('min', '1');
+    recordSecondsInput.attribute('max', String(MAX_RECORDING_SECONDS));
+    styleInput(recordSecondsInput, '50px');
+    createSpan('s').parent(recordRow);
+
+    recordAudioCheckbox = createCheckbox(' with sound', false);
+    recordAudioCheckbox.parent(recordRow);
+    recordAudioCheckbox.attribute('title', 'WebM only: include the simulation sounds');
+
+    recordButton = createButton('● Record');
+    recordButton.parent(recordRow);
+    recordButton.mousePressed(toggleRecording);
+    styleButton(recordButton, true);
+
+    recordMessage = createSpan('');
+    recordMessage.parent(recordRow);
+    recordMessage.style('color', '#ff8080');
+
+    // Audio export row
+    let audioExportRow = createDiv('');
+    audioExportRow.parent('container');
+    audioExportRow.style('margin-top', '10px');
+    audioExportRow.style('display', 'flex');
+    audioExportRow.style('gap', '8px');
+    audioExportRow.style('justify-content', 'center');
+    audioExportRow.style('align-items', 'center');
+    audioExportRow.style('flex-wrap', 'wrap');
+    audioExportRow.style('color', '#aaa');
+    audioExportRow.style('font-size', '12px');
+
+    createSpan('Audio clip: ').style('color', '#aaa').parent(audioExportRow);
+    audioExportSecondsInput = createInput('10', 'number');
+    audioExportSecondsInput.parent(audioExportRow);
+    audioExportSecondsInput.attribute('min', '1');
+    audioExportSecondsInput.attribute('max', String(MAX_AUDIO_EXPORT_SECONDS));
+    styleInput(audioExportSecondsInput, '50px');
+    createSpan('s from the frame shown').parent(audioExportRow);
+
+    audioExportButton = createButton('Export audio');
+    audioExportButton.parent(audioExportRow);
+    audioExportButton.mousePressed(exportAudio);
+    audioExportButton.attribute('title', 'Download what the observer you are listening to hears as a WAV file');
+    styleButton(audioExportButton, true);
+
+    audioExportMessage = createSpan('');
+    audioExportMessage.parent(audioExportRow);
+    audioExportMessage.style('color', '#ff8080');
+
+    // Data log row
+    let logRow = createDiv('');
+    logRow.parent('container');
+    logRow.style('margin-top', '10px');
+    logRow.style('display', 'flex');
+    logRow.style('gap', '8px');
+    logRow.style('justify-content', 'center');
+    logRow.style('align-items', 'center');
+    logRow.style('flex-wrap', 'wrap');
+    logRow.style('color', '#aaa');
+    logRow.style('font-size', '12px');
+
+    createSpan('Data log: ').style('color', '#aaa').parent(logRow);
+    logCountLabel = createSpan('0 events');
+    logCountLabel.parent(logRow);
+
+    let csvButton = createButton('Export CSV');
+    csvButton.parent(logRow);
+    csvButton.mousePressed(exportCSV);
+    styleButton(csvButton, true);
+
+    let jsonButton = createButton('Export JSON');
+    jsonButton.parent(logRow);
+    jsonButton.mousePressed(exportJSON);
+    styleButton(jsonButton, true);
+
+    let clearLogButton = createButton('Clear');
+    clearLogButton.parent(logRow);
+    clearLogButton.mousePressed(() => dataLogger.clear());
+    styleButton(clearLogButton, true);
+
+    // Observer comparison table
+    observerTable = createElement('table');
+    observerTable.parent('container');
+    observerTable.style('margin', '12px auto 0');
+    observerTable.style('border-collapse', 'collapse');
+    observerTable.style('color', '#ccc');
+    observerTable.style('font-size', '12px');
+    updateObserverTable();
+
+    updateAtmosphere();
+    restartTimeline();
+
+    // Open on the settings in the link, if any, and follow links pasted into the address bar
+    applySharedState(decodePermalink(location.hash));
+    window.addEventListener('hashchange', () => applySharedState(decodePermalink(location.hash)));
 }
 
 function updateScaling() {
@@ -190,35 +955,23 @@ function scaled(value) {
     return value * scaleFactor;
 }
 
-function initializePositions() {
-    sourceStartX = width * 0.17; // ~150/900
-    sourceX = sourceStartX;
-    sourceY = height / 2;
-
-    // Initialize observer position (right side of canvas)
-    observerX = width - (width * 0.22); // ~200/900
-    observerY = height / 2;
-}
-
 function windowResized() {
     let size = getCanvasSize();
     resizeCanvas(size.w, size.h);
     updateScaling();
-
-    // Scale positions proportionally
-    let oldSourceStartX = sourceStartX;
-    initializePositions();
-
-    // Keep source at same relative position if in wind mode
-    if (!movingSourceMode) {
-        sourceX = sourceStartX;
-    } else {
-        sourceX = (sourceX / oldSourceStartX) * sourceStartX;
-    }
-
-    // Keep observer at same relative position
-    observerX = constrain(observerX * scaleFactor, 20, width - 20);
-    observerY = constrain(observerY, 20, height - 20);
+    scope.style('width', `${size.w}px`);
+    scope.style('height', `${size.w / 10}px`);
+
+    // Scale source, pulses and observer proportionally
+    simulation.resize(width, height);
+    simulation.setObserver(
+        constrain(simulation.observer.x, 20, width - 20),
+        constrain(simulation.observer.y, 20, height - 20)
+    );
+
+    // Kept frames are in the old canvas size
+    restartTimeline();
+    measurement = null;
 }
 
 function styleButton(btn, small = false) {
@@ -231,39 +984,942 @@ function styleButton(btn, small = false) {
     btn.style('font-size', small ? '12px' : '14px');
 }
 
+function styleInput(input, inputWidth) {
+    input.style('background', '#2a2a4a');
+    input.style('color', '#eee');
+    input.style('border', '1px solid #3a3a5a');
+    input.style('padding', '4px 6px');
+    input.style('border-radius', '4px');
+    input.style('font-size', '12px');
+    input.style('width', inputWidth);
+}
+
+function updateProfileInputs() {
+    let choice = profileSelect.value();
+    rampGroup.style('display', choice === 'Ramp' ? 'inline' : 'none');
+    keyframeInput.style('display', choice === 'Keyframes' ? 'inline-block' : 'none');
+}
+
+function applyFlightProfile() {
+    let choice = profileSelect.value();
+    try {
+        let profile = null;
+        if (choice === 'Ramp') {
+            profile = createRampProfile(Number(rampFromInput.value()), Number(rampToInput.value()),
+                Number(rampSecondsInput.value()));
+        } else if (choice === 'Keyframes') {
+            profile = parseFlightProfile(keyframeInput.value());
+        }
+        simulation.setFlightProfile(profile, selectedSource);
+        profileMessage.html('');
+    } catch (error) {
+        profileMessage.html(error.message);
+    }
+}
+
+function updateMediumInputs() {
+    mediumKeyframeInput.style('display', mediumSelect.value() === 'Keyframes' ? 'inline-block' : 'none');
+}
+
+function applyMedium() {
+    let choice = mediumSelect.value();
+    try {
+        let profile = null;
+        if (choice === 'Lapse') {
+            let offset = atmosphere.override === null ? 0 :
+                atmosphere.override - standardAtmosphere(atmosphere.altitude).temperature;
+            profile = createLapseProfile(atmosphere.altitude, offset);
+        } else if (choice === 'Keyframes') {
+            profile = parseSoundSpeedProfile(mediumKeyframeInput.value());
+        }
+        simulation.setSoundSpeedProfile(profile);
+        mediumMessage.html('');
+    } catch (error) {
+        mediumMessage.html(error.message);
+    }
+}
+
+function updateAtmosphere() {
+    let altitude = altitudeSlider.value();
+    let celsius = temperatureInput.value().trim() === '' ? NaN : Number(temperatureInput.value());
+    // Ignore temperatures below absolute zero or not numbers; the standard atmosphere applies
+    let temperature = Number.isFinite(celsius) && celsius > -273.15 ? celsius + 273.15 : null;
+    if (atmosphere && altitude === atmosphere.altitude && temperature === atmosphere.override) return;
+
+    atmosphere = { ...standardAtmosphere(altitude, temperature), override: temperature };
+    altitudeLabel.html(`${round(altitude / METERS_PER_FOOT).toLocaleString()} ft · ` +
+        `a = ${round(atmosphere.speedOfSound)} m/s`);
+
+    // The lapse-rate medium follows the altitude and temperature
+    if (simulation.soundSpeedProfile && mediumSelect.value() === 'Lapse') applyMedium();
+}
+
+function updateWind() {
+    let windMach = windSlider.value();
+    let direction = windDirectionSlider.value();
+    if (windMach === windSetting.mach && direction === windSetting.direction) return;
+
+    windSetting = { mach: windMach, direction };
+    // Canvas y points down, so counterclockwise on screen is a negative angle
+    simulation.setWind(windMach, -radians(direction));
+    windLabel.html(windMach > 0 ? `M ${windMach.toFixed(2)} → ${direction}°` : 'calm');
+}
+
+function addGround() {
+    // Level ground across the canvas, just above the bottom edge
+    let y = height - scaled(40);
+    simulation.addBoundary({ x1: 0, y1: y, x2: width, y2: y, reflection });
+}
+
+function addWall() {
+    // Upright wall ahead of the source, leaving the observer on the near side
+    let x = width * 0.92;
+    simulation.addBoundary({ x1: x, y1: height * 0.1, x2: x, y2: height * 0.9, reflection });
+}
+
+function toggleBoundaryDraw() {
+    boundaryDrawMode = !boundaryDrawMode;
+    boundaryDrawButton.html(boundaryDrawMode ? 'Drawing… (click to stop)' : 'Draw segment');
+}
+
+function clearBoundaries() {
+    for (let boundary of [...simulation.boundaries]) {
+        simulation.removeBoundary(boundary);
+    }
+}
+
+function updateReflection() {
+    let value = reflectionSlider.value();
+    if (value === reflection) return;
+
+    reflection = value;
+    reflectionLabel.html(value.toFixed(2));
+    for (let boundary of simulation.boundaries) {
+        simulation.setBoundary(boundary, { reflection });
+    }
+}
+
+// Mach number of the selected source through the air, which decides the shock
+function airMach() {
+    return simulation.airflow(selectedSource).mach;
+}
+
 function togglePause() {
     paused = !paused;
     pauseButton.html(paused ? 'Play' : 'Pause');
 }
 
 function resetSimulation() {
-    pulses = [];
-    sourceX = sourceStartX;
-    frameCounter = 0;
+    simulation.reset();
+    dataLogger.clear();
     barrierFlash = 0;
+    restartTimeline();
 }
 
 function toggleMode() {
     movingSourceMode = !movingSourceMode;
     modeButton.html(movingSourceMode ? 'Mode: Moving Source' : 'Mode: Wind');
-    resetSimulation();
+    simulation.setMode(movingSourceMode);
+    barrierFlash = 0;
+    restartTimeline();
+}
+
+// Start the timeline over from the current frame, e.g. after a reset
+function restartTimeline() {
+    timeline.clear();
+    let state = simulation.snapshot();
+    timeline.push({ state, pressure: 0 }, snapshotSize(state));
+}
+
+// Show a kept frame: the simulation as it was, its scope trace and its Mach number
+function showFrame(entry) {
+    if (!entry) return;
+    simulation.restore(entry.state);
+    scopeSamples = timeline.recent(SCOPE_SECONDS * 60).map(e => e.pressure);
+    selectSource(selectedSource);
+}
+
+function scrubTimeline() {
+    if (!paused) togglePause();
+    showFrame(timeline.seek(timelineSlider.value()));
+}
+
+function stepBack() {
+    if (!paused) togglePause();
+    if (timeline.cursor > 0) showFrame(timeline.seek(timeline.cursor - 1));
+}
+
+function stepForward() {
+    if (!paused) togglePause();
+    if (timeline.atEnd) {
+        handleStep(simulation.step());
+    } else {
+        showFrame(timeline.seek(timeline.cursor + 1));
+    }
+}
+
+function updateTimeline() {
+    timelineSlider.attribute('max', String(max(0, timeline.length - 1)));
+    timelineSlider.value(timeline.cursor);
+    let behind = timeline.length - 1 - timeline.cursor;
+    timelineLabel.html(`t = ${(simulation.time / 1000).toFixed(2)} s` +
+        (behind > 0 ? ` · ${behind} frame${behind === 1 ? '' : 's'} back` : ''));
+}
+
+function addSource() {
+    // Fly in formation: same settings as the selected source, offset to alternate sides
+    let lead = simulation.lead;
+    let n = simulation.sources.length;
+    let offset = scaled(70) * ceil(n / 2) * (n % 2 === 1 ? 1 : -1);
+    let across = lead.heading + HALF_PI;
+    let source = simulation.addSource({
+        mach: selectedSource.mach,
+        heading: lead.heading,
+        emissionInterval: selectedSource.emissionInterval,
+        start: {
+            x: lead.sourceStart.x + offset * cos(across),
+            y: lead.sourceStart.y + offset * sin(across)
+        }
+    });
+    selectSource(source);
+}
+
+function addObserver() {
+    // Ahead of the source is taken by the first observer; then beside, behind and below
+    let spots = [
+        { x: width * 0.5, y: height * 0.15 },
+        { x: width * 0.08, y: height * 0.5 },
+        { x: width * 0.5, y: height * 0.85 }
+    ];
+    let spot = spots[(simulation.observers.length - 1) % spots.length];
+    simulation.addObserver(spot);
+    updateObserverTable();
+}
+
+function removeObserver(observer) {
+    if (simulation.observers.length === 1) return;
+    simulation.removeObserver(observer);
+    if (listener === observer) listener = simulation.observer;
+    updateObserverTable();
+}
+
+function buildObserverTable() {
+    observerTable.html('');
+    observerRows = [];
+
+    // Reflected arrivals get their own column once there is something to reflect off
+    let echoes = simulation.boundaries.length > 0;
+    let titles = echoes ? ['Observer', 'Waves/sec', 'Echoes/sec', 'Doppler', 'Booms', '']
+        : ['Observer', 'Waves/sec', 'Doppler', 'Booms', ''];
+
+    let header = createElement('tr');
+    header.parent(observerTable);
+    for (let title of titles) {
+        let th = createElement('th', title);
+        th.parent(header);
+        th.style('padding', '4px 10px');
+        th.style('color', '#888');
+        th.style('font-weight', 'normal');
+        th.style('border-bottom', '1px solid #3a3a5a');
+    }
+
+    for (let observer of simulation.observers) {
+        let row = createElement('tr');
+        row.parent(observerTable);
+
+        let cells = [];
+        for (let i = 0; i < titles.length; i++) {
+            let td = createElement('td');
+            td.parent(row);
+            td.style('padding', '4px 10px');
+            td.style('vertical-align', 'top');
+            cells.push(td);
+        }
+
+        let nameInput = createInput(observer.name);
+        nameInput.parent(cells[0]);
+        nameInput.input(() => simulation.setObserverName(nameInput.value(), observer));
+        styleInput(nameInput, '110px');
+
+        if (simulation.observers.length > 1) {
+            let removeButton = createButton('×');
+            removeButton.parent(cells[cells.length - 1]);
+            removeButton.mousePressed(() => removeObserver(observer));
+            styleButton(removeButton, true);
+        }
+
+        let echoCell = echoes ? cells.splice(2, 1)[0] : null;
+        observerRows.push({ observer, row, frequencyCell: cells[1], echoCell, dopplerCell: cells[2], boomCell: cells[3] });
+    }
+}
+
+function updateObserverTable() {
+    // Rebuild only when observers or sources come and go, so name inputs keep focus
+    let key = simulation.observers.map(o => o.id).join(',') + '|' + simulation.sources.map(s => s.id).join(',') +
+        '|' + (simulation.boundaries.length > 0);
+    if (key !== observerTableKey) {
+        observerTableKey = key;
+        buildObserverTable();
+    }
+
+    let formation = simulation.sources.length > 1;
+    for (let { observer, row, frequencyCell, echoCell, dopplerCell, boomCell } of observerRows) {
+        row.style('background', observer === listener ? '#2a2a4a' : 'transparent');
+        frequencyCell.html(observer.observedFrequency.toFixed(1));
+        if (echoCell) echoCell.html(observer.reflectedFrequency.toFixed(1));
+        let { boomCount, reflectedBoomCount } = observer;
+        boomCell.html(reflectedBoomCount > 0 ? `${boomCount} (${reflectedBoomCount} reflected)` : boomCount);
+
+        let lines = [];
+        for (let source of simulation.sources) {
+            let dot = formation ? `<span style="color:${source.color}">●</span> ` : '';
+            for (let { label, rgb } of describeDoppler(simulation.observerDoppler(source, observer))) {
+                lines.push(`${dot}<span style="color:rgb(${rgb.join(',')})">${label}</span>`);
+            }
+        }
+        dopplerCell.html(lines.join('<br>'));
+    }
+}
+
+function removeSelectedSource() {
+    if (simulation.sources.length === 1) return;
+    simulation.removeSource(selectedSource);
+    selectSource(simulation.lead);
+}
+
+function selectSource(source) {
+    // Point the controls at another source without treating it as a Mach change
+    selectedSource = source;
+    mach = previousMach = source.mach;
+    machSlider.value(source.mach);
+    typedMach = source.mach;    // Kept exact until the slider moves
+    pulseRateSlider.value(simulation.pulseRate(source));
+    headingDegrees = (round(-degrees(source.heading) / 15) * 15 % 360 + 360) % 360;
+    headingSlider.value(headingDegrees);
+    pathMode = source.path.type === 'polyline' ? 'draw' : source.path.type;
+    updatePathButton();
+}
+
+function updatePathButton() {
+    pathButton.html({ straight: 'Path: Straight', circle: 'Path: Circle', draw: 'Path: Draw' }[pathMode]);
+}
+
+function cyclePath() {
+    let order = ['straight', 'circle', 'draw'];
+    pathMode = order[(order.indexOf(pathMode) + 1) % order.length];
+    updatePathButton();
+
+    if (pathMode === 'straight') {
+        simulation.setPath({ type: 'straight' }, selectedSource);
+    } else if (pathMode === 'circle') {
+        simulation.setPath({ type: 'circle' }, selectedSource);
+    }
+    // In draw mode the current path stays until a new one is drawn
+
+    // Curved paths only make sense for a moving source
+    if (pathMode !== 'straight' && !movingSourceMode) {
+        toggleMode();
+    }
+}
+
+function cycleMeasureTool() {
+    let order = ['none', 'ruler', 'protractor'];
+    measureTool = order[(order.indexOf(measureTool) + 1) % order.length];
+    measureButton.html({ none: 'Measure: Off', ruler: 'Measure: Ruler', protractor: 'Measure: Protractor' }[measureTool]);
+    measurement = null;
+}
+
+function cycleView() {
+    let order = ['rings', 'pressure', 'nwave'];
+    setView(order[(order.indexOf(renderMode) + 1) % order.length]);
+}
+
+function setView(mode) {
+    renderMode = mode;
+    viewButton.html({ rings: 'View: Rings', pressure: 'View: Pressure', nwave: 'View: N-wave' }[renderMode]);
+}
+
+function toggleDopplerModel() {
+    let simplified = simulation.dopplerModel === 'classical';
+    simulation.setDopplerModel(simplified ? 'simplified' : 'classical');
+    dopplerButton.html(simplified ? 'Doppler: Simple' : 'Doppler: Exact');
 }
 
 function toggleAudio() {
     if (!audioContext) {
         const AudioContextClass = window.AudioContext || window['webkitAudioContext'];
         audioContext = new AudioContextClass();
+        audioOutput = audioContext.createGain();
+        audioOutput.connect(audioContext.destination);
     }
     audioEnabled = !audioEnabled;
     audioButton.html(audioEnabled ? 'Sound: On' : 'Sound: Off');
 }
 
+function toggleAudioStyle() {
+    audioStyle = audioStyle === 'pings' ? 'continuous' : 'pings';
+    audioStyleButton.html(audioStyle === 'pings' ? 'Tone: Pings' : 'Tone: Continuous');
+}
+
+function toggleRecording() {
+    if (recorder.recording) {
+        recorder.stop();
+        return;
+    }
+    if (recordingGif) return;   // A GIF always runs for its full length
+
+    let seconds = constrain(Number(recordSecondsInput.value()) || 30, 1, MAX_RECORDING_SECONDS);
+    recordMessage.html('');
+
+    if (recordFormatSelect.value() === 'GIF') {
+        // p5 captures the next frames itself and downloads the encoded GIF
+        recordingGif = true;
+        recordButton.html('Encoding GIF…');
+        Promise.resolve(saveGif(recordingFileName('gif'), seconds))
+            .catch(err => recordMessage.html(err.message))
+            .finally(() => {
+                recordingGif = false;
+                recordButton.html('● Record');
+            });
+        return;
+    }
+
+    let stream = drawingContext.canvas.captureStream(60);
+    if (recordAudioCheckbox.checked()) {
+        soundBeforeRecording = audioEnabled;
+        if (!audioEnabled) toggleAudio();
+        recordingAudio = audioContext.createMediaStreamDestination();
+        audioOutput.connect(recordingAudio);
+        recordingAudio.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    let done;
+    try {
+        done = recorder.start(stream, { maxSeconds: seconds });
+    } catch (err) {
+        recordMessage.html(err.message);
+        stream.getTracks().forEach(track => track.stop());
+        stopRecordingAudio();
+        return;
+    }
+    recordButton.html('■ Stop 0s');
+    done.then(blob => downloadBlob(blob, recordingFileName(videoFileExtension(blob.type))))
+        .catch(err => recordMessage.html(err.message))
+        .finally(() => {
+            stream.getTracks().forEach(track => track.stop());
+            stopRecordingAudio();
+            recordButton.html('● Record');
+        });
+}
+
+// Unhook the recording from the sound, and turn sound back off if recording turned it on
+function stopRecordingAudio() {
+    if (!recordingAudio) return;
+    recordingAudio.stream.getTracks().forEach(track => track.stop());
+    audioOutput.disconnect(recordingAudio);
+    recordingAudio = null;
+    if (audioEnabled !== soundBeforeRecording) toggleAudio();
+}
+
+function downloadBlob(blob, fileName) {
+    let url = URL.createObjectURL(blob);
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Re-run the simulation from the frame shown, rendering what the listener hears offline with
+// the current tone style, and download it as a WAV file
+function exportAudio() {
+    if (renderingAudio) return;
+    let OfflineContextClass = window.OfflineAudioContext || window['webkitOfflineAudioContext'];
+    if (!OfflineContextClass) {
+        audioExportMessage.html('This browser cannot render audio');
+        return;
+    }
+    let seconds = constrain(Number(audioExportSecondsInput.value()) || 10, 1, MAX_AUDIO_EXPORT_SECONDS);
+    let context = new OfflineContextClass(2, ceil(seconds * WAV_SAMPLE_RATE), WAV_SAMPLE_RATE);
+    let output = context.createGain();
+    output.connect(context.destination);
+    audioExportMessage.html('');
+    renderingAudio = true;
+    audioExportButton.html('Replaying 0%…');
+
+    // Replay from the frame shown a slice at a time, so the page stays responsive; between
+    // slices the live run is put back as it was
+    let replay = timeline.current()?.state ?? simulation.snapshot();
+    let voices = new Map();
+    let steps = round(seconds * 1000 / simulation.frameDuration);
+    let step = 0;
+    let replayed = new Promise((resolve, reject) => {
+        let slice = () => {
+            let live = simulation.snapshot();
+            let pending = simulation.pendingTime;
+            try {
+                simulation.restore(replay);
+                let until = millis() + AUDIO_EXPORT_SLICE_MS;
+                while (step < steps && millis() < until) {
+                    let target = { context, output, time: step * simulation.frameDuration / 1000 };
+                    playStepSounds(simulation.step(), target);
+                    if (audioStyle === 'continuous') updateVoices(target, voices);
+                    step++;
+                }
+                replay = simulation.snapshot();
+            } catch (err) {
+                reject(err);
+                return;
+            } finally {
+                simulation.restore(live);
+                simulation.pendingTime = pending;
+            }
+            if (step < steps) {
+                audioExportButton.html(`Replaying ${floor(100 * step / steps)}%…`);
+                setTimeout(slice, 0);
+            } else {
+                resolve();
+            }
+        };
+        setTimeout(slice, 0);
+    });
+
+    replayed
+        .then(() => {
+            audioExportButton.html('Rendering…');
+            return context.startRendering();
+        })
+        .then(rendered => {
+            let channels = [];
+            for (let i = 0; i < rendered.numberOfChannels; i++) channels.push(rendered.getChannelData(i));
+            let wav = encodeWav(channels, rendered.sampleRate);
+            downloadBlob(new Blob([wav], { type: 'audio/wav' }), recordingFileName('wav'));
+        })
+        .catch(err => audioExportMessage.html(err.message))
+        .finally(() => {
+            renderingAudio = false;
+            audioExportButton.html('Export audio');
+        });
+}
+
+function exportCSV() {
+    downloadBlob(new Blob([dataLogger.toCSV()], { type: 'text/csv' }), recordingFileName('csv'));
+}
+
+function exportJSON() {
+    let json = JSON.stringify(dataLogger.toData(simulation), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), recordingFileName('json'));
+}
+
+// Settings shared in links: the sliders, atmosphere, mode, view, first observer, sound and pause
+function currentSharedState() {
+    return {
+        mach: typedMach ?? machSlider.value(),
+        pulseRate: pulseRateSlider.value(),
+        heading: headingSlider.value(),
+        windMach: windSlider.value(),
+        windHeading: windDirectionSlider.value(),
+        altitude: altitudeSlider.value(),
+        length: aircraftLength(),
+        temperature: atmosphere.override === null ? null : round(atmosphere.override - 273.15, 1),
+        movingSourceMode,
+        view: renderMode,
+        observer: { x: simulation.observer.x / width, y: simulation.observer.y / height },
+        sound: audioEnabled,
+        paused
+    };
+}
+
+// Apply settings from a link; missing ones are left as they are
+function applySharedState(state) {
+    if (Object.keys(state).length === 0) return;
+
+    // The sliders edit the lead source, which sets the wind
+    selectSource(simulation.lead);
+    if (state.mach !== undefined) {
+        machSlider.value(state.mach);
+        typedMach = state.mach;
+    }
+    if (state.pulseRate !== undefined) pulseRateSlider.value(state.pulseRate);
+    if (state.heading !== undefined) headingSlider.value(state.heading);
+    if (state.windMach !== undefined) windSlider.value(state.windMach);
+    if (state.windHeading !== undefined) windDirectionSlider.value(state.windHeading);
+    if (state.altitude !== undefined) altitudeSlider.value(state.altitude);
+    if (state.length !== undefined) lengthInput.value(String(state.length));
+    if (state.temperature !== undefined) {
+        temperatureInput.value(state.temperature === null ? '' : String(state.temperature));
+    }
+    if (state.movingSourceMode !== undefined && state.movingSourceMode !== movingSourceMode) toggleMode();
+    if (state.view !== undefined) setView(state.view);
+    if (state.observer) {
+        simulation.setObserver(state.observer.x * width, state.observer.y * height);
+    }
+    // Browsers hold the sound until the first click or key press (see resumeAudio)
+    if (state.sound !== undefined && state.sound !== audioEnabled) toggleAudio();
+    if (state.paused !== undefined && state.paused !== paused) togglePause();
+}
+
+// Keep the URL hash in step with the settings, without adding history entries
+function updatePermalink() {
+    let hash = encodePermalink(currentSharedState());
+    if (hash === sharedHash) return;
+    sharedHash = hash;
+    history.replaceState(null, '', '#' + hash);
+}
+
+function copyLink() {
+    updatePermalink();
+    // The clipboard API needs a secure context; fall back to a prompt to copy from
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link:', location.href);
+        return;
+    }
+    navigator.clipboard.writeText(location.href).then(
+        () => copyLinkButton.html('Link copied'),
+        () => copyLinkButton.html('Copy failed')
+    );
+    setTimeout(() => copyLinkButton.html('Copy link'), 1500);
+}
+
+function applyTypedSpeed() {
+    let text = speedInput.value().trim();
+    speedMessage.html('');
+    if (!text) return;
+    try {
+        let typed = parseSpeed(text, speedUnit);
+        let speedMach = speedToMach(typed.speed, typed.unit, atmosphere.speedOfSound);
+        if (speedMach > MAX_SLIDER_MACH) {
+            speedMessage.html(`That is Mach ${speedMach.toFixed(2)}; the slider stops at ${MAX_SLIDER_MACH}`);
+        }
+        machSlider.value(min(speedMach, MAX_SLIDER_MACH));
+        // Simulate the speed typed, not the nearest slider step
+        typedMach = min(speedMach, MAX_SLIDER_MACH);
+    } catch (err) {
+        speedMessage.html(err.message);
+    }
+}
+
+function changeSpeedUnit() {
+    speedUnit = speedUnitSelect.value();
+    try {
+        localStorage.setItem(SPEED_UNIT_STORAGE_KEY, speedUnit);
+    } catch {
+        // Keep it for this visit only
+    }
+}
+
+function refreshPresetButtons() {
+    presetButtonGroup.html('');
+    for (let preset of presets) {
+        let btn = createButton(preset.name);
+        btn.parent(presetButtonGroup);
+        btn.mousePressed(() => applyPreset(preset));
+        btn.attribute('title', presetSummary(preset));
+        styleButton(btn, true);
+        if (preset.name === selectedPresetName) btn.style('background', '#5a5a8a');
+    }
+    let selected = presets.find(p => p.name === selectedPresetName);
+    presetInfo.html(selected ? presetSummary(selected) : '');
+}
+
+function presetSummary(preset) {
+    let feet = round(preset.altitude / METERS_PER_FOOT).toLocaleString();
+    let summary = `${preset.name}: M = ${preset.mach} at ${feet} ft, ${preset.length} m long`;
+    return preset.description ? `${summary} - ${preset.description}` : summary;
+}
+
+function applyPreset(preset) {
+    selectedPresetName = preset.name;
+    presetMessage.html('');
+    machSlider.value(preset.mach);
+    typedMach = preset.mach;    // Run at the preset's own speed, even past the slider's end
+    altitudeSlider.value(preset.altitude);
+    lengthInput.value(String(preset.length));
+    if (preset.mach > MAX_SLIDER_MACH) {
+        presetMessage.html(`Running at Mach ${preset.mach}; the slider stops at ${MAX_SLIDER_MACH}`);
+    }
+    refreshPresetButtons();
+}
+
+function addPreset() {
+    let preset = askForPreset({
+        name: '', mach: typedMach ?? machSlider.value(), altitude: altitudeSlider.value(), description: '', length: aircraftLength()
+    });
+    if (preset) rememberPreset(preset, preset.name);
+}
+
+function editPreset() {
+    let current = presets.find(p => p.name === selectedPresetName);
+    if (!current) {
+        presetMessage.html('Click a preset to edit it');
+        return;
+    }
+    let preset = askForPreset(current);
+    if (preset) rememberPreset(preset, current.name);
+}
+
+// Prompt for each field, starting from the given preset; null if cancelled or invalid
+function askForPreset(start) {
+    let name = window.prompt('Preset name:', start.name);
+    if (name === null) return null;
+    let machText = window.prompt('Mach number:', String(start.mach));
+    if (machText === null) return null;
+    let feetText = window.prompt('Cruise altitude (ft):', String(round(start.altitude / METERS_PER_FOOT)));
+    if (feetText === null) return null;
+    let lengthText = window.prompt('Aircraft length (m):', String(start.length));
+    if (lengthText === null) return null;
+    let description = window.prompt('Description (optional):', start.description);
+    if (description === null) return null;
+    try {
+        return createPreset(name, parseFloat(machText), parseFloat(feetText.replace(/,/g, '')) * METERS_PER_FOOT,
+            description, parseFloat(lengthText));
+    } catch (err) {
+        presetMessage.html(err.message);
+        return null;
+    }
+}
+
+function rememberPreset(preset, previousName) {
+    presetMessage.html('');
+    try {
+        presets = storePreset(localStorage, preset, previousName);
+    } catch {
+        // Storage full or blocked: keep it for this visit only
+        presets = [...presets.filter(p => p.name !== preset.name && p.name !== previousName), preset];
+        presetMessage.html('Not saved in the browser');
+    }
+    applyPreset(preset);
+}
+
+function deletePreset() {
+    if (!presets.some(p => p.name === selectedPresetName)) {
+        presetMessage.html('Click a preset to delete it');
+        return;
+    }
+    try {
+        presets = forgetPreset(localStorage, selectedPresetName);
+    } catch {
+        presets = presets.filter(p => p.name !== selectedPresetName);
+    }
+    selectedPresetName = '';
+    presetMessage.html('');
+    refreshPresetButtons();
+}
+
+function restoreDefaultPresets() {
+    if (!window.confirm('Replace your presets with the built-in ones?')) return;
+    try {
+        presets = resetStoredPresets(localStorage);
+    } catch {
+        presets = structuredClone(DEFAULT_PRESETS);
+    }
+    selectedPresetName = '';
+    presetMessage.html('');
+    refreshPresetButtons();
+}
+
+function refreshLessonPicker(selectedTitle) {
+    lessonSelect.html('');
+    for (let lesson of lessons) {
+        lessonSelect.option(lesson.title);
+    }
+    lessonSelect.selected(selectedTitle);
+}
+
+function startSelectedLesson() {
+    let lesson = lessons.find(l => l.title === lessonSelect.value());
+    if (lesson) startLesson(lesson);
+}
+
+function startLesson(lesson) {
+    lessonMessage.html('');
+    lessonRunner = new LessonRunner(lesson);
+    lessonFeedback.html(lesson.summary);
+    beginLessonStep();
+}
+
+// Set up the scene the step asks for, then show it
+function beginLessonStep() {
+    if (lessonRunner.finished) {
+        lessonStepLabel.html(lessonRunner.lesson.title);
+        lessonInstruction.html('Lesson complete. Well done!');
+        lessonHints.html('');
+        lessonHintButton.style('display', 'none');
+    } else {
+        applySharedState(lessonRunner.step.setup);
+        let { stepIndex, lesson } = lessonRunner;
+        lessonStepLabel.html(`${lesson.title} · step ${stepIndex + 1} of ${lesson.steps.length}`);
+        lessonInstruction.html(lessonRunner.step.instruction);
+        refreshLessonHints();
+    }
+    lessonPanel.style('display', 'block');
+}
+
+function refreshLessonHints() {
+    lessonHints.html(lessonRunner.hints.map(hint => `Hint: ${hint}`).join('<br>'));
+    lessonHintButton.style('display', lessonRunner.hasMoreHints ? 'inline-block' : 'none');
+}
+
+function showLessonHint() {
+    lessonRunner.nextHint();
+    refreshLessonHints();
+}
+
+function skipLessonStep() {
+    lessonRunner.advance();
+    lessonFeedback.html('');
+    beginLessonStep();
+}
+
+function stopLesson() {
+    lessonRunner = null;
+    lessonPanel.style('display', 'none');
+}
+
+// Check the current step against the simulation, in real time so holds ignore the speed setting
+function updateLesson() {
+    if (!lessonRunner || lessonRunner.finished) return;
+    let step = lessonRunner.step;
+    if (lessonRunner.update(lessonState(), millis())) {
+        lessonFeedback.html(`✓ ${step.success || 'Done!'}`);
+        beginLessonStep();
+    }
+}
+
+// What lesson checks can look at; see LESSON_QUANTITIES
+function lessonState() {
+    let air = airMach();
+    return {
+        mach,
+        airMach: air,
+        machAngle: air > 1 ? calculateMachAngleDegrees(air) : null,
+        heading: headingDegrees,
+        pulseRate: simulation.pulseRate(selectedSource),
+        altitude: atmosphere.altitude,
+        temperature: atmosphere.temperature - 273.15,
+        speedOfSound: atmosphere.speedOfSound,
+        wind: windSetting.mach,
+        mode: movingSourceMode ? 'moving' : 'wind',
+        view: renderMode,
+        paused,
+        sound: audioEnabled,
+        sources: simulation.sources.length,
+        observers: simulation.observers.length,
+        boundaries: simulation.boundaries.length,
+        booms: listener.boomCount,
+        reflectedBooms: listener.reflectedBoomCount,
+        frequency: listener.observedFrequency,
+        echoFrequency: listener.reflectedFrequency,
+        time: simulation.time / 1000
+    };
+}
+
+function importLesson(file) {
+    file.file.text()
+        .then(text => {
+            let lesson = parseLesson(text);
+            lessons = [...lessons.filter(l => l.title !== lesson.title), lesson];
+            refreshLessonPicker(lesson.title);
+            startLesson(lesson);
+        })
+        .catch(err => lessonMessage.html(err.message));
+    lessonFileInput.value('');      // Allow importing the same file again
+}
+
+function refreshScenarioPicker(selectedName) {
+    scenarioSelect.html('');
+    scenarioSelect.option('—', '');
+    for (let scenario of scenarios) {
+        scenarioSelect.option(scenario.name);
+    }
+    scenarioSelect.selected(selectedName);
+    let scenario = scenarios.find(s => s.name === selectedName);
+    scenarioNote.html(scenario ? scenario.note : '');
+}
+
+function loadSelectedScenario() {
+    let scenario = scenarios.find(s => s.name === scenarioSelect.value());
+    scenarioMessage.html('');
+    scenarioNote.html(scenario ? scenario.note : '');
+    if (scenario) applyScenario(scenario);
+}
+
+// Unlike a link, a scenario restores everything: settings it lacks go back to their defaults
+function applyScenario(scenario) {
+    applySharedState({ ...SHARED_DEFAULTS, ...scenario.settings });
+}
+
+// Save the current settings under a name, replacing a saved scenario of the same name
+function saveScenario() {
+    let current = scenarios.find(s => s.name === scenarioSelect.value());
+    let name = window.prompt('Scenario name:', current ? current.name : '');
+    if (name === null) return;
+    let note = window.prompt('Note (optional):', current ? current.note : '');
+    if (note === null) return;
+    try {
+        rememberScenario(createScenario(name, currentSharedState(), note));
+    } catch (err) {
+        scenarioMessage.html(err.message);
+    }
+}
+
+function rememberScenario(scenario) {
+    scenarioMessage.html('');
+    try {
+        scenarios = storeScenario(localStorage, scenario);
+    } catch {
+        // Storage full or blocked: keep it for this visit only
+        scenarios = [...scenarios.filter(s => s.name !== scenario.name), scenario];
+        scenarioMessage.html('Not saved in the browser; use Export to keep it');
+    }
+    refreshScenarioPicker(scenario.name);
+}
+
+function deleteScenario() {
+    let name = scenarioSelect.value();
+    if (!name) return;
+    try {
+        scenarios = forgetScenario(localStorage, name);
+    } catch {
+        scenarios = scenarios.filter(s => s.name !== name);
+    }
+    refreshScenarioPicker('');
+}
+
+function exportScenario() {
+    let scenario = scenarios.find(s => s.name === scenarioSelect.value());
+    if (!scenario) {
+        scenarioMessage.html('Pick or save a scenario to export');
+        return;
+    }
+    let fileName = scenario.name.replace(/[^\w-]+/g, '-').toLowerCase() + '.json';
+    downloadBlob(new Blob([serializeScenario(scenario)], { type: 'application/json' }), fileName);
+}
+
+function importScenario(file) {
+    file.file.text()
+        .then(text => {
+            let scenario = parseScenario(text);
+            rememberScenario(scenario);
+            applyScenario(scenario);
+        })
+        .catch(err => scenarioMessage.html(err.message));
+    scenarioFileInput.value('');    // Allow importing the same file again
+}
+
+// An audio context created before any user gesture (sound on from a link) starts suspended
+function resumeAudio() {
+    if (audioContext && audioContext.state === 'suspended') audioContext.resume();
+}
+
 function toggleHelp() {
     showHelp = !showHelp;
 }
 
 // Keyboard controls
 function keyPressed() {
+    resumeAudio();
+    if (typingInField()) return;
     if (key === ' ') {
         togglePause();
         return false; // Prevent scrolling
@@ -274,10 +1930,18 @@ function keyPressed() {
         return false;
     }
     if (keyCode === RIGHT_ARROW) {
-        let newMach = min(3, mach + 0.1);
+        let newMach = min(MAX_SLIDER_MACH, mach + 0.1);
         machSlider.value(newMach);
         return false;
     }
+    if (key === ',') {
+        stepBack();
+        return false;
+    }
+    if (key === '.') {
+        stepForward();
+        return false;
+    }
     if (key === 'r' || key === 'R') {
         resetSimulation();
     }
@@ -287,47 +1951,201 @@ function keyPressed() {
     if (key === 's' || key === 'S') {
         toggleAudio();
     }
+    if (key === 'v' || key === 'V') {
+        cycleView();
+    }
     if (key === 'h' || key === 'H' || key === '?') {
         toggleHelp();
     }
 }
 
-// Mouse handling for dragging observer
+// Whether keys go to a text, number or search box, a text area or a picker rather than to the
+// shortcuts; sliders and checkboxes keep them
+function typingInField() {
+    let focused = document.activeElement;
+    if (!focused) return false;
+    if (focused.tagName === 'TEXTAREA' || focused.tagName === 'SELECT') return true;
+    return focused.tagName === 'INPUT' && ['text', 'number', 'search'].includes(focused.type);
+}
+
+// Mouse handling for dragging observer, sources and boundary ends, and drawing flight paths
+// and boundaries
 function mousePressed() {
-    let d = dist(mouseX, mouseY, observerX, observerY);
-    if (d < 20) {
-        draggingObserver = true;
+    resumeAudio();
+    let observer = simulation.observers.find(o => dist(mouseX, mouseY, o.x, o.y) < 20);
+    let grabbed = simulation.sources.find(s => dist(mouseX, mouseY, s.position.x, s.position.y) < scaled(15));
+    let end = boundaryEndAt(mouseX, mouseY);
+    let onCanvas = mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height;
+    if (onCanvas && measureTool !== 'none') {
+        // While measuring, the canvas belongs to the ruler or protractor
+        startMeasuring(mouseX, mouseY);
+    } else if (observer) {
+        // Sound follows the observer last touched
+        draggingObserver = observer;
+        listener = observer;
+    } else if (grabbed) {
+        // Clicking a source selects it; dragging moves it with its path
+        selectSource(grabbed);
+        draggingSource = grabbed;
+    } else if (end) {
+        draggingEnd = end;
+    } else if (onCanvas && boundaryDrawMode) {
+        drawnBoundary = { x1: mouseX, y1: mouseY, x2: mouseX, y2: mouseY };
+    } else if (onCanvas && pathMode === 'draw') {
+        drawnPath = [{ x: mouseX, y: mouseY }];
+    }
+}
+
+// Grab a handle of the measurement, or lay a new one: a ruler is dragged out from one end;
+// a protractor's first drag sets its vertex and one arm, the next sets the other arm
+function startMeasuring(x, y) {
+    draggingHandle = measurementHandleAt(x, y);
+    if (draggingHandle) return;
+
+    if (measureTool === 'protractor' && measurement && !measurement.b) {
+        measurement.b = { x, y };
+        draggingHandle = measurement.b;
+    } else if (measureTool === 'protractor') {
+        // Start on the source to measure its cone from the apex
+        let source = simulation.sources.find(s => dist(x, y, s.position.x, s.position.y) < scaled(15));
+        let vertex = source ? { ...source.position } : { x, y };
+        measurement = { vertex, a: { ...vertex }, b: null };
+        draggingHandle = measurement.a;
+    } else {
+        measurement = { a: { x, y }, b: { x, y } };
+        draggingHandle = measurement.b;
     }
 }
 
+function measurementHandleAt(x, y) {
+    if (!measurement) return null;
+    return [measurement.vertex, measurement.a, measurement.b]
+        .find(point => point && dist(x, y, point.x, point.y) < scaled(10)) ?? null;
+}
+
+// Boundary end point under the mouse, as {boundary, end}
+function boundaryEndAt(x, y) {
+    for (let boundary of simulation.boundaries) {
+        for (let end of [1, 2]) {
+            if (dist(x, y, boundary[`x${end}`], boundary[`y${end}`]) < scaled(10)) return { boundary, end };
+        }
+    }
+    return null;
+}
+
 function mouseDragged() {
-    if (draggingObserver) {
-        observerX = constrain(mouseX, 20, width - 20);
-        observerY = constrain(mouseY, 20, height - 20);
+    if (draggingHandle) {
+        draggingHandle.x = constrain(mouseX, 0, width);
+        draggingHandle.y = constrain(mouseY, 0, height);
+    } else if (draggingObserver) {
+        simulation.setObserver(constrain(mouseX, 20, width - 20), constrain(mouseY, 20, height - 20),
+            draggingObserver);
+    } else if (draggingSource) {
+        simulation.moveSource(draggingSource, constrain(mouseX, 0, width), constrain(mouseY, 0, height));
+    } else if (draggingEnd) {
+        let { boundary, end } = draggingEnd;
+        let x = constrain(mouseX, 0, width);
+        let y = constrain(mouseY, 0, height);
+        // Keep the two ends apart so the segment stays a segment
+        if (dist(x, y, boundary[`x${3 - end}`], boundary[`y${3 - end}`]) > 1) {
+            simulation.setBoundary(boundary, { [`x${end}`]: x, [`y${end}`]: y });
+        }
+    } else if (drawnBoundary) {
+        drawnBoundary.x2 = constrain(mouseX, 0, width);
+        drawnBoundary.y2 = constrain(mouseY, 0, height);
+    } else if (drawnPath) {
+        // Skip points too close together to keep the polyline smooth
+        let last = drawnPath[drawnPath.length - 1];
+        if (dist(mouseX, mouseY, last.x, last.y) > scaled(10)) {
+            drawnPath.push({ x: constrain(mouseX, 0, width), y: constrain(mouseY, 0, height) });
+        }
     }
 }
 
 function mouseReleased() {
-    draggingObserver = false;
+    draggingHandle = null;
+    draggingObserver = null;
+    draggingSource = null;
+    draggingEnd = null;
+
+    if (drawnBoundary) {
+        let { x1, y1, x2, y2 } = drawnBoundary;
+        if (dist(x1, y1, x2, y2) > scaled(10)) {
+            simulation.addBoundary({ x1, y1, x2, y2, reflection });
+        }
+        drawnBoundary = null;
+    }
+
+    if (drawnPath) {
+        if (drawnPath.length >= 2) {
+            simulation.setPath({ type: 'polyline', points: drawnPath }, selectedSource);
+        }
+        drawnPath = null;
+    }
 }
 
-function playPulseSound() {
-    if (!audioEnabled || !audioContext) return;
+// Play, log and trace the events of one simulation step, and keep the frame
+function handleStep(events) {
+    // Playing on from a rewound frame replaces what followed it
+    if (!timeline.atEnd) dataLogger.forgetAfter(timeline.current().state.time);
+    dataLogger.record(simulation, events);
+
+    playStepSounds(events, liveSound());
+
+    // Flash each observer a wave crosses and trace the listener's pressure, louder for
+    // pulses from nearby and weaker off or through boundaries
+    let pressure = 0;
+    for (let hit of events.hits) {
+        observerFlashes.set(hit.observerId, 1);
+        if (hit.observerId === listener.id) {
+            pressure += calculateArrivalAmplitude(hit.pulse.radius) * hit.gain;
+        }
+    }
+    scopeSamples.push(pressure);
+    if (scopeSamples.length > SCOPE_SECONDS * 60) scopeSamples.shift();
+
+    if (events.boom) sonicBoomFlash = 1;
+
+    let state = simulation.snapshot();
+    timeline.push({ state, pressure }, snapshotSize(state));
+}
+
+// Where sounds go: the speakers now, or null while sound is off. An audio export passes an
+// offline context and a time in the clip instead.
+function liveSound() {
+    if (!audioEnabled || !audioContext) return null;
+    return { context: audioContext, output: audioOutput, time: audioContext.currentTime };
+}
 
+// Sounds of one simulation step: pings and Doppler-shifted tones for the listener, and booms
+function playStepSounds(events, target) {
+    if (!target) return;
+    if (audioStyle === 'pings') {
+        if (events.emitted.length > 0) playPulseSound(target);
+        for (let hit of events.hits) {
+            if (hit.observerId === listener.id) playObserverSound(target, abs(hit.dopplerShift), hit.gain);
+        }
+    }
+    // Only booms the listener heard; other observers' are theirs
+    let boom = events.booms.find(b => b.observerId === listener.id);
+    if (boom) playSonicBoom(target, simulation.sourceById(boom.sourceId));
+}
+
+function playPulseSound(target) {
     // Frequency increases with Mach number: 200Hz at M=0, 800Hz at M=3
     let frequency = map(mach, 0, 3, 200, 800);
 
-    let oscillator = audioContext.createOscillator();
-    let gainNode = audioContext.createGain();
+    let oscillator = target.context.createOscillator();
+    let gainNode = target.context.createGain();
 
     oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    gainNode.connect(target.output);
 
     oscillator.frequency.value = frequency;
     oscillator.type = 'sine';
 
     // Quick envelope for a "ping" sound
-    let now = audioContext.currentTime;
+    let now = target.time;
     gainNode.gain.setValueAtTime(0.15, now);
     gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
 
@@ -335,90 +2153,140 @@ function playPulseSound() {
     oscillator.stop(now + 0.1);
 }
 
-function playObserverSound(dopplerShift) {
-    if (!audioEnabled || !audioContext) return;
-
+function playObserverSound(target, dopplerShift, gain = 1) {
     // Base frequency modified by Doppler shift
     // dopplerShift > 1 means approaching (higher pitch), < 1 means receding (lower pitch)
-    let baseFreq = 400;
-    let frequency = baseFreq * dopplerShift;
-    frequency = constrain(frequency, 100, 1200);
+    // Infinity (on the Mach cone) is limited to the top of the audible range
+    let frequency = calculateDopplerFrequency(OBSERVER_TONE, dopplerShift);
 
-    let oscillator = audioContext.createOscillator();
-    let gainNode = audioContext.createGain();
+    let oscillator = target.context.createOscillator();
+    let gainNode = target.context.createGain();
 
     oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    gainNode.connect(target.output);
 
     oscillator.frequency.value = frequency;
     oscillator.type = 'sine';
 
-    let now = audioContext.currentTime;
-    gainNode.gain.setValueAtTime(0.12, now);
+    let now = target.time;
+    // Quieter for echoes and for sound let through a boundary
+    gainNode.gain.setValueAtTime(max(0.12 * gain, 0.011), now);
     gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.08);
 
     oscillator.start(now);
     oscillator.stop(now + 0.08);
 }
 
-function playSonicBoom() {
-    if (!audioEnabled || !audioContext) return;
-
-    // Create a "boom" sound - low frequency burst
-    let oscillator = audioContext.createOscillator();
-    let gainNode = audioContext.createGain();
-
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-
-    oscillator.frequency.value = 80;
-    oscillator.type = 'sawtooth';
-
-    let now = audioContext.currentTime;
-    gainNode.gain.setValueAtTime(0.3, now);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
-
-    oscillator.start(now);
-    oscillator.stop(now + 0.3);
+// Glide each source's tone toward what the listener hears now; silent while paused
+function updateContinuousAudio() {
+    let target = liveSound();
+    if (!target || audioStyle !== 'continuous' || paused) {
+        stopContinuousAudio();
+        return;
+    }
+    updateVoices(target, continuousVoices);
+    // Let go of removed sources
+    for (let id of continuousVoices.keys()) {
+        if (!simulation.sourceById(id)) stopVoice(target, continuousVoices, id);
+    }
 }
 
-function calculateDopplerShift(pulseX, pulseY) {
-    // Calculate Doppler shift based on relative position of observer to source motion
-    // Returns a multiplier: >1 = approaching (higher freq), <1 = receding (lower freq)
-
-    if (mach < 0.01) return 1; // No shift at rest
-
-    // Vector from pulse center to observer
-    let dx = observerX - pulseX;
-    let dy = observerY - pulseY;
+// Steer the voices (source id -> voice) to each source's Doppler reading at the target's time
+function updateVoices(target, voices) {
+    let glide = 0.05;   // Seconds to settle on a new pitch, gain or pan
+    for (let source of simulation.sources) {
+        let voice = voices.get(source.id) ?? startVoice(target, voices, source.id);
+        let reading = simulation.observerDoppler(source, listener);
+        let { x, y } = source.position;
+        let loudness = 0.12 * calculateArrivalAmplitude(dist(x, y, listener.x, listener.y));
+        voice.oscillators.forEach((oscillator, i) => {
+            // Outside a supersonic cone nothing has arrived yet
+            let shift = reading.regime === 'silent' ? undefined : reading.shifts[i];
+            if (shift !== undefined) {
+                oscillator.frequency.setTargetAtTime(calculateDopplerFrequency(OBSERVER_TONE, abs(shift)),
+                    target.time, glide);
+            }
+            voice.gains[i].gain.setTargetAtTime(shift === undefined ? 0 : loudness, target.time, glide);
+        });
+        if (voice.panner) {
+            voice.panner.pan.setTargetAtTime(calculateStereoPan(x, y, listener.x, listener.y, scaled(40)),
+                target.time, glide);
+        }
+    }
+}
 
-    // Normalize
-    let d = sqrt(dx * dx + dy * dy);
-    if (d < 1) return 1;
+function startVoice(target, voices, id) {
+    let context = target.context;
+    let output = target.output;
+    let panner = null;
+    if (context.createStereoPanner) {
+        panner = context.createStereoPanner();
+        panner.connect(target.output);
+        output = panner;
+    }
+    let oscillators = [], gains = [];
+    for (let i = 0; i < 2; i++) {
+        let oscillator = context.createOscillator();
+        let gainNode = context.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = OBSERVER_TONE;
+        gainNode.gain.value = 0;
+        oscillator.connect(gainNode);
+        gainNode.connect(output);
+        oscillator.start(target.time);
+        oscillators.push(oscillator);
+        gains.push(gainNode);
+    }
+    let voice = { oscillators, gains, panner };
+    voices.set(id, voice);
+    return voice;
+}
 
-    dx /= d;
-    dy /= d;
+function stopVoice(target, voices, id) {
+    let voice = voices.get(id);
+    let now = target.time;
+    // Fade out rather than cut off, which would click
+    voice.gains.forEach(gainNode => gainNode.gain.setTargetAtTime(0, now, 0.02));
+    voice.oscillators.forEach(oscillator => oscillator.stop(now + 0.1));
+    voices.delete(id);
+}
 
-    // Motion direction (source moving right in moving mode, waves drifting right in wind mode)
-    let motionDirX = 1;
+function stopContinuousAudio() {
+    if (continuousVoices.size === 0) return;
+    let target = { context: audioContext, output: audioOutput, time: audioContext.currentTime };
+    for (let id of [...continuousVoices.keys()]) stopVoice(target, continuousVoices, id);
+}
 
-    // Dot product gives how much observer is in direction of motion
-    // Positive = observer ahead (approaching), negative = observer behind (receding)
-    let alignment = dx * motionDirX;
+// Ground boom of the source at the chosen altitude and aircraft length, or null below Mach 1
+function boomSignature(source) {
+    return calculateBoomSignature(simulation.airflow(source).mach, atmosphere.altitude, aircraftLength(),
+        atmosphere.override);
+}
 
-    // Doppler formula: f_observed = f_source * c / (c - v_source * cos(theta))
-    // Where theta is angle between source velocity and direction to observer
-    // Simplified: shift = 1 / (1 - M * alignment)
-    let shift;
-    if (movingSourceMode) {
-        // Source approaching observer
-        shift = 1 / (1 - mach * alignment * 0.5);
-    } else {
-        // Wind mode: observer in moving medium
-        shift = 1 + mach * alignment * 0.3;
-    }
+// Aircraft length typed in, or the default while the box holds no usable number
+function aircraftLength() {
+    let length = Number(lengthInput.value());
+    return Number.isFinite(length) && length > 0 && length <= 500 ? length : SHARED_DEFAULTS.length;
+}
 
-    return constrain(shift, 0.3, 3);
+function playSonicBoom(target, source) {
+    let signature = boomSignature(source);
+    if (!signature) return;
+
+    // The N-wave itself: bow shock, linear fall, tail shock - the double "boom-boom"
+    let amplitude = min(1, signature.overpressure / BOOM_FULL_SCALE);
+    let sampleRate = target.context.sampleRate;
+    let samples = synthesizeNWave(signature.duration, amplitude, sampleRate);
+    let buffer = target.context.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    let player = target.context.createBufferSource();
+    let gainNode = target.context.createGain();
+    player.buffer = buffer;
+    player.connect(gainNode);
+    gainNode.connect(target.output);
+    gainNode.gain.value = 0.5;
+    player.start(target.time);
 }
 
 function draw() {
@@ -443,138 +2311,176 @@ function draw() {
 
     background(bgR, bgG, bgB);
 
-    // Decay observer flash
-    if (observerFlash > 0) {
-        observerFlash *= 0.8;
-        if (observerFlash < 0.01) observerFlash = 0;
+    // Decay observer flashes
+    for (let [id, flash] of observerFlashes) {
+        flash *= 0.8;
+        if (flash < 0.01) {
+            observerFlashes.delete(id);
+        } else {
+            observerFlashes.set(id, flash);
+        }
     }
 
-    // Update values from sliders
-    previousMach = mach;
-    mach = machSlider.value();
-    emissionInterval = emissionSlider.value();
+    updateAtmosphere();
 
-    // Detect sound barrier crossing
-    if ((previousMach < 1 && mach >= 1) || (previousMach > 1 && mach <= 1)) {
-        barrierFlash = 1;
+    // Update the selected source from sliders (a flight profile drives Mach by itself)
+    previousMach = mach;
+    if (!selectedSource.flightProfile) {
+        mach = machSlider.value();
+        // A typed speed holds until the slider is moved off it, or off its end for a faster one
+        if (typedMach !== null && abs(mach - min(typedMach, MAX_SLIDER_MACH)) <= MACH_STEP / 2) {
+            mach = typedMach;
+        } else {
+            typedMach = null;
+        }
+        simulation.setMach(mach, selectedSource);
+    }
+    simulation.setPulseRate(pulseRateSlider.value(), selectedSource);
+    pulseRateLabel.html(`${pulseRateSlider.value()} /s`);
+    if (headingSlider.value() !== headingDegrees) {
+        headingDegrees = headingSlider.value();
+        // Canvas y points down, so counterclockwise on screen is a negative angle
+        simulation.setHeading(-radians(headingDegrees), selectedSource);
     }
+    updateWind();
+    updateReflection();
 
+    // Real time since the last frame, slowed down or sped up, run in fixed simulation steps
+    let timeScale = timeScaleSlider.value();
+    timeScaleLabel.html(`${timeScale.toFixed(1)}×`);
     if (!paused) {
-        // Emit new pulse periodically
-        frameCounter++;
-        if (frameCounter >= emissionInterval) {
-            pulses.push({
-                x: sourceX,
-                y: sourceY,
-                radius: 0,
-                birthX: sourceX
-            });
-            playPulseSound();
-            frameCounter = 0;
-        }
-
-        // In moving source mode, move the source
-        if (movingSourceMode) {
-            sourceX += mach * speedOfSound;
-            // Wrap around
-            if (sourceX > width + 50) {
-                sourceX = sourceStartX;
-                pulses = [];
-            }
+        for (let events of simulation.advance(deltaTime * timeScale)) {
+            handleStep(events);
         }
+    }
+    updateTimeline();
+    updateContinuousAudio();
 
-        // Update pulses and detect observer crossings
-        let wavesHitThisFrame = 0;
-
-        for (let i = pulses.length - 1; i >= 0; i--) {
-            let p = pulses[i];
-
-            // Calculate distance to observer before update
-            let distBefore = dist(p.x, p.y, observerX, observerY);
-
-            p.radius += speedOfSound;
-
-            // In wind mode, drift the pulses
-            if (!movingSourceMode) {
-                p.x += mach * speedOfSound;
-            }
-
-            // Calculate distance to observer after update
-            let distAfter = dist(p.x, p.y, observerX, observerY);
-
-            // Check if wave crossed observer (radius passed through observer distance)
-            let radiusBefore = p.radius - speedOfSound;
-            let radiusAfter = p.radius;
+    // Keep the slider in step with the flight profile
+    if (selectedSource.flightProfile) {
+        mach = selectedSource.mach;
+        machSlider.value(mach);
+    }
 
-            if (radiusBefore < distBefore && radiusAfter >= distAfter &&
-                distAfter <= radiusAfter && distBefore >= radiusBefore) {
-                // Wave crossed the observer!
-                wavesHitThisFrame++;
-                observerWaveHits.push(millis());
-                observerFlash = 1;
+    // Detect sound barrier crossing
+    if ((previousMach < 1 && mach >= 1) || (previousMach > 1 && mach <= 1)) {
+        barrierFlash = 1;
+    }
 
-                // Calculate Doppler shift based on observer position relative to source motion
-                let dopplerShift = calculateDopplerShift(p.x, p.y);
-                playObserverSound(dopplerShift);
+    drawFlightPath();
+
+    let formation = simulation.sources.length > 1;
+    if (renderMode === 'rings') {
+        // Draw pulses with Doppler coloring, or in their source's color when there are several
+        for (let p of simulation.pulses) {
+            let alpha = map(p.radius, 0, 400, 255, 0);
+            // Color relative to the source heading at emission, or to the wind direction
+            let heading = movingSourceMode ? p.birthHeading : simulation.heading;
+            let source = formation ? simulation.sourceById(p.sourceId) : null;
+            if (p.rays) {
+                drawRayFront(p.rays, alpha, heading, source ? sourceColor(source, alpha) : null);
+                continue;
             }
 
-            // Remove pulses that are too large or off screen
-            if (p.radius > 600 || p.x - p.radius > width + 100) {
-                pulses.splice(i, 1);
+            // Dimmed behind boundaries, and reflected from each image source where the
+            // boundary lets it be seen, fainter the less it reflects
+            drawDopplerArc(p.x, p.y, p.radius, 0, TWO_PI, alpha, heading, source,
+                (x, y) => simulation.transmission(p.x, p.y, x, y));
+            for (let { boundary, x, y } of simulation.pulseImages(p)) {
+                let arc = arcBeyondBoundary(x, y, p.radius, boundary);
+                if (arc) {
+                    drawDopplerArc(x, y, p.radius, arc.start, arc.stop, alpha * boundary.reflection,
+                        mirrorHeading(heading, boundary), source);
+                }
             }
         }
-
-        // Sonic boom: multiple waves hitting at once in supersonic mode
-        if (wavesHitThisFrame >= 3 && mach > 1) {
-            sonicBoomFlash = 1;
-            playSonicBoom();
-        }
-
-        // Calculate observed frequency (waves per second over last 2 seconds)
-        let now = millis();
-        observerWaveHits = observerWaveHits.filter(t => now - t < 2000);
-        if (observerWaveHits.length > 1) {
-            observedFrequency = observerWaveHits.length / 2; // waves per second
-        } else {
-            observedFrequency = 0;
-        }
+    } else {
+        // Overpressure field; the shock shows up as a band of constructive interference
+        drawPressureField();
     }
 
-    // Draw pulses with Doppler coloring
-    for (let p of pulses) {
-        let alpha = map(p.radius, 0, 400, 255, 0);
-        drawDopplerCircle(p.x, p.y, p.radius, alpha);
+    // With a flight profile the shock is the actual envelope of the pulses;
+    // otherwise draw the steady-state Mach cone when supersonic.
+    // The pressure view needs no guide lines, but the geometry panel still measures the envelope.
+    // Refracted fronts have neither, so only the ground that absorbs them is drawn.
+    let envelope = null;
+    let refracted = simulation.soundSpeedProfile !== null;
+    if (refracted) {
+        stroke(140, 110, 70);
+        strokeWeight(scaled(3));
+        line(0, height - 1, width, height - 1);
     }
-
-    // Draw Mach cone when supersonic
-    if (mach > 1 && pulses.length > 2) {
-        drawMachCone();
+    for (let source of refracted ? [] : simulation.sources) {
+        let shockColor = formation ? sourceColor(source, 200) : color(255, 200, 50, 200);
+        if (source.flightProfile) {
+            let branches = simulation.wavefrontEnvelope(source);
+            if (renderMode === 'rings') drawEnvelope(branches, shockColor);
+            if (source === selectedSource) envelope = branches;
+        } else if (renderMode === 'rings' && simulation.airflow(source).mach > 1 &&
+                simulation.pulses.filter(p => p.sourceId === source.id).length > 2) {
+            drawMachCone(source, shockColor);
+        }
     }
 
-    // Draw source point
-    fill(255, 100, 100);
-    noStroke();
-    circle(sourceX, sourceY, scaled(14));
+    drawBoundaries();
 
-    // Source label
-    fill(255, 100, 100);
-    textSize(scaled(11));
-    textAlign(CENTER);
-    text('SOURCE', sourceX, sourceY - scaled(18));
+    // Draw source points, ringing the one the controls edit
+    simulation.sources.forEach((source, i) => {
+        let { x: sourceX, y: sourceY } = source.position;
+        fill(sourceColor(source));
+        noStroke();
+        circle(sourceX, sourceY, scaled(14));
+
+        if (formation && source === selectedSource) {
+            noFill();
+            stroke(255);
+            strokeWeight(1.5);
+            circle(sourceX, sourceY, scaled(22));
+            noStroke();
+        }
 
-    // Draw observer point
-    drawObserver();
+        // Source label
+        fill(sourceColor(source));
+        textSize(scaled(11));
+        textAlign(CENTER);
+        text(formation ? `SOURCE ${i + 1}` : 'SOURCE', sourceX, sourceY - scaled(18));
+    });
+
+    // Draw observer points
+    for (let observer of simulation.observers) {
+        drawObserver(observer);
+    }
 
     // Draw geometry explanation when supersonic
-    if (mach > 1) {
-        drawGeometry();
+    if (envelope) {
+        let envelopeAngle = measureEnvelopeAngle(envelope);
+        if (envelopeAngle !== null) {
+            drawGeometry(envelopeAngle, true);
+        }
+    } else if (airMach() > 1 && !refracted) {
+        drawGeometry(calculateMachAngle(airMach()), false);
     }
 
+    drawMeasurement();
+
     // Display info
     drawInfo();
+    drawScope();
+    updateLesson();
+
+    // Refresh the comparison table, log size, link and recording timer a few times a second
+    if (frameCount % 10 === 0) {
+        updateObserverTable();
+        logCountLabel.html(`${dataLogger.size} events`);
+        updatePermalink();
+        if (recorder.recording) recordButton.html(`■ Stop ${floor(recorder.elapsedSeconds())}s`);
+    }
 }
 
-function drawObserver() {
+function drawObserver(observer) {
+    let { x: observerX, y: observerY } = observer;
+    let observerFlash = observerFlashes.get(observer.id) ?? 0;
+
     // Draw observer with flash effect when wave hits
     let baseSize = scaled(16);
     let flashSize = baseSize + observerFlash * scaled(20);
@@ -604,114 +2510,424 @@ function drawObserver() {
     noStroke();
     textSize(scaled(11));
     textAlign(CENTER);
-    text('OBSERVER', observerX, observerY - scaled(20));
+    let several = simulation.observers.length > 1;
+    text(several ? observer.name.toUpperCase() : 'OBSERVER', observerX, observerY - scaled(20));
     textSize(scaled(9));
     fill(200);
     text(isMobile ? '(drag)' : '(drag to move)', observerX, observerY + scaled(28));
 
-    // Frequency display near observer (hide on very small screens to avoid clutter)
-    if ((observedFrequency > 0 || observerWaveHits.length > 0) && width > 400) {
+    // Frequency display near observer (hide on very small screens to avoid clutter);
+    // with several observers the table beneath the canvas compares them instead
+    let { observedFrequency } = observer;
+    if (!several && (observedFrequency > 0 || observer.waveHits.length > 0) && width > 400) {
         textAlign(LEFT);
         textSize(scaled(12));
 
-        // Calculate current Doppler shift for display
-        let currentShift = calculateDopplerShift(sourceX, sourceY);
-
         let textX = observerX + scaled(25);
         fill(100, 255, 100);
         text(`${observedFrequency.toFixed(1)} waves/sec`, textX, observerY - scaled(5));
 
-        // Show shift direction
-        if (currentShift > 1.05) {
-            fill(100, 150, 255);
-            text(`+${((currentShift - 1) * 100).toFixed(0)}% blue`, textX, observerY + scaled(10));
-        } else if (currentShift < 0.95) {
-            fill(255, 100, 100);
-            text(`${((currentShift - 1) * 100).toFixed(0)}% red`, textX, observerY + scaled(10));
-        } else {
-            fill(200);
-            text('~0%', textX, observerY + scaled(10));
+        // Current Doppler reading from each source, tagged by color when there are several
+        let lineY = observerY + scaled(10);
+        let formation = simulation.sources.length > 1;
+        for (let source of simulation.sources) {
+            let readoutX = textX;
+            if (formation) {
+                fill(sourceColor(source));
+                text('●', textX, lineY);
+                readoutX += scaled(14);
+            }
+            for (let { label, rgb } of describeDoppler(simulation.observerDoppler(source, observer))) {
+                fill(...rgb);
+                text(label, readoutX, lineY);
+                lineY += scaled(15);
+            }
+        }
+
+        if (observer.reflectedFrequency > 0) {
+            fill(200, 170, 120);
+            text(`${observer.reflectedFrequency.toFixed(1)} echoes/sec`, textX, lineY);
+        }
+    }
+}
+
+function describeDoppler(doppler) {
+    // One colored line per arrival, shared by the canvas readout and the observer table
+    if (doppler.regime === 'silent') {
+        return [{ label: 'silent (outside cone)', rgb: [200, 200, 200] }];
+    }
+    if (doppler.regime === 'singular') {
+        return [{ label: '∞ (on the cone)', rgb: [255, 200, 50] }];
+    }
+
+    // Supersonic sources give two simultaneous arrivals inside the cone
+    return doppler.shifts.map(describeShift);
+}
+
+function describeShift(shift) {
+    // Negative factors arrive time-reversed (emitted later, heard in the same instant)
+    let magnitude = abs(shift);
+    let suffix = shift < 0 ? ' (reversed)' : '';
+
+    // Show shift direction
+    if (magnitude > 1.05) {
+        return { label: `+${((magnitude - 1) * 100).toFixed(0)}% blue${suffix}`, rgb: [100, 150, 255] };
+    }
+    if (magnitude < 0.95) {
+        return { label: `${((magnitude - 1) * 100).toFixed(0)}% red${suffix}`, rgb: [255, 100, 100] };
+    }
+    return { label: `~0%${suffix}`, rgb: [200, 200, 200] };
+}
+
+function drawFlightPath() {
+    noFill();
+    strokeWeight(1);
+    drawingContext.setLineDash([4, 6]);
+
+    for (let source of simulation.sources) {
+        let path = source.path;
+        stroke(sourceColor(source, 80));
+
+        if (movingSourceMode && path.type === 'circle') {
+            circle(path.centerX, path.centerY, path.radius * 2);
+        } else if (movingSourceMode && path.type === 'polyline') {
+            beginShape();
+            for (let pt of path.points) {
+                vertex(pt.x, pt.y);
+            }
+            endShape();
+        }
+    }
+
+    drawingContext.setLineDash([]);
+
+    // Path being drawn right now
+    if (drawnPath) {
+        stroke(255, 100, 100, 200);
+        strokeWeight(2);
+        beginShape();
+        for (let pt of drawnPath) {
+            vertex(pt.x, pt.y);
         }
+        endShape();
+    } else if (pathMode === 'draw' && !boundaryDrawMode) {
+        fill(255, 100, 100);
+        noStroke();
+        textSize(scaled(12));
+        textAlign(CENTER);
+        text('Drag on the canvas to draw a flight path', width / 2, height - scaled(40));
     }
 }
 
-function drawDopplerCircle(cx, cy, radius, alpha) {
-    // Draw circle with Doppler color shift
+function drawDopplerArc(cx, cy, radius, start, stop, alpha, heading, source = null, gainAt = null) {
+    // Draw part of a circle with Doppler color shift, or in its source's color
     // Blue = compressed (approaching), Red = stretched (receding)
+    // gainAt(x, y) scales the opacity along the way, leaving out what it zeroes
 
     noFill();
     strokeWeight(2);
 
-    let segments = 60;
+    let segments = ceil(60 * (stop - start) / TWO_PI);
 
     // Direction of motion determines color orientation:
-    // - Moving Source mode: source moves RIGHT, so RIGHT side (angle 0) is blue (approaching)
-    // - Wind mode: medium moves RIGHT, so LEFT side (angle PI) is blue (waves compressed there)
-    let blueAngle = movingSourceMode ? 0 : PI;
-
-    // Scale the effect by Mach number (no shift at M=0, full shift at high M)
-    let shiftIntensity = min(mach / 2, 1);
+    // - Moving Source mode: the side the source was heading toward is blue (approaching)
+    // - Wind mode: the upstream side is blue (waves compressed there)
+    let blueAngle = movingSourceMode ? heading : heading + PI;
 
     for (let i = 0; i < segments; i++) {
-        let angle1 = (i / segments) * TWO_PI;
-        let angle2 = ((i + 1) / segments) * TWO_PI;
+        let angle1 = start + (i / segments) * (stop - start);
+        let angle2 = start + ((i + 1) / segments) * (stop - start);
+
+        let x1 = cx + radius * cos(angle1);
+        let y1 = cy + radius * sin(angle1);
+        let x2 = cx + radius * cos(angle2);
+        let y2 = cy + radius * sin(angle2);
 
         // Calculate how "blue" or "red" this segment is
         // based on angle relative to direction of motion
         let midAngle = (angle1 + angle2) / 2;
-        let dopplerFactor = cos(midAngle - blueAngle); // +1 = blue side, -1 = red side
-
-        // Interpolate color: blue (approaching) <-> neutral <-> red (receding)
-        let r, g, b;
-        if (dopplerFactor > 0) {
-            // Blue shift (approaching) - compress toward blue/white
-            r = lerp(100, 50, dopplerFactor * shiftIntensity);
-            g = lerp(200, 150, dopplerFactor * shiftIntensity);
-            b = lerp(255, 255, dopplerFactor * shiftIntensity);
-        } else {
-            // Red shift (receding) - stretch toward red
-            r = lerp(100, 255, -dopplerFactor * shiftIntensity);
-            g = lerp(200, 80, -dopplerFactor * shiftIntensity);
-            b = lerp(255, 80, -dopplerFactor * shiftIntensity);
-        }
+        let segmentAlpha = gainAt ? alpha * gainAt(cx + radius * cos(midAngle), cy + radius * sin(midAngle)) : alpha;
+        if (segmentAlpha <= 0) continue;
+        // +1 = blue side, -1 = red side
+        stroke(source ? sourceColor(source, segmentAlpha) : dopplerColor(cos(midAngle - blueAngle), segmentAlpha));
 
-        stroke(r, g, b, alpha);
+        line(x1, y1, x2, y2);
+    }
+}
 
-        let x1 = cx + radius * cos(angle1);
-        let y1 = cy + radius * sin(angle1);
-        let x2 = cx + radius * cos(angle2);
-        let y2 = cy + radius * sin(angle2);
+function dopplerColor(dopplerFactor, alpha) {
+    // Scale the effect by Mach number (no shift at M=0, full shift at high M)
+    let shiftIntensity = min(mach / 2, 1);
 
+    // Interpolate color: blue (approaching) <-> neutral <-> red (receding)
+    let r, g, b;
+    if (dopplerFactor > 0) {
+        // Blue shift (approaching) - compress toward blue/white
+        r = lerp(100, 50, dopplerFactor * shiftIntensity);
+        g = lerp(200, 150, dopplerFactor * shiftIntensity);
+        b = lerp(255, 255, dopplerFactor * shiftIntensity);
+    } else {
+        // Red shift (receding) - stretch toward red
+        r = lerp(100, 255, -dopplerFactor * shiftIntensity);
+        g = lerp(200, 80, -dopplerFactor * shiftIntensity);
+        b = lerp(255, 80, -dopplerFactor * shiftIntensity);
+    }
+    return color(r, g, b, alpha);
+}
+
+function drawRayFront(rays, alpha, heading, fixedColor) {
+    // Join neighbouring rays into the refracted wavefront, leaving out the stretch that the
+    // ground has absorbed; colored by launch direction like the circles
+    noFill();
+    strokeWeight(2);
+    let blueAngle = movingSourceMode ? heading : heading + PI;
+    for (let i = 0; i < rays.length; i++) {
+        let a = rays[i];
+        let b = rays[(i + 1) % rays.length];
+        if (a.absorbed || b.absorbed) continue;
+        stroke(fixedColor ?? dopplerColor(cos(a.angle - blueAngle), alpha));
+        line(a.x, a.y, b.x, b.y);
+    }
+}
+
+function drawBoundaries() {
+    // Reflecting surfaces, more solid the more they reflect, with handles on their ends
+    for (let boundary of simulation.boundaries) {
+        let { x1, y1, x2, y2 } = boundary;
+        stroke(200, 170, 120, 80 + 175 * boundary.reflection);
+        strokeWeight(scaled(4));
         line(x1, y1, x2, y2);
+        noStroke();
+        fill(200, 170, 120);
+        circle(x1, y1, scaled(8));
+        circle(x2, y2, scaled(8));
     }
+
+    // Segment being drawn
+    if (drawnBoundary) {
+        stroke(200, 170, 120, 150);
+        strokeWeight(scaled(2));
+        line(drawnBoundary.x1, drawnBoundary.y1, drawnBoundary.x2, drawnBoundary.y2);
+    } else if (boundaryDrawMode) {
+        noStroke();
+        fill(200, 170, 120);
+        textSize(scaled(12));
+        textAlign(CENTER);
+        text('Drag on the canvas to lay a reflecting boundary', width / 2, height - scaled(40));
+    }
+    noStroke();
 }
 
-function drawMachCone() {
-    let machAngle = asin(1 / mach);
+function drawScope() {
+    // Newest sample on the right; each arrival is a spike, or an N-shaped blip in the N-wave view
+    let w = scope.width;
+    let h = scope.height;
+    let mid = h * 0.55;
+    let step = w / (SCOPE_SECONDS * 60);
+    let gain = h * 0.4;         // Pixels per unit amplitude (one pulse at the reference distance)
+
+    scope.background(16, 16, 32);
+
+    // Seconds grid
+    scope.stroke(50, 50, 80);
+    scope.strokeWeight(1);
+    for (let s = 1; s < SCOPE_SECONDS; s++) {
+        let x = w - s * 60 * step;
+        scope.line(x, 0, x, h);
+    }
+    scope.line(0, mid, w, mid);
+
+    scope.stroke(100, 255, 100);
+    scope.strokeWeight(1.5);
+    let x0 = w - scopeSamples.length * step;
+    scope.noFill();
+    scope.beginShape();
+    scope.vertex(max(0, x0), mid);
+    scopeSamples.forEach((value, i) => {
+        if (value === 0) return;
+        let x = x0 + i * step;
+        let peak = min(value * gain, mid - 4);
+        scope.vertex(x, mid);
+        scope.vertex(x + step * 0.25, mid - peak);
+        if (renderMode === 'nwave') {
+            scope.vertex(x + step * 0.75, mid + peak);
+        }
+        scope.vertex(x + step, mid);
+    });
+    scope.vertex(w, mid);
+    scope.endShape();
+
+    // Labels
+    scope.noStroke();
+    scope.fill(150);
+    scope.textSize(11);
+    scope.textAlign(LEFT, TOP);
+    scope.text(`Pressure at ${listener.name}`, 6, 4);
+    scope.textAlign(RIGHT, TOP);
+    scope.text(paused ? 'paused' : 'now', w - 6, 4);
+    for (let s = 1; s < SCOPE_SECONDS; s++) {
+        scope.text(`-${s}s`, w - s * 60 * step - 4, 4);
+    }
+}
+
+function drawPressureField() {
+    let field = simulation.pressureField({
+        cellSize: max(4, round(scaled(8))),
+        shape: renderMode === 'nwave' ? 'nwave' : 'gaussian'
+    });
+    let { cols, rows, cellSize, values } = field;
+
+    if (!pressureImage || pressureImage.width !== cols || pressureImage.height !== rows) {
+        pressureImage = createImage(cols, rows);
+    }
+
+    // Compression glows warm and rarefaction cool, fading into the background near zero
+    pressureImage.loadPixels();
+    for (let i = 0; i < values.length; i++) {
+        let t = constrain(values[i] / 2, -1, 1);
+        let rgb = t >= 0 ? [255, 170, 60] : [70, 140, 255];
+        pressureImage.pixels[i * 4] = rgb[0];
+        pressureImage.pixels[i * 4 + 1] = rgb[1];
+        pressureImage.pixels[i * 4 + 2] = rgb[2];
+        pressureImage.pixels[i * 4 + 3] = 255 * sqrt(abs(t));
+    }
+    pressureImage.updatePixels();
+    image(pressureImage, 0, 0, cols * cellSize, rows * cellSize);
+}
+
+function sourceColor(source, alpha = 255) {
+    let c = color(source.color);
+    c.setAlpha(alpha);
+    return c;
+}
+
+function drawMachCone(source, shockColor) {
+    let { x: sourceX, y: sourceY } = source.position;
+    // Cone axis points downstream in the air streaming past the source:
+    // - Moving Source: cone trails behind the heading, bent by any wind
+    // - Wind mode: cone points downstream along the wind
+    let { mach: sourceMach, heading: axis } = simulation.airflow(source);
+    let machAngle = calculateMachAngle(sourceMach);
 
     // Draw cone lines from source
-    stroke(255, 200, 50, 200);
+    stroke(shockColor);
     strokeWeight(2);
 
     let lineLength = 800;
 
-    // Direction depends on mode:
-    // - Moving Source: cone trails behind (points left, negative x)
-    // - Wind mode: cone points downstream (points right, positive x)
-    let direction = movingSourceMode ? -1 : 1;
+    for (let side of [-1, 1]) {
+        let angle = axis + side * machAngle;
+        line(sourceX, sourceY, sourceX + lineLength * cos(angle), sourceY + lineLength * sin(angle));
+    }
+}
+
+function drawEnvelope(envelope, shockColor) {
+    // Shock front traced by neighbouring wavefronts; curves and folds when accelerating
+    stroke(shockColor);
+    strokeWeight(2);
+    noFill();
+
+    for (let branch of envelope) {
+        beginShape();
+        for (let pt of branch) {
+            vertex(pt.x, pt.y);
+        }
+        endShape();
+    }
+}
+
+function measureEnvelopeAngle(envelope) {
+    // Half-angle between the envelope and the cone axis right behind the selected source
+    let { x: sourceX, y: sourceY } = selectedSource.position;
+    let axis = simulation.airflow(selectedSource).heading;
+    let angles = [];
+
+    for (let branch of envelope) {
+        let apex = branch[branch.length - 1];
+        if (branch.length < 2 || apex.x !== sourceX || apex.y !== sourceY) continue;
+
+        // Neighbouring wavefronts cross just inside the shock, so look a few pulses back
+        let pt = branch[max(0, branch.length - 5)];
+        let dx = pt.x - sourceX;
+        let dy = pt.y - sourceY;
+        let d = sqrt(dx * dx + dy * dy);
+        if (d === 0) continue;
+        angles.push(Math.acos(constrain((dx * cos(axis) + dy * sin(axis)) / d, -1, 1)));
+    }
+
+    if (angles.length === 0) return null;
+    return angles.reduce((sum, a) => sum + a, 0) / angles.length;
+}
+
+// Ruler or protractor laid on the canvas, with its reading
+function drawMeasurement() {
+    if (!measurement) return;
+    let toolColor = color(120, 220, 255);
+    stroke(toolColor);
+    strokeWeight(1.5);
+    noFill();
+
+    let label, detail, labelX, labelY;
+    if (measurement.vertex) {
+        let { vertex, a, b } = measurement;
+        line(vertex.x, vertex.y, a.x, a.y);
+        if (b) line(vertex.x, vertex.y, b.x, b.y);
+        let angle = b ? measureAngle(vertex.x, vertex.y, a.x, a.y, b.x, b.y) : NaN;
+        if (!isNaN(angle)) {
+            // Arc on the inside of the angle, from whichever arm comes first clockwise
+            let start = atan2(a.y - vertex.y, a.x - vertex.x);
+            let stop = atan2(b.y - vertex.y, b.x - vertex.x);
+            if ((stop - start + TWO_PI) % TWO_PI > PI) [start, stop] = [stop, start];
+            arc(vertex.x, vertex.y, scaled(50), scaled(50), start, stop);
+        }
+        label = isNaN(angle) ? 'Drag again for the second arm' : `${angle.toFixed(1)}°`;
+        // Against the steady cone of the selected source
+        if (!isNaN(angle)) {
+            let air = airMach();
+            detail = air > 1
+                ? `sin⁻¹(1/M) = ${calculateMachAngleDegrees(air).toFixed(1)}°, ` +
+                  `off by ${abs(angle - calculateMachAngleDegrees(air)).toFixed(1)}°`
+                : 'No Mach cone below Mach 1';
+        }
+        labelX = vertex.x;
+        labelY = vertex.y - scaled(34);
+    } else {
+        let { a, b } = measurement;
+        line(a.x, a.y, b.x, b.y);
+        // End ticks across the ruler
+        let along = atan2(b.y - a.y, b.x - a.x);
+        let tick = scaled(6);
+        for (let end of [a, b]) {
+            line(end.x - tick * sin(along), end.y + tick * cos(along), end.x + tick * sin(along), end.y - tick * cos(along));
+        }
+        let pixels = dist(a.x, a.y, b.x, b.y);
+        let pixelsPerSecond = simulation.speedOfSound * 1000 / simulation.frameDuration;
+        let meters = pixelsToMeters(pixels, pixelsPerSecond, atmosphere.speedOfSound);
+        label = `${round(pixels)} px · ${round(meters).toLocaleString()} m`;
+        detail = `${(pixels / pixelsPerSecond).toFixed(2)} s of sound travel`;
+        labelX = (a.x + b.x) / 2;
+        labelY = (a.y + b.y) / 2 - scaled(14);
+    }
 
-    // Upper cone line
-    let x1 = sourceX + direction * lineLength * cos(machAngle);
-    let y1 = sourceY - lineLength * sin(machAngle);
-    line(sourceX, sourceY, x1, y1);
+    // Handles
+    fill(toolColor);
+    noStroke();
+    for (let point of [measurement.vertex, measurement.a, measurement.b]) {
+        if (point) circle(point.x, point.y, scaled(7));
+    }
 
-    // Lower cone line
-    let x2 = sourceX + direction * lineLength * cos(machAngle);
-    let y2 = sourceY + lineLength * sin(machAngle);
-    line(sourceX, sourceY, x2, y2);
+    textAlign(CENTER);
+    textSize(scaled(13));
+    fill(toolColor);
+    text(label, labelX, labelY);
+    if (detail) {
+        textSize(scaled(11));
+        fill(200);
+        text(detail, labelX, labelY + scaled(15));
+    }
 }
 
-function drawGeometry() {
+function drawGeometry(machAngle, measured) {
     // Hide geometry on small screens - not enough room
     if (isMobile) return;
 
@@ -720,8 +2936,6 @@ function drawGeometry() {
     let triY = scaled(60);
     let triSize = scaled(80);
 
-    let machAngle = asin(1 / mach);
-
     // Draw triangle
     stroke(255, 200, 50, 150);
     strokeWeight(1);
@@ -763,7 +2977,15 @@ function drawGeometry() {
 
     // Formula
     textSize(scaled(12));
-    text(`sin(θ) = 1/M = ${(1/mach).toFixed(2)}`, triX - scaled(30), triY + triSize * tan(machAngle) + scaled(25));
+    let formulaY = triY + triSize * tan(machAngle) + scaled(25);
+    if (measured) {
+        // Angle measured from the pulse envelope, compared with the steady-state cone
+        text(`envelope θ ≈ ${degrees(machAngle).toFixed(1)}°`, triX - scaled(30), formulaY);
+        let steady = airMach() > 1 ? `${calculateMachAngleDegrees(airMach()).toFixed(1)}°` : 'none';
+        text(`steady sin⁻¹(1/M) = ${steady}`, triX - scaled(30), formulaY + scaled(16));
+    } else {
+        text(`sin(θ) = 1/M = ${(1/airMach()).toFixed(2)}`, triX - scaled(30), formulaY);
+    }
 }
 
 function drawInfo() {
@@ -785,22 +3007,27 @@ function drawInfo() {
     }
     text(`M = ${mach.toFixed(2)}`, margin, lineY);
 
-    // Real-world speed
-    let speedMph = Math.round(mach * SPEED_OF_SOUND_MPH);
-    let speedKmh = Math.round(mach * SPEED_OF_SOUND_KMH);
+    // Real-world speed in the air at the chosen altitude
+    let speed = machToSpeed(mach, atmosphere.speedOfSound);
+    let feet = round(atmosphere.altitude / METERS_PER_FOOT / 100) * 100;
+    let celsius = round(atmosphere.temperature - 273.15);
     fill(180);
     textSize(scaled(12));
-    text(`${speedMph.toLocaleString()} mph / ${speedKmh.toLocaleString()} km/h`, margin, scaled(48));
+    // With wind the shock depends on the speed through the air, not over the ground
+    let air = airMach();
+    let airspeed = windSetting.mach > 0 ? ` · airspeed M ${air.toFixed(2)}` : '';
+    text(`${speed[speedUnit].toLocaleString()} ${SPEED_UNITS[speedUnit]} at ` +
+        `${feet.toLocaleString()} ft, ${celsius} °C${airspeed}`, margin, scaled(48));
 
     textSize(scaled(14));
 
-    if (mach < 1) {
+    if (air < 1) {
         fill(100, 200, 100);
         text('SUBSONIC', margin, scaled(68));
         fill(200);
         textSize(scaled(12));
         text('Waves outrun the source', margin, scaled(86));
-    } else if (mach === 1) {
+    } else if (air === 1) {
         fill(255, 255, 100);
         text('SONIC (M = 1)', margin, scaled(68));
         fill(200);
@@ -809,11 +3036,17 @@ function drawInfo() {
     } else {
         fill(255, 100, 100);
         text('SUPERSONIC', margin, scaled(68));
-        let angle = degrees(asin(1 / mach));
+        let angle = calculateMachAngleDegrees(air);
         fill(200);
         textSize(scaled(12));
         text(`Mach angle: ${angle.toFixed(1)}°`, margin, scaled(86));
         text('Source outruns waves → shock cone', margin, scaled(102));
+        let boom = boomSignature(selectedSource);
+        if (boom) {
+            let psf = boom.overpressure / PASCALS_PER_PSF;
+            text(`Ground boom: ${round(boom.overpressure)} Pa (${psf.toFixed(1)} lb/ft²), ` +
+                `${boom.duration.toFixed(2)} s`, margin, scaled(118));
+        }
     }
 
     // Mode indicator
@@ -821,9 +3054,24 @@ function drawInfo() {
     textSize(scaled(11));
     textAlign(RIGHT);
     text(movingSourceMode ? 'Source moving through medium' : 'Medium flowing past source', width - margin, height - scaled(15));
+    let timeScale = timeScaleSlider.value();
+    if (timeScale !== 1) {
+        text(timeScale < 1 ? `Slow motion ${timeScale.toFixed(1)}×` : `Fast forward ${timeScale.toFixed(1)}×`,
+            width - margin, height - scaled(30));
+    }
+
+    // Pressure legend (bottom left) - hide on very small screens
+    if (renderMode !== 'rings' && !isMobile) {
+        textAlign(LEFT);
+        textSize(scaled(11));
+
+        fill(255, 170, 60);
+        text('■ Compression', margin, height - scaled(35));
 
-    // Doppler effect legend (bottom left) - hide on very small screens
-    if (mach > 0.1 && !isMobile) {
+        fill(70, 140, 255);
+        text('■ Rarefaction', margin, height - scaled(18));
+    } else if (mach > 0.1 && !isMobile) {
+        // Doppler effect legend
         textAlign(LEFT);
         textSize(scaled(11));
 
@@ -849,7 +3097,7 @@ function drawHelpOverlay() {
     rectMode(CENTER);
 
     let boxWidth = min(width - 40, 400);
-    let boxHeight = min(height - 40, 340);
+    let boxHeight = min(height - 40, 440);
     rect(width / 2, height / 2, boxWidth, boxHeight, 10);
 
     // Scale for overlay
@@ -876,6 +3124,12 @@ function drawHelpOverlay() {
     fill(200);
     text('Pause / Play', x + colOffset, y);
 
+    y += lineHeight;
+    fill(100, 200, 255);
+    text(', .', x, y);
+    fill(200);
+    text('Step back / forward a frame', x + colOffset, y);
+
     y += lineHeight;
     fill(100, 200, 255);
     text('← →', x, y);
@@ -900,6 +3154,12 @@ function drawHelpOverlay() {
     fill(200);
     text('Toggle sound', x + colOffset, y);
 
+    y += lineHeight;
+    fill(100, 200, 255);
+    text('V', x, y);
+    fill(200);
+    text('Rings / pressure / N-wave view', x + colOffset, y);
+
     y += lineHeight;
     fill(100, 200, 255);
     text('H or ?', x, y);
@@ -916,6 +3176,7 @@ function drawHelpOverlay() {
     fill(200);
     text('Drag OBSERVER to measure', x, y);
     text('waves at different positions', x, y + lineHeight * 0.8);
+    text('Click or drag a SOURCE to edit it', x, y + lineHeight * 1.6);
 
     // Dismiss hint
     textAlign(CENTER);
@@ -925,3 +3186,12 @@ function drawHelpOverlay() {
 
     rectMode(CORNER); // Reset
 }
+
+// sketch.js is loaded as an ES module, so expose the p5 callbacks for global mode
+window.setup = setup;
+window.draw = draw;
+window.windowResized = windowResized;
+window.keyPressed = keyPressed;
+window.mousePressed = mousePressed;
+window.mouseDragged = mouseDragged;
+window.mouseReleased = mouseReleased;
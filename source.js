@@ -0,0 +1,331 @@
+// A sound source in the simulation
+// Owns its own Mach number, heading, pulse rate, color, flight path and flight profile.
+// The Simulation owns the medium, the pulses and the observer, and steps every source.
+
+import { distance, machAtTime } from './physics.js';
+
+/**
+ * Flight path types a source can follow in moving source mode
+ */
+export const PATH_TYPES = ['straight', 'circle', 'polyline'];
+
+/**
+ * Colors handed out to sources in the order they are added
+ */
+export const SOURCE_COLORS = ['#ff6464', '#64b4ff', '#ffc832', '#c882ff', '#64ff96', '#ff8cd2'];
+
+/**
+ * One sound source: where it is, how it flies and when it emits
+ */
+export class Source {
+    /**
+     * @param {{width: number, height: number, speedOfSound: number}} world - Canvas size and
+     *   speed of sound, read whenever the source is placed or moved (the owning Simulation)
+     * @param {number} id - Identifier used to tag this source's pulses
+     * @param {{mach: number, heading: number, emissionInterval: number, path: object,
+     *   flightProfile: {time: number, mach: number}[] | null, color?: string,
+     *   start?: {x: number, y: number} | null}} settings - Initial settings
+     */
+    constructor(world, id, settings) {
+        this.world = world;
+        this.id = id;
+        this.color = settings.color ?? SOURCE_COLORS[id % SOURCE_COLORS.length];
+        this.mach = settings.mach;
+        this.heading = settings.heading;    // Direction of straight flight
+        this.emissionInterval = settings.emissionInterval;
+        this.path = this.resolvePath(settings.path);
+        this.flightProfile = settings.flightProfile;
+
+        // Where straight flight starts each pass; null for upstream of the canvas center
+        this.start = settings.start ? { x: settings.start.x, y: settings.start.y } : null;
+
+        this.position = { x: 0, y: 0, heading: this.heading };  // Instantaneous position and heading
+        this.boomCount = 0;             // Booms this source caused at any observer
+        this.reset();
+    }
+
+    /**
+     * Return to the start of the path and restart the pulse timer and flight profile
+     */
+    reset() {
+        this.frameCounter = 0;
+        this.placeAtStart();
+        this.restartProfile();
+    }
+
+    /**
+     * Restart the flight profile, if any, from its first keyframe
+     */
+    restartProfile() {
+        this.profileTime = 0;
+        if (this.flightProfile) {
+            this.mach = machAtTime(this.flightProfile, 0);
+        }
+    }
+
+    /**
+     * Advance the flight profile, if any, by one frame
+     * @param {number} seconds - Simulated time per frame
+     */
+    updateProfile(seconds) {
+        if (!this.flightProfile) return;
+        this.profileTime += seconds;
+        this.mach = machAtTime(this.flightProfile, this.profileTime);
+    }
+
+    /**
+     * Put the source at the beginning of its path and forget its track
+     */
+    placeAtStart() {
+        const { width, height } = this.world;
+        const { heading, path, position } = this;
+        this.track = [];
+        this.pathDistance = 0;
+
+        if (path.type === 'circle') {
+            // Start the turn travelling along the chosen heading
+            this.pathAngle = heading - Math.PI / 2;
+            this.moveAlongPath();
+        } else if (path.type === 'polyline') {
+            this.moveAlongPath();
+        } else if (this.start) {
+            position.x = this.start.x;
+            position.y = this.start.y;
+            position.heading = heading;
+        } else {
+            // Upstream of the canvas center, so straight flight crosses the whole canvas
+            position.x = width / 2 - width * 0.33 * Math.cos(heading);  // ~150/900 when heading right
+            position.y = height / 2 - height * 0.33 * Math.sin(heading);
+            position.heading = heading;
+        }
+        this.sourceStart = { x: position.x, y: position.y };
+    }
+
+    /**
+     * Fill in the defaults for a path description
+     * @param {{type: string, centerX?: number, centerY?: number, radius?: number,
+     *   points?: {x: number, y: number}[]}} path - Path description
+     * @returns {object} Path with every field needed to fly it
+     */
+    resolvePath(path) {
+        const { width, height } = this.world;
+        if (!PATH_TYPES.includes(path.type)) {
+            throw new Error(`Unknown path type: ${path.type}`);
+        }
+        if (path.type === 'circle') {
+            return {
+                type: 'circle',
+                centerX: path.centerX ?? width / 2,
+                centerY: path.centerY ?? height / 2,
+                radius: path.radius ?? Math.min(width, height) * 0.3
+            };
+        }
+        if (path.type === 'polyline') {
+            if (!path.points || path.points.length < 2) {
+                throw new Error('A polyline path needs at least two points');
+            }
+            return { type: 'polyline', points: path.points.map(p => ({ x: p.x, y: p.y })) };
+        }
+        return { type: 'straight' };
+    }
+
+    /**
+     * Position the source on a circle or polyline path from its current progress
+     * @returns {boolean} False once a polyline path has been flown to its end
+     */
+    moveAlongPath() {
+        const { path, position } = this;
+
+        if (path.type === 'circle') {
+            position.x = path.centerX + path.radius * Math.cos(this.pathAngle);
+            position.y = path.centerY + path.radius * Math.sin(this.pathAngle);
+            position.heading = this.pathAngle + Math.PI / 2;
+            return true;
+        }
+
+        let remaining = this.pathDistance;
+        for (let i = 1; i < path.points.length; i++) {
+            const a = path.points[i - 1];
+            const b = path.points[i];
+            const length = distance(a.x, a.y, b.x, b.y);
+            if (remaining <= length || i === path.points.length - 1) {
+                const t = length > 0 ? Math.min(remaining / length, 1) : 1;
+                position.x = a.x + (b.x - a.x) * t;
+                position.y = a.y + (b.y - a.y) * t;
+                if (length > 0) position.heading = Math.atan2(b.y - a.y, b.x - a.x);
+                return remaining <= length;
+            }
+            remaining -= length;
+        }
+        return false;
+    }
+
+    /**
+     * Move the source one frame along its path
+     * @param {number} stepCount - Number of the current simulation step, stored with the track
+     * @param {number} maxTrackSamples - How many past positions to keep
+     * @returns {boolean} True when the source left the canvas or finished its path and was
+     *   sent back to the start for the next pass
+     */
+    advance(stepCount, maxTrackSamples) {
+        const { position } = this;
+        const { width, height, speedOfSound } = this.world;
+        const travel = this.mach * speedOfSound;
+
+        // Remember where the source was, for retarded-time Doppler on curved paths
+        this.track.push({ x: position.x, y: position.y, mach: this.mach, heading: position.heading, step: stepCount });
+        if (this.track.length > maxTrackSamples) this.track.shift();
+
+        let wrapped = false;
+        if (this.path.type === 'circle') {
+            this.pathAngle += travel / this.path.radius;
+            this.moveAlongPath();
+        } else if (this.path.type === 'polyline') {
+            this.pathDistance += travel;
+            wrapped = !this.moveAlongPath();
+        } else {
+            position.x += travel * Math.cos(position.heading);
+            position.y += travel * Math.sin(position.heading);
+            wrapped = position.x > width + 50 || position.x < -50 ||
+                position.y > height + 50 || position.y < -50;
+        }
+
+        // Start the next pass
+        if (wrapped) {
+            this.placeAtStart();
+            this.restartProfile();
+        }
+        return wrapped;
+    }
+
+    /**
+     * Past positions with the distance their sound has travelled, earliest first
+     * The current position is included last with zero travel.
+     * @param {number} stepCount - Number of the current simulation step
+     * @returns {{x: number, y: number, travel: number, mach: number, heading: number}[]}
+     */
+    trackSamples(stepCount) {
+        const { speedOfSound } = this.world;
+        const samples = this.track.map(s => ({
+            x: s.x,
+            y: s.y,
+            travel: (stepCount - s.step + 1) * speedOfSound,
+            mach: s.mach,
+            heading: s.heading
+        }));
+        const { x, y, heading } = this.position;
+        samples.push({ x, y, travel: 0, mach: this.mach, heading });
+        return samples;
+    }
+
+    /**
+     * Shift the source, its start and its path, as when it is dragged
+     * The track is forgotten because the source did not fly there.
+     * @param {number} dx - Horizontal offset in pixels
+     * @param {number} dy - Vertical offset in pixels
+     */
+    moveBy(dx, dy) {
+        const { path, position } = this;
+        if (path.type === 'circle') {
+            path.centerX += dx;
+            path.centerY += dy;
+        } else if (path.type === 'polyline') {
+            for (const p of path.points) {
+                p.x += dx;
+                p.y += dy;
+            }
+        } else {
+            const from = this.start ?? this.sourceStart;
+            this.start = { x: from.x + dx, y: from.y + dy };
+        }
+        position.x += dx;
+        position.y += dy;
+        this.sourceStart.x += dx;
+        this.sourceStart.y += dy;
+        this.track = [];
+    }
+
+    /**
+     * Adapt to a new canvas size, keeping the source and its path at the same relative positions
+     * Call after the world has been resized.
+     * @param {number} scaleX - Horizontal scale factor
+     * @param {number} scaleY - Vertical scale factor
+     * @param {boolean} moving - Whether the source is flying (moving source mode)
+     */
+    resize(scaleX, scaleY, moving) {
+        const scalePoint = p => {
+            p.x *= scaleX;
+            p.y *= scaleY;
+        };
+
+        if (this.path.type === 'circle') {
+            this.path.centerX *= scaleX;
+            this.path.centerY *= scaleY;
+            this.path.radius *= Math.min(scaleX, scaleY);
+        } else if (this.path.type === 'polyline') {
+            this.path.points.forEach(scalePoint);
+            this.pathDistance *= Math.min(scaleX, scaleY);
+        }
+        if (this.start) scalePoint(this.start);
+        this.track.forEach(scalePoint);
+
+        if (!moving) {
+            // Keep source at its start position in wind mode
+            this.placeAtStart();
+        } else {
+            scalePoint(this.sourceStart);
+            if (this.path.type === 'straight') {
+                scalePoint(this.position);
+            } else {
+                this.moveAlongPath();
+            }
+        }
+    }
+
+    /**
+     * Copy of what changes as the source flies, for rewinding
+     * Settings such as the heading, pulse rate and path are left out.
+     * @returns {object} State to pass to restore()
+     */
+    snapshot() {
+        return structuredClone({
+            mach: this.mach,
+            frameCounter: this.frameCounter,
+            profileTime: this.profileTime,
+            position: this.position,
+            sourceStart: this.sourceStart,
+            track: this.track,
+            pathDistance: this.pathDistance,
+            pathAngle: this.pathAngle,
+            boomCount: this.boomCount
+        });
+    }
+
+    /**
+     * Put the source back where a snapshot found it
+     * @param {object} snapshot - What snapshot() returned; left unchanged, so it can be restored again
+     */
+    restore(snapshot) {
+        Object.assign(this, structuredClone(snapshot));
+    }
+
+    /**
+     * Plain snapshot of the source
+     * @returns {object} Copy of the source settings and position, safe to keep across steps
+     */
+    getState() {
+        return {
+            id: this.id,
+            color: this.color,
+            mach: this.mach,
+            heading: this.heading,
+            emissionInterval: this.emissionInterval,
+            path: structuredClone(this.path),
+            flightProfile: this.flightProfile && this.flightProfile.map(k => ({ ...k })),
+            profileTime: this.profileTime,
+            start: this.start && { ...this.start },
+            position: { ...this.position },
+            boomCount: this.boomCount
+        };
+    }
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { Source, SOURCE_COLORS } from './source.js';
+
+const world = { width: 900, height: 500, speedOfSound: 2 };
+
+/**
+ * Source with the simulation defaults, overridden by settings
+ */
+function makeSource(settings = {}, id = 0) {
+    return new Source(world, id, {
+        mach: 1,
+        heading: 0,
+        emissionInterval: 20,
+        path: { type: 'straight' },
+        flightProfile: null,
+        ...settings
+    });
+}
+
+describe('Source', () => {
+    it('should pick colors in turn from its id', () => {
+        expect(makeSource({}, 0).color).toBe(SOURCE_COLORS[0]);
+        expect(makeSource({}, 1).color).toBe(SOURCE_COLORS[1]);
+        expect(makeSource({}, SOURCE_COLORS.length).color).toBe(SOURCE_COLORS[0]);
+        expect(makeSource({ color: '#123456' }).color).toBe('#123456');
+    });
+
+    it('should start straight flight at its own start point', () => {
+        const source = makeSource({ start: { x: 100, y: 50 }, heading: Math.PI / 2 });
+        expect(source.position).toEqual({ x: 100, y: 50, heading: Math.PI / 2 });
+    });
+
+    it('should advance at its Mach number and wrap back to its start', () => {
+        const source = makeSource({ mach: 2, start: { x: 940, y: 50 } });
+        expect(source.advance(1, 10)).toBe(false);
+        expect(source.position.x).toBe(944);
+        // 952 is past the 50px margin beyond the right edge
+        const wrapped = [2, 3].map(step => source.advance(step, 10));
+        expect(wrapped).toEqual([false, true]);
+        expect(source.position.x).toBe(940);
+        expect(source.track).toHaveLength(0);
+    });
+
+    it('should keep a limited track with travel distances', () => {
+        const source = makeSource({ mach: 1 });
+        for (let step = 1; step <= 5; step++) {
+            source.advance(step, 3);
+        }
+        const samples = source.trackSamples(5);
+        expect(samples.map(s => s.travel)).toEqual([6, 4, 2, 0]);
+        expect(samples.at(-1).x).toBe(source.position.x);
+    });
+
+    it('should take its polyline along when moved', () => {
+        const source = makeSource({ path: { type: 'polyline', points: [{ x: 0, y: 0 }, { x: 100, y: 0 }] } });
+        source.moveBy(10, 20);
+        expect(source.path.points).toEqual([{ x: 10, y: 20 }, { x: 110, y: 20 }]);
+        expect(source.position).toMatchObject({ x: 10, y: 20 });
+        source.reset();
+        expect(source.position).toMatchObject({ x: 10, y: 20 });
+    });
+});
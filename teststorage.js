@@ -0,0 +1,14 @@
+// In-memory localStorage for the tests of modules that keep data in the browser
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>}
+ */
+export function makeStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
@@ -0,0 +1,134 @@
+// Timeline for rewinding
+// A ring buffer of the most recent frames, so a paused run can be scrubbed back to see
+// how the cone formed, then stepped or played on from any frame.
+
+/**
+ * Frames kept by default: ten seconds at 60 frames per second
+ */
+export const TIMELINE_CAPACITY = 600;
+
+/**
+ * Memory the frames may take by default, in bytes, for entries pushed with a size; ray-traced
+ * frames are large enough that a full timeline of them would not fit
+ */
+export const TIMELINE_MAX_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Fixed-size history of frames with a cursor on the one being shown
+ * Entries are whatever the caller records for a frame, such as a simulation snapshot.
+ */
+export class Timeline {
+    /**
+     * @param {number} [capacity] - Most frames to keep; the oldest are dropped first
+     * @param {number} [maxBytes] - Most bytes the frames may take, by the sizes given to push()
+     */
+    constructor(capacity = TIMELINE_CAPACITY, maxBytes = TIMELINE_MAX_BYTES) {
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error('Timeline capacity must be a positive whole number');
+        }
+        this.capacity = capacity;
+        this.maxBytes = maxBytes;
+        this.clear();
+    }
+
+    /**
+     * Forget every frame
+     */
+    clear() {
+        this.slots = new Array(this.capacity);
+        this.sizes = new Array(this.capacity).fill(0);
+        this.bytes = 0;         // Total size of the frames kept
+        this.first = 0;         // Slot of the oldest frame
+        this.length = 0;
+        this.cursor = -1;       // Index of the frame shown, 0 = oldest; -1 when empty
+    }
+
+    /**
+     * Whether the cursor is on the newest frame, so playing on adds to the end
+     * @returns {boolean}
+     */
+    get atEnd() {
+        return this.cursor === this.length - 1;
+    }
+
+    /**
+     * Record a new frame after the cursor and move onto it
+     * Frames after the cursor are dropped, so playing on from a rewound frame replaces what
+     * followed it. The oldest frames go when the timeline is full or over its size.
+     * @param {*} entry - What to keep for the frame
+     * @param {number} [size] - Bytes the entry takes, counted against maxBytes
+     */
+    push(entry, size = 0) {
+        while (this.length > this.cursor + 1) {
+            this.forget((this.first + this.length - 1) % this.capacity);
+            this.length--;
+        }
+        if (this.length === this.capacity) this.dropOldest();
+        const slot = (this.first + this.length) % this.capacity;
+        this.slots[slot] = entry;
+        this.sizes[slot] = size;
+        this.bytes += size;
+        this.length++;
+        while (this.bytes > this.maxBytes && this.length > 1) this.dropOldest();
+        this.cursor = this.length - 1;
+    }
+
+    /**
+     * Let go of the oldest frame
+     */
+    dropOldest() {
+        this.forget(this.first);
+        this.first = (this.first + 1) % this.capacity;
+        this.length--;
+    }
+
+    /**
+     * Empty a slot, so its entry can be garbage collected
+     * @param {number} slot - Index into slots
+     */
+    forget(slot) {
+        this.slots[slot] = undefined;
+        this.bytes -= this.sizes[slot];
+        this.sizes[slot] = 0;
+    }
+
+    /**
+     * @param {number} index - Frame index, 0 for the oldest kept
+     * @returns {*} The frame's entry, or undefined outside the timeline
+     */
+    at(index) {
+        if (!(index >= 0 && index < this.length)) return undefined;
+        return this.slots[(this.first + index) % this.capacity];
+    }
+
+    /**
+     * @returns {*} Entry of the frame under the cursor, or undefined when empty
+     */
+    current() {
+        return this.at(this.cursor);
+    }
+
+    /**
+     * Move the cursor to a frame, clamped to the frames kept
+     * @param {number} index - Frame index, 0 for the oldest kept
+     * @returns {*} Entry of the frame now under the cursor, or undefined when empty
+     */
+    seek(index) {
+        if (this.length === 0) return undefined;
+        this.cursor = Math.min(this.length - 1, Math.max(0, Math.round(index)));
+        return this.current();
+    }
+
+    /**
+     * Entries leading up to the cursor, such as the last few seconds of a trace
+     * @param {number} count - Most entries to return
+     * @returns {Array} Up to count entries ending with the one under the cursor, oldest first
+     */
+    recent(count) {
+        const entries = [];
+        for (let i = Math.max(0, this.cursor - count + 1); i <= this.cursor; i++) {
+            entries.push(this.at(i));
+        }
+        return entries;
+    }
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { Timeline, TIMELINE_CAPACITY, TIMELINE_MAX_BYTES } from './timeline.js';
+
+/**
+ * Timeline holding the given frames in order, cursor on the last
+ */
+function timelineOf(frames, capacity) {
+    const timeline = new Timeline(capacity);
+    frames.forEach(frame => timeline.push(frame));
+    return timeline;
+}
+
+describe('Timeline', () => {
+    it('should start empty', () => {
+        const timeline = new Timeline();
+        expect(timeline.capacity).toBe(TIMELINE_CAPACITY);
+        expect(timeline).toMatchObject({ length: 0, cursor: -1, atEnd: true });
+        expect(timeline.current()).toBeUndefined();
+        expect(timeline.seek(3)).toBeUndefined();
+        expect(timeline.recent(5)).toEqual([]);
+    });
+
+    it('should follow the newest frame while recording', () => {
+        const timeline = timelineOf(['a', 'b', 'c']);
+        expect(timeline).toMatchObject({ length: 3, cursor: 2, atEnd: true });
+        expect(timeline.current()).toBe('c');
+        expect(timeline.at(0)).toBe('a');
+        expect(timeline.at(3)).toBeUndefined();
+    });
+
+    it('should drop the oldest frames when full', () => {
+        const timeline = timelineOf([1, 2, 3, 4, 5], 3);
+        expect(timeline.length).toBe(3);
+        expect([0, 1, 2].map(i => timeline.at(i))).toEqual([3, 4, 5]);
+    });
+
+    it('should drop the oldest frames when over its size', () => {
+        const timeline = new Timeline(10, 100);
+        expect(new Timeline().maxBytes).toBe(TIMELINE_MAX_BYTES);
+        [1, 2, 3, 4].forEach(frame => timeline.push(frame, 40));
+        expect([0, 1].map(i => timeline.at(i))).toEqual([3, 4]);
+        expect(timeline).toMatchObject({ length: 2, cursor: 1, bytes: 80 });
+
+        // Frames replaced after a rewind no longer count
+        timeline.seek(0);
+        timeline.push(5, 60);
+        expect(timeline.bytes).toBe(100);
+        timeline.push(6, 500);
+        expect(timeline).toMatchObject({ length: 1, bytes: 500 });
+        expect(timeline.current()).toBe(6);
+    });
+
+    it('should seek within the frames kept', () => {
+        const timeline = timelineOf([1, 2, 3, 4, 5], 3);
+        expect(timeline.seek(0)).toBe(3);
+        expect(timeline.atEnd).toBe(false);
+        expect(timeline.seek(-4)).toBe(3);
+        expect(timeline.seek(99)).toBe(5);
+        expect(timeline.atEnd).toBe(true);
+    });
+
+    it('should replace the frames after the cursor when recording from a rewound frame', () => {
+        const timeline = timelineOf([1, 2, 3, 4], 4);
+        timeline.seek(1);
+        timeline.push('x');
+        expect(timeline.length).toBe(3);
+        expect(timeline.recent(10)).toEqual([1, 2, 'x']);
+        expect(timeline.atEnd).toBe(true);
+    });
+
+    it('should return the frames leading up to the cursor', () => {
+        const timeline = timelineOf([1, 2, 3, 4, 5], 4);
+        timeline.seek(2);
+        expect(timeline.recent(2)).toEqual([3, 4]);
+        expect(timeline.recent(10)).toEqual([2, 3, 4]);
+    });
+
+    it('should need a positive whole capacity', () => {
+        expect(() => new Timeline(0)).toThrow('positive whole number');
+        expect(() => new Timeline(2.5)).toThrow('positive whole number');
+    });
+});
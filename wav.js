@@ -0,0 +1,65 @@
+// WAV files
+// Encodes rendered audio as 16-bit PCM, the format every audio editor and slide deck plays,
+// for exporting what an observer hears.
+
+/**
+ * Sample rate of exported audio, in samples per second
+ */
+export const WAV_SAMPLE_RATE = 44100;
+
+/**
+ * Longest audio export allowed, in seconds
+ */
+export const MAX_AUDIO_EXPORT_SECONDS = 60;
+
+const HEADER_BYTES = 44;
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Encode channels of samples as a WAV file
+ * Samples outside -1 to 1 are clipped.
+ * @param {Float32Array[]} channels - One array of samples per channel, all the same length
+ * @param {number} sampleRate - Samples per second
+ * @returns {ArrayBuffer} The whole file: RIFF header, then the samples interleaved
+ */
+export function encodeWav(channels, sampleRate) {
+    if (channels.length === 0) {
+        throw new Error('A WAV file needs at least one channel');
+    }
+    const frames = channels[0].length;
+    if (channels.some(channel => channel.length !== frames)) {
+        throw new Error('Every channel must have the same number of samples');
+    }
+
+    const blockAlign = channels.length * BYTES_PER_SAMPLE;
+    const dataBytes = frames * blockAlign;
+    const buffer = new ArrayBuffer(HEADER_BYTES + dataBytes);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, HEADER_BYTES - 8 + dataBytes, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);                       // Size of the fmt chunk
+    view.setUint16(20, 1, true);                        // PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);  // Bytes per second
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, BYTES_PER_SAMPLE * 8, true);     // Bits per sample
+    writeText(36, 'data');
+    view.setUint32(40, dataBytes, true);
+
+    let offset = HEADER_BYTES;
+    for (let i = 0; i < frames; i++) {
+        for (const channel of channels) {
+            const sample = Math.max(-1, Math.min(1, channel[i]));
+            view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+            offset += BYTES_PER_SAMPLE;
+        }
+    }
+    return buffer;
+}
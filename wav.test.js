@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWav } from './wav.js';
+
+/**
+ * Text stored at a byte offset
+ */
+function textAt(view, offset, length) {
+    return String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+}
+
+describe('encodeWav', () => {
+    it('should write a 16-bit PCM header', () => {
+        const view = new DataView(encodeWav([new Float32Array(10), new Float32Array(10)], 44100));
+        expect(view.byteLength).toBe(44 + 10 * 2 * 2);
+        expect(textAt(view, 0, 4)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+        expect(textAt(view, 8, 8)).toBe('WAVEfmt ');
+        expect(view.getUint16(20, true)).toBe(1);
+        expect(view.getUint16(22, true)).toBe(2);
+        expect(view.getUint32(24, true)).toBe(44100);
+        expect(view.getUint32(28, true)).toBe(44100 * 4);
+        expect(view.getUint16(32, true)).toBe(4);
+        expect(view.getUint16(34, true)).toBe(16);
+        expect(textAt(view, 36, 4)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(40);
+    });
+
+    it('should interleave the channels and clip loud samples', () => {
+        const left = Float32Array.of(0, 1, 2);
+        const right = Float32Array.of(-0.5, -1, -3);
+        const view = new DataView(encodeWav([left, right], 8000));
+        const samples = [];
+        for (let offset = 44; offset < view.byteLength; offset += 2) samples.push(view.getInt16(offset, true));
+        expect(samples).toEqual([0, -16384, 32767, -32768, 32767, -32768]);
+    });
+
+    it('should reject missing or uneven channels', () => {
+        expect(() => encodeWav([], 44100)).toThrow('at least one channel');
+        expect(() => encodeWav([new Float32Array(2), new Float32Array(3)], 44100)).toThrow('same number of samples');
+    });
+});